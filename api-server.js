@@ -3,27 +3,66 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const path = require('path');
-const { chatWithAgent } = require('./history-chat-agent');
+const crypto = require('crypto');
+const { chatWithAgent, streamChatWithAgent } = require('./history-chat-agent');
 const { ResearchWorkflow } = require('./research-workflow');
-const { PageConsolidationAgent } = require('./page-consolidation-agent');
-const { initializeAllTables } = require('./history-database');
+const { PageConsolidationAgent, consolidatedPageUrl } = require('./page-consolidation-agent');
+const { ContributionModerator } = require('./contribution-moderation');
+const { InsightReviewer } = require('./insight-review');
+const { openConversation, findConversation, getConversationMessages } = require('./chat-conversations');
+const { ContentEditor, RESOURCES } = require('./content-editor');
+const { migrate } = require('./schema-migrations');
+const { buildMatchQuery, searchFacts, searchAll } = require('./history-search');
+const { buildTimeline } = require('./timeline');
+const { buildGeoJSON, getMapConfig } = require('./geo');
+const { listPresentations, listVersions, getVersion, diffVersions } = require('./presentation-versions');
+const { PresentationBuilder } = require('./presentation-builder');
+const { topicPageUrl, topicCreditsUrl, legacyPageTopicId, getTopic, findTopicBySlug, findTopicByName, TopicPageCache } = require('./topic-pages');
+const { slugify, resolveSlug, fillMissingSlugs } = require('./slugs');
+const { JobQueue } = require('./job-queue');
+const { registerBackgroundJobs, scheduleConsolidation, scheduleEmbedding } = require('./background-jobs');
+const { documentErrors } = require('./fact-extraction');
+const { getTopicCredits } = require('./media-credits');
 
 const app = express();
 const PORT = 3002;  // Different port from events app
 
-// Initialize database tables
-initializeAllTables().catch(error => {
-    console.error('❌ Failed to initialize database tables:', error);
-    process.exit(1);
-});
-
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Topic and consolidated pages used to be written to public/presentations; send old links to
+// the live pages (registered before the static files so leftover copies are never served)
+app.get('/presentations/:file', async (req, res, next) => {
+    try {
+        const topicId = legacyPageTopicId(req.params.file);
+        const topic = topicId ? await getTopic(db, topicId) : null;
+        if (topic) {
+            return res.redirect(301, topicPageUrl(topic));
+        }
+
+        // Old consolidated filenames are kept as slug redirects
+        const page = await resolveSlug(db, 'consolidated_pages', path.basename(req.params.file, '.html'));
+        if (page) {
+            return res.redirect(301, consolidatedPageUrl(page.row));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Serve static files from "public" directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Leaflet is served locally so the map page works without a CDN
+app.use('/vendor/leaflet', express.static(path.join(__dirname, 'node_modules', 'leaflet', 'dist')));
+
+// The escaping and markdown helpers the page generators use, for the browser pages
+app.get('/js/safe-html.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'safe-html.js'));
+});
+
 // Serve frontend
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'history.html'));
@@ -32,6 +71,34 @@ app.get('/', (req, res) => {
 const dbPath = path.join(__dirname, 'database.sqlite');
 const db = new sqlite3.Database(dbPath);
 
+// Topic pages are rendered by one shared builder and cached for TOPIC_PAGE_CACHE_SECONDS
+const presentationBuilder = new PresentationBuilder(dbPath);
+const topicPageCache = new TopicPageCache(
+    process.env.TOPIC_PAGE_CACHE_SECONDS !== undefined ? parseInt(process.env.TOPIC_PAGE_CACHE_SECONDS) : undefined
+);
+
+// Research, page enhancement, consolidation and fact embedding run in the background; JOB_CONCURRENCY caps
+// how many jobs run at once
+const jobQueue = new JobQueue(dbPath, {
+    concurrency: process.env.JOB_CONCURRENCY ? parseInt(process.env.JOB_CONCURRENCY) : undefined
+});
+registerBackgroundJobs(jobQueue, dbPath, { onPageChanged: () => topicPageCache.clear() });
+
+// Admin edits can change what a topic page shows; empty the page cache once they succeed.
+// Edits that write facts (fact CRUD, approvals, promotions) also queue their embedding.
+app.use('/api/admin', (req, res, next) => {
+    if (req.method !== 'GET') {
+        res.on('finish', () => {
+            if (res.statusCode >= 400) return;
+            topicPageCache.clear();
+            if (/^\/(facts|contributions|insights)(\/|$)/.test(req.path)) {
+                scheduleEmbedding(jobQueue).catch(error => console.error('Error scheduling fact embedding:', error.message));
+            }
+        });
+    }
+    next();
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({
@@ -41,9 +108,22 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-// Enhance existing page with new research
+/**
+ * 202 response for a queued job
+ */
+function sendJobAccepted(res, job, extra = {}) {
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        ...extra
+    });
+}
+
+// Enhance existing page with new research (runs as a background job)
 app.post('/api/enhance-page', async (req, res) => {
-    const { topicId, topicName, query } = req.body;
+    const { topicId, topicName, query, documents } = req.body;
     
     if (!topicId || !query) {
         return res.status(400).json({ 
@@ -51,40 +131,15 @@ app.post('/api/enhance-page', async (req, res) => {
             error: 'Missing topicId or query' 
         });
     }
-    
-    console.log(`🔬 Enhancing page for topic "${topicName}" with query: "${query}"`);
+
+    const errors = documentErrors(documents);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid documents', details: errors });
+    }
     
     try {
-        const workflow = new ResearchWorkflow(dbPath);
-        
-        // Construct contextual query
-        const contextualQuery = `${query} (related to ${topicName} in Southeast Texas history)`;
-        
-        // Process the enhancement query
-        const result = await workflow.processUserQuery(contextualQuery, topicId);
-        workflow.close();
-        
-        if (result && result.factsAdded > 0) {
-            // Regenerate the presentation with new content
-            const { PresentationBuilder } = require('./presentation-builder');
-            const builder = new PresentationBuilder(dbPath);
-            await builder.generatePresentation(topicId);
-            builder.close();
-            
-            console.log(`✅ Page enhanced with ${result.factsAdded} new facts`);
-            
-            res.json({
-                success: true,
-                message: `Added ${result.factsAdded} new facts to the page`,
-                factsAdded: result.factsAdded,
-                topicId: result.topicId
-            });
-        } else {
-            res.json({
-                success: false,
-                error: 'No new content found for this query. Try rephrasing or asking about a different aspect.'
-            });
-        }
+        const job = await jobQueue.enqueue('enhance-page', { topicId, topicName, query, documents });
+        sendJobAccepted(res, job);
     } catch (error) {
         console.error('❌ Page enhancement error:', error);
         res.status(500).json({
@@ -94,6 +149,38 @@ app.post('/api/enhance-page', async (req, res) => {
     }
 });
 
+// Status of a background job
+app.get('/api/jobs/:id', async (req, res) => {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    try {
+        const job = await jobQueue.getJob(id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            progress: job.progress,
+            message: job.progress_message,
+            result: job.result,
+            error: job.error,
+            attempts: job.attempts,
+            maxAttempts: job.max_attempts,
+            createdAt: job.created_at,
+            startedAt: job.started_at,
+            finishedAt: job.finished_at
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Get all cities
 app.get('/api/cities', (req, res) => {
     db.all('SELECT * FROM historical_cities ORDER BY name ASC', [], (err, rows) => {
@@ -105,39 +192,152 @@ app.get('/api/cities', (req, res) => {
     });
 });
 
-// Get city by ID
-app.get('/api/cities/:id', (req, res) => {
-    const { id } = req.params;
-    
-    if (!id || isNaN(parseInt(id))) {
-        return res.status(400).json({ error: 'Invalid city ID' });
+/**
+ * Find the row a slug route asks for, redirecting retired slugs and numeric ids to the current slug
+ * @returns {Promise<object|null>} The row, or null once a redirect or 404 has been sent
+ */
+async function findBySlugOrRedirect(req, res, table, urlFor, label) {
+    const { slug } = req.params;
+    let found = await resolveSlug(db, table, slug);
+
+    // Links from before slugs used the numeric id
+    if (!found && /^\d+$/.test(slug)) {
+        const row = await new Promise((resolve, reject) => {
+            db.get(`SELECT * FROM ${table} WHERE id = ? AND slug IS NOT NULL`, [slug], (err, row) => err ? reject(err) : resolve(row));
+        });
+        found = row ? { row, redirected: true } : null;
     }
-    
-    db.get('SELECT * FROM historical_cities WHERE id = ?', [id], (err, city) => {
+
+    if (!found) {
+        res.status(404).json({ error: `${label} not found` });
+        return null;
+    }
+    if (found.redirected) {
+        res.redirect(301, urlFor(found.row));
+        return null;
+    }
+    return found.row;
+}
+
+// Get a city by slug, with its facts
+app.get('/api/cities/:slug', async (req, res) => {
+    try {
+        const city = await findBySlugOrRedirect(req, res, 'historical_cities', city => `/api/cities/${city.slug}`, 'City');
+        if (!city) return;
+
+        db.all(
+            `SELECT hf.*, ht.name as topic_name, ht.icon as topic_icon, ht.slug as topic_slug
+             FROM historical_facts hf
+             LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+             WHERE hf.city_id = ?
+             ORDER BY hf.event_year DESC`,
+            [city.id],
+            (err, facts) => {
+                if (err) return res.status(500).json({ error: err.message });
+                city.facts = facts || [];
+                res.json(city);
+            }
+        );
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get all topics
+app.get('/api/topics', (req, res) => {
+    db.all('SELECT * FROM historical_topics ORDER BY name ASC', [], (err, rows) => {
         if (err) {
             res.status(500).json({ error: err.message });
-        } else if (!city) {
-            res.status(404).json({ error: 'City not found' });
         } else {
-            db.all(
-                `SELECT hf.*, ht.name as topic_name, ht.icon as topic_icon
-                 FROM historical_facts hf
-                 LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
-                 WHERE hf.city_id = ?
-                 ORDER BY hf.event_year DESC`,
-                [id],
-                (err, facts) => {
-                    city.facts = facts || [];
-                    res.json(city);
-                }
-            );
+            res.json(rows);
         }
     });
 });
 
-// Get all topics
-app.get('/api/topics', (req, res) => {
-    db.all('SELECT * FROM historical_topics ORDER BY name ASC', [], (err, rows) => {
+// Get a topic by slug, with its facts and the page of the researched topic of the same name
+app.get('/api/topics/:slug', async (req, res) => {
+    try {
+        const topic = await findBySlugOrRedirect(req, res, 'historical_topics', topic => `/api/topics/${topic.slug}`, 'Topic');
+        if (!topic) return;
+
+        const [facts, researched] = await Promise.all([
+            new Promise((resolve, reject) => {
+                db.all(
+                    `SELECT hf.*, hc.name as city_name, hc.slug as city_slug
+                     FROM historical_facts hf
+                     LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+                     WHERE hf.topic_id = ?
+                     ORDER BY hf.event_year DESC, hf.importance DESC`,
+                    [topic.id],
+                    (err, rows) => err ? reject(err) : resolve(rows || [])
+                );
+            }),
+            findTopicByName(db, topic.name)
+        ]);
+
+        res.json({ ...topic, facts, page_url: researched && researched.has_page ? researched.url : null });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get notable people
+// Filters: city_id, occupation (partial match), alive_in (year), born_after, born_before, search (full text)
+app.get('/api/people', (req, res) => {
+    const { city_id, occupation, alive_in, born_after, born_before, search, limit = 100 } = req.query;
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 500) {
+        return res.status(400).json({ error: 'Limit must be between 1 and 500' });
+    }
+
+    const years = { alive_in, born_after, born_before };
+    const invalidYear = Object.keys(years).find(key => years[key] !== undefined && isNaN(parseInt(years[key])));
+    if (invalidYear) {
+        return res.status(400).json({ error: `${invalidYear} must be a year` });
+    }
+
+    let query = `
+        SELECT hp.*, hc.name as city_name
+        FROM historical_people hp
+        LEFT JOIN historical_cities hc ON hp.city_id = hc.id
+        WHERE 1=1
+    `;
+    const params = [];
+
+    if (search) {
+        const match = buildMatchQuery(search);
+        if (!match) {
+            return res.json([]);
+        }
+        query += ' AND hp.id IN (SELECT rowid FROM people_fts WHERE people_fts MATCH ?)';
+        params.push(match);
+    }
+    if (city_id) {
+        query += ' AND hp.city_id = ?';
+        params.push(city_id);
+    }
+    if (occupation) {
+        query += ' AND LOWER(hp.occupation) LIKE LOWER(?)';
+        params.push(`%${occupation}%`);
+    }
+    if (alive_in) {
+        query += ' AND hp.birth_year <= ? AND (hp.death_year IS NULL OR hp.death_year >= ?)';
+        params.push(parseInt(alive_in), parseInt(alive_in));
+    }
+    if (born_after) {
+        query += ' AND hp.birth_year >= ?';
+        params.push(parseInt(born_after));
+    }
+    if (born_before) {
+        query += ' AND hp.birth_year <= ?';
+        params.push(parseInt(born_before));
+    }
+
+    query += ' ORDER BY hp.birth_year ASC, hp.name ASC LIMIT ?';
+    params.push(limitNum);
+
+    db.all(query, params, (err, rows) => {
         if (err) {
             res.status(500).json({ error: err.message });
         } else {
@@ -146,9 +346,42 @@ app.get('/api/topics', (req, res) => {
     });
 });
 
+// Get a person with the facts that mention them
+app.get('/api/people/:id', (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({ error: 'Invalid person ID' });
+    }
+
+    db.get(`
+        SELECT hp.*, hc.name as city_name
+        FROM historical_people hp
+        LEFT JOIN historical_cities hc ON hp.city_id = hc.id
+        WHERE hp.id = ?
+    `, [id], async (err, person) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        if (!person) {
+            return res.status(404).json({ error: 'Person not found' });
+        }
+
+        try {
+            // Match the full name as a phrase so only facts naming this person are returned
+            person.facts = await searchFacts(db, person.name, { limit: 10, phrase: true });
+        } catch (searchErr) {
+            console.error('Error fetching facts for person:', searchErr);
+            person.facts = [];
+        }
+        res.json(person);
+    });
+});
+
 // Get historical facts
 app.get('/api/facts', (req, res) => {
     const { city_id, topic_id, search, year, limit = 50 } = req.query;
+    const verifiedOnly = req.query.verified === 'true';
     
     // Validate limit
     const limitNum = parseInt(limit);
@@ -156,6 +389,13 @@ app.get('/api/facts', (req, res) => {
         return res.status(400).json({ error: 'Limit must be between 1 and 500' });
     }
 
+    // Free-text searches go through the FTS index and come back ranked by relevance
+    if (search) {
+        return searchFacts(db, search, { limit: limitNum, cityId: city_id, topicId: topic_id, year, verifiedOnly })
+            .then(rows => res.json(rows))
+            .catch(err => res.status(500).json({ error: err.message }));
+    }
+
     let query = `
         SELECT
             hf.*,
@@ -181,12 +421,9 @@ app.get('/api/facts', (req, res) => {
         query += ' AND hf.event_year = ?';
         params.push(year);
     }
-    if (search) {
-        query += ' AND (hf.title LIKE ? OR hf.content LIKE ?)';
-        const searchTerm = `%${search}%`;
-        params.push(searchTerm, searchTerm);
+    if (verifiedOnly) {
+        query += ' AND hf.is_verified = 1';
     }
-
     query += ' ORDER BY hf.event_year DESC, hf.importance DESC LIMIT ?';
     params.push(limitNum);
 
@@ -199,43 +436,115 @@ app.get('/api/facts', (req, res) => {
     });
 });
 
+// Facts grouped by historical period for the timeline view
+app.get('/api/timeline', async (req, res) => {
+    const { from, to, city_id, topic_id } = req.query;
+
+    const numbers = { from, to, city_id, topic_id };
+    const invalid = Object.keys(numbers).find(key => numbers[key] !== undefined && isNaN(parseInt(numbers[key])));
+    if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be ${['from', 'to'].includes(invalid) ? 'a year' : 'an integer'}` });
+    }
+
+    const filters = {
+        from: from !== undefined ? parseInt(from) : null,
+        to: to !== undefined ? parseInt(to) : null,
+        cityId: city_id !== undefined ? parseInt(city_id) : null,
+        topicId: topic_id !== undefined ? parseInt(topic_id) : null
+    };
+    if (filters.from !== null && filters.to !== null && filters.from > filters.to) {
+        return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    try {
+        const timeline = await buildTimeline(db, filters);
+        res.json({ from: filters.from, to: filters.to, ...timeline });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cities and places with their facts as GeoJSON for the map view
+app.get('/api/geo', async (req, res) => {
+    const { types = 'cities,places', topic_id } = req.query;
+
+    const typeList = types.split(',').map(type => type.trim()).filter(Boolean);
+    const invalidType = typeList.find(type => !['cities', 'places'].includes(type));
+    if (invalidType) {
+        return res.status(400).json({ error: `Unknown type "${invalidType}" (expected cities or places)` });
+    }
+    if (topic_id !== undefined && isNaN(parseInt(topic_id))) {
+        return res.status(400).json({ error: 'topic_id must be an integer' });
+    }
+
+    try {
+        const collection = await buildGeoJSON(db, {
+            types: typeList,
+            topicId: topic_id !== undefined ? parseInt(topic_id) : null
+        });
+        res.type('application/geo+json').send(JSON.stringify(collection));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Tile server and initial view for the map page
+app.get('/api/map/config', (req, res) => {
+    res.json(getMapConfig());
+});
+
+// Ranked full-text search across facts, people and verified insights
+app.get('/api/search', async (req, res) => {
+    const { q, types, limit = 20 } = req.query;
+
+    if (!q || !q.trim()) {
+        return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+        return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+    }
+
+    const validTypes = ['facts', 'people', 'insights'];
+    const requestedTypes = types ? types.split(',').map(type => type.trim()) : validTypes;
+    if (requestedTypes.some(type => !validTypes.includes(type))) {
+        return res.status(400).json({ error: `types must be a comma-separated list of: ${validTypes.join(', ')}` });
+    }
+
+    try {
+        const results = await searchAll(db, q, { limit: limitNum, types: requestedTypes });
+        res.json({ query: q, count: results.length, results });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Chat with AI agent
 app.post('/api/chat', async (req, res) => {
-    const { message, conversation_id } = req.body;
+    const { message, conversation_id, conversation_token } = req.body;
 
     if (!message) {
         return res.status(400).json({ error: 'Message is required' });
     }
 
     try {
-        const result = await chatWithAgent(message, conversation_id);
-
-        if (conversation_id) {
-            db.run(
-                'INSERT INTO chat_messages (conversation_id, role, content) VALUES (?, ?, ?)',
-                [conversation_id, 'user', message],
-                (err) => {
-                    if (err) {
-                        console.error('Error saving user message:', err);
-                    }
-                }
-            );
-
-            db.run(
-                'INSERT INTO chat_messages (conversation_id, role, content) VALUES (?, ?, ?)',
-                [conversation_id, 'assistant', result.response],
-                (err) => {
-                    if (err) {
-                        console.error('Error saving assistant message:', err);
-                    }
-                }
-            );
+        // Only the conversation's owner may add to it (and so see its history in the answer)
+        if (conversation_id && !(await findConversation(db, conversation_id, conversation_token))) {
+            return res.status(404).json({ error: 'Conversation not found' });
         }
 
+        // The agent restores earlier turns and persists this one to chat_messages
+        const result = await chatWithAgent(message, conversation_id);
+
         res.json({
             response: result.response,
             success: result.success,
-            context_used: result.context_used
+            context_used: result.context_used,
+            citations: result.citations || [],
+            insight_captured: result.insight_captured,
+            insight_id: result.insight_id
         });
 
     } catch (error) {
@@ -247,96 +556,131 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
-// Create conversation handler function
-function createConversationHandler(req, res) {
-    const { session_id } = req.body;
+// Chat with AI agent, streaming tokens as Server-Sent Events
+// Events: "token" ({ content }), then "done" with the same fields /api/chat returns
+app.post('/api/chat/stream', async (req, res) => {
+    const { message, conversation_id, conversation_token } = req.body;
 
-    if (!session_id) {
-        return res.status(400).json({ error: 'session_id is required' });
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+    try {
+        if (conversation_id && !(await findConversation(db, conversation_id, conversation_token))) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+    } catch (error) {
+        return res.status(500).json({ error: error.message });
     }
 
-    db.get('SELECT * FROM chat_conversations WHERE session_id = ?', [session_id], (err, conversation) => {
-        if (err) {
-            return res.status(500).json({ error: err.message });
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating if the browser goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
         }
+    });
 
-        if (conversation) {
-            res.json(conversation);
-        } else {
-            const stmt = db.prepare(`INSERT INTO chat_conversations (session_id, user_ip) VALUES (?, ?)`);
-            stmt.run(session_id, 'web_user', function(err) {
-                if (err) {
-                    res.status(500).json({ error: err.message });
-                } else {
-                    res.status(201).json({
-                        id: this.lastID,
-                        session_id: session_id
-                    });
-                }
+    try {
+        const result = await streamChatWithAgent(
+            message,
+            conversation_id,
+            (token) => sendEvent('token', { content: token }),
+            abortController.signal
+        );
+
+        if (!abortController.signal.aborted) {
+            sendEvent('done', {
+                response: result.response,
+                success: result.success,
+                context_used: result.context_used,
+                citations: result.citations || [],
+                insight_captured: result.insight_captured,
+                insight_id: result.insight_id
             });
-            stmt.finalize();
         }
-    });
+    } catch (error) {
+        console.error('Error in streaming chat:', error);
+        sendEvent('error', {
+            error: 'Failed to process chat message',
+            details: error.message
+        });
+    } finally {
+        res.end();
+    }
+});
+
+// Start a conversation for a browser session, or pick its conversation back up. The
+// response includes the conversation's access token, which the other chat routes require.
+async function createConversationHandler(req, res) {
+    const { session_id, token } = req.body;
+
+    if (!session_id) {
+        return res.status(400).json({ error: 'session_id is required' });
+    }
+
+    try {
+        const opened = await openConversation(db, session_id, token, 'web_user');
+        if (!opened) {
+            return res.status(409).json({ error: 'This session belongs to another conversation; start a new session' });
+        }
+        res.status(opened.created ? 201 : 200).json(opened.conversation);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 }
 
 // Create conversation endpoints (support both paths for consistency)
 app.post('/api/conversation', createConversationHandler);
 app.post('/api/chat/conversation', createConversationHandler);
 
-// Check if consolidation should be triggered after research
-function checkAndTriggerConsolidation(topic) {
-    // Map topics to their main categories
-    const topicToCategory = {
-        'spindletop': 'Oil & Energy',
-        'oil': 'Oil & Energy',
-        'drilling': 'Oil & Energy',
-        'refinery': 'Oil & Energy',
-        'lumber': 'Lumber Industry',
-        'sawmill': 'Lumber Industry',
-        'shipbuilding': 'Shipbuilding',
-        'shipyard': 'Shipbuilding'
-    };
-    
-    // Find the main category for this topic
-    const lowerTopic = topic.toLowerCase();
-    let mainCategory = null;
-    
-    for (const [key, category] of Object.entries(topicToCategory)) {
-        if (lowerTopic.includes(key)) {
-            mainCategory = category;
-            break;
-        }
+// Get a conversation with its messages (used to restore a chat after reload)
+// Requires the conversation's token in the X-Conversation-Token header
+app.get('/api/conversations/:id/messages', async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+        return res.status(400).json({ error: 'Invalid conversation ID' });
     }
-    
-    // If we found a category, trigger consolidation (but don't wait for it)
-    if (mainCategory) {
-        console.log(`🔄 Scheduling consolidation for category: ${mainCategory}`);
-        setTimeout(() => {
-            const consolidator = new PageConsolidationAgent(dbPath);
-            consolidator.consolidateTopicCategory(mainCategory)
-                .then(result => {
-                    if (result) {
-                        console.log(`✅ Consolidation completed for ${mainCategory}`);
-                    }
-                })
-                .catch(error => {
-                    console.error(`❌ Consolidation failed for ${mainCategory}:`, error.message);
-                })
-                .finally(() => {
-                    consolidator.close();
-                });
-        }, 5000); // Wait 5 seconds to allow any pending database operations
+    if (!req.get('X-Conversation-Token')) {
+        return res.status(401).json({ error: 'Conversation token is required' });
     }
-}
+
+    try {
+        const conversation = await getConversationMessages(db, id, req.get('X-Conversation-Token'));
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json(conversation);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
 // Trigger research workflow for a topic
 app.post('/api/research', async (req, res) => {
-    const { topic, message } = req.body;
+    const { topic, message, documents } = req.body;
 
     if (!topic && !message) {
         return res.status(400).json({ error: 'Topic or message required' });
     }
 
+    const errors = documentErrors(documents);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid documents', details: errors });
+    }
+
     // Use the research workflow to properly extract the topic
     const workflow = new ResearchWorkflow(dbPath);
     const searchTopic = topic || workflow.extractTopic(message) || (message ? message.replace(/^tell me about /i, '').replace(/\?$/, '') : null);
@@ -347,61 +691,32 @@ app.post('/api/research', async (req, res) => {
     }
 
     try {
-        // First, check if a presentation for this topic already exists.
-        db.get(`
-            SELECT p.html_path
-            FROM presentations p
-            JOIN topics_researched t ON p.topic_id = t.id
-            WHERE LOWER(t.topic) LIKE LOWER(?)
-            ORDER BY p.created_at DESC
-            LIMIT 1
-        `, [`%${searchTopic.trim()}%`], async (err, existingPresentation) => {
-            if (err) {
-                console.error('Database error checking for presentation:', err);
-                // Fallback to generation if there's an error
-            }
+        // First, check if this exact topic already has a page
+        const existing = await findTopicByName(db, searchTopic);
+        if (existing && existing.has_page) {
+            console.log(`✅ Page already exists for "${searchTopic}".`);
 
-            if (existingPresentation) {
-                const filename = path.basename(existingPresentation.html_path);
-                console.log(`✅ Page already exists for "${searchTopic}".`);
-                
-                // After serving existing page, check if we should trigger consolidation
-                checkAndTriggerConsolidation(searchTopic);
-                
-                return res.json({
-                    success: true,
-                    topic: searchTopic,
-                    pageUrl: `/presentations/${filename}`,
-                    message: `Page already exists for ${searchTopic}.`
-                });
-            }
+            // After serving existing page, check if we should trigger consolidation
+            await scheduleConsolidation(jobQueue, searchTopic);
 
-            // If no presentation exists, run the full workflow.
-            const workflow = new ResearchWorkflow(dbPath);
-            const query = message || `Tell me about ${topic}`;
-
-            console.log(`\n🔬 Research triggered: ${query}`);
-            const result = await workflow.processUserQuery(query);
-            workflow.close();
-
-            if (result) {
-                // After creating new presentation, check if we should trigger consolidation
-                checkAndTriggerConsolidation(result.topic);
-                
-                res.json({
-                    success: true,
-                    topicId: result.topicId,
-                    topic: result.topic,
-                    mediaCollected: result.mediaCount,
-                    pageUrl: result.presentationUrl,
-                    message: `Page created! Collected ${result.mediaCount} media items.`
-                });
-            } else {
-                res.json({
-                    success: false,
-                    message: 'Could not extract topic from query'
-                });
-            }
+            return res.json({
+                success: true,
+                topic: searchTopic,
+                pageUrl: existing.url,
+                message: `Page already exists for ${searchTopic}.`
+            });
+        }
+
+        // Otherwise queue the full workflow; asking again while it runs returns the same job
+        const job = await jobQueue.enqueue('research', {
+            topic: searchTopic,
+            query: message || `Tell me about ${topic}`,
+            documents
+        }, { dedupeKey: `research:${slugify(searchTopic)}` });
+
+        sendJobAccepted(res, job, {
+            topic: searchTopic,
+            message: `Researching ${searchTopic}. Follow progress at /api/jobs/${job.id}.`
         });
     } catch (error) {
         console.error('Research workflow error:', error);
@@ -412,12 +727,12 @@ app.post('/api/research', async (req, res) => {
     }
 });
 
-// Manual consolidation endpoint
+// Manual consolidation endpoint (category name or slug)
 app.post('/api/consolidate/:category', async (req, res) => {
-    const { category } = req.params;
+    const consolidator = new PageConsolidationAgent(dbPath);
+    const category = consolidator.resolveCategory(req.params.category) || req.params.category;
     
     try {
-        const consolidator = new PageConsolidationAgent(dbPath);
         const result = await consolidator.consolidateTopicCategory(category);
         consolidator.close();
         
@@ -425,7 +740,7 @@ app.post('/api/consolidate/:category', async (req, res) => {
             res.json({
                 success: true,
                 message: `Consolidated category: ${category}`,
-                file: result.filename,
+                slug: result.slug,
                 url: result.url
             });
         } else {
@@ -464,33 +779,86 @@ app.post('/api/consolidate-all', async (req, res) => {
     }
 });
 
-// Serve presentation pages (these ARE the permanent web pages)
-app.use('/presentations', express.static(path.join(__dirname, 'public/presentations')));
+// Topic pages (these ARE the permanent web pages), rendered from the database on request
+app.get('/topics/:slug', async (req, res) => {
+    try {
+        const found = await findTopicBySlug(db, req.params.slug);
+        if (!found) {
+            return res.status(404).json({ error: 'Topic not found' });
+        }
 
-// Get presentation URL for a topic
-app.get('/api/topic/:topicName/presentation', (req, res) => {
-    const { topicName } = req.params;
-    
-    db.get(`
-        SELECT p.html_path
-        FROM presentations p
-        JOIN topics_researched t ON p.topic_id = t.id
-        WHERE LOWER(t.topic) LIKE LOWER(?)
-        ORDER BY p.created_at DESC
-        LIMIT 1
-    `, [`%${topicName}%`], (err, presentation) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else if (presentation) {
-            const filename = path.basename(presentation.html_path);
-            res.json({ 
-                url: `/presentations/${filename}`,
-                exists: true 
-            });
+        // Renamed topics and old "<name>-<id>" links redirect to the current slug
+        if (found.redirected) {
+            return res.redirect(301, topicPageUrl(found.row));
+        }
+
+        // The first visitors after a change share one render (which records the page's version)
+        const page = await topicPageCache.load(found.row.id, async () => {
+            const { html } = await presentationBuilder.generatePresentation(found.row.id);
+            return { topic: found.row, html };
+        });
+
+        // Browsers revalidate every time; unchanged pages get 304 Not Modified
+        res.set('ETag', page.etag);
+        res.set('Cache-Control', 'no-cache');
+        res.type('html').send(page.html);
+    } catch (error) {
+        console.error('Error rendering topic page:', error);
+        res.status(500).json({ error: 'Failed to render topic page', details: error.message });
+    }
+});
+
+// Credits, licenses and source records for the media on a topic's page
+app.get('/topics/:slug/credits.json', async (req, res) => {
+    try {
+        const found = await findTopicBySlug(db, req.params.slug);
+        if (!found) {
+            return res.status(404).json({ error: 'Topic not found' });
+        }
+        if (found.redirected) {
+            return res.redirect(301, topicCreditsUrl(found.row));
+        }
+
+        res.json({
+            topic: found.row.topic,
+            page_url: topicPageUrl(found.row),
+            credits: await getTopicCredits(db, found.row.id)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load media credits', details: error.message });
+    }
+});
+
+// Consolidated category pages, stored by the consolidation agent
+app.get('/categories/:slug', async (req, res) => {
+    try {
+        const found = await resolveSlug(db, 'consolidated_pages', req.params.slug);
+        if (!found || !found.row.content) {
+            return res.status(404).json({ error: 'Category page not found' });
+        }
+        if (found.redirected) {
+            return res.redirect(301, consolidatedPageUrl(found.row));
+        }
+
+        res.set('Cache-Control', 'no-cache');
+        res.type('html').send(found.row.content);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to load category page', details: error.message });
+    }
+});
+
+// Get the page URL for a topic (exact name, not a substring)
+app.get('/api/topic/:topicName/presentation', async (req, res) => {
+    try {
+        const topic = await findTopicByName(db, req.params.topicName);
+        if (topic && topic.has_page) {
+            res.json({ url: topic.url, exists: true });
         } else {
             res.json({ exists: false });
         }
-    });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // Public contribution endpoint
@@ -518,13 +886,400 @@ app.post('/api/contribute', (req, res) => {
     });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-    console.log('========================================');
-    console.log('✅ SETX History API running');
-    console.log(`   Local:  http://localhost:${PORT}`);
-    console.log('========================================');
+// Admin routes require ADMIN_TOKEN, sent as a Bearer token or X-Admin-Token header
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin API disabled: ADMIN_TOKEN is not configured' });
+    }
+
+    const authHeader = req.get('authorization') || '';
+    const provided = authHeader.replace(/^Bearer\s+/i, '') || req.get('x-admin-token') || '';
+    const expected = Buffer.from(adminToken);
+    const actual = Buffer.from(provided);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+// List contributions for moderation (defaults to the pending queue)
+app.get('/api/admin/contributions', requireAdmin, async (req, res) => {
+    const { status = 'pending', limit = 50 } = req.query;
+
+    if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be pending, approved, rejected or all' });
+    }
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 500) {
+        return res.status(400).json({ error: 'Limit must be between 1 and 500' });
+    }
+
+    const moderator = new ContributionModerator(dbPath);
+    try {
+        res.json(await moderator.listContributions(status, limitNum));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    } finally {
+        moderator.close();
+    }
+});
+
+// View a single contribution
+app.get('/api/admin/contributions/:id', requireAdmin, async (req, res) => {
+    const moderator = new ContributionModerator(dbPath);
+    try {
+        const contribution = await moderator.getContribution(req.params.id);
+        if (!contribution) {
+            return res.status(404).json({ error: 'Contribution not found' });
+        }
+        res.json(contribution);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    } finally {
+        moderator.close();
+    }
 });
 
+/**
+ * Route handler for an action on an item in a review queue (contributions, insights)
+ * Responds 404 for unknown items and 409 once the item has been reviewed, including when a
+ * concurrent review got there first and `act` resolves to null.
+ * @param {object} queue - Service (class taking dbPath), noun, find (method name), isPending(item)
+ * @param {function} validate - (req, item) => error message or null
+ * @param {function} act - (service, req) => the updated item, or null
+ * @param {function} respond - (item) => JSON body
+ */
+function reviewRoute(queue, { validate = () => null, act, respond = item => item, errorLabel }) {
+    return async (req, res) => {
+        const service = new queue.Service(dbPath);
+        try {
+            const item = await service[queue.find](req.params.id);
+            if (!item) {
+                return res.status(404).json({ error: `${queue.noun} not found` });
+            }
+            if (!queue.isPending(item)) {
+                return res.status(409).json({ error: `${queue.noun} has already been ${item.status}` });
+            }
+            const invalid = validate(req, item);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+
+            const result = await act(service, req);
+            if (!result) {
+                return res.status(409).json({ error: `${queue.noun} has already been reviewed` });
+            }
+            res.json(respond(result));
+        } catch (error) {
+            if (errorLabel) console.error(`Error ${errorLabel}:`, error);
+            res.status(500).json({ error: error.message });
+        } finally {
+            service.close();
+        }
+    };
+}
+
+const CONTRIBUTION_QUEUE = {
+    Service: ContributionModerator,
+    noun: 'Contribution',
+    find: 'getContribution',
+    isPending: contribution => contribution.status === 'pending'
+};
+
+const INSIGHT_QUEUE = {
+    Service: InsightReviewer,
+    noun: 'Insight',
+    find: 'getInsight',
+    isPending: insight => !!insight.needs_verification
+};
+
+function requireReason(req) {
+    const { reason } = req.body;
+    return !reason || !reason.trim() ? 'A rejection reason is required' : null;
+}
+
+// Edit a contribution before approval
+app.patch('/api/admin/contributions/:id', requireAdmin, reviewRoute(CONTRIBUTION_QUEUE, {
+    validate: req => req.body.fact_title === '' || req.body.fact_content === '' || req.body.topic === ''
+        ? 'Topic, title and content cannot be empty'
+        : null,
+    act: (moderator, req) => moderator.updateContribution(req.params.id, req.body)
+}));
+
+// Approve a contribution, creating a verified historical fact
+app.post('/api/admin/contributions/:id/approve', requireAdmin, reviewRoute(CONTRIBUTION_QUEUE, {
+    act: (moderator, req) => {
+        const { reviewed_by, topic_id, city_id, event_year } = req.body;
+        return moderator.approveContribution(req.params.id, reviewed_by || 'admin', { topic_id, city_id, event_year });
+    },
+    respond: approved => ({ success: true, fact_id: approved.fact_id, contribution: approved }),
+    errorLabel: 'approving contribution'
+}));
+
+// Reject a contribution with a reason
+app.post('/api/admin/contributions/:id/reject', requireAdmin, reviewRoute(CONTRIBUTION_QUEUE, {
+    validate: requireReason,
+    act: (moderator, req) => moderator.rejectContribution(req.params.id, req.body.reviewed_by || 'admin', req.body.reason.trim()),
+    respond: rejected => ({ success: true, contribution: rejected }),
+    errorLabel: 'rejecting contribution'
+}));
+
+// List learned insights awaiting verification (defaults to the pending queue)
+app.get('/api/admin/insights', requireAdmin, async (req, res) => {
+    const { status = 'pending', limit = 50 } = req.query;
+
+    if (!['pending', 'promoted', 'rejected', 'all'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be pending, promoted, rejected or all' });
+    }
+
+    const limitNum = parseInt(limit);
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 500) {
+        return res.status(400).json({ error: 'Limit must be between 1 and 500' });
+    }
+
+    const reviewer = new InsightReviewer(dbPath);
+    try {
+        res.json(await reviewer.listInsights(status, limitNum));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    } finally {
+        reviewer.close();
+    }
+});
+
+// View an insight with the conversation it came from
+app.get('/api/admin/insights/:id', requireAdmin, async (req, res) => {
+    const reviewer = new InsightReviewer(dbPath);
+    try {
+        const insight = await reviewer.getInsight(req.params.id);
+        if (!insight) {
+            return res.status(404).json({ error: 'Insight not found' });
+        }
+        insight.conversation = await reviewer.getConversationMessages(insight.conversation_id);
+        res.json(insight);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    } finally {
+        reviewer.close();
+    }
+});
+
+// Edit an insight under review (attach a source, assign topic/city)
+app.patch('/api/admin/insights/:id', requireAdmin, reviewRoute(INSIGHT_QUEUE, {
+    validate: req => req.body.insight === '' ? 'Insight text cannot be empty' : null,
+    act: (reviewer, req) => reviewer.updateInsight(req.params.id, req.body)
+}));
+
+// Promote an insight into a verified historical fact
+app.post('/api/admin/insights/:id/promote', requireAdmin, reviewRoute(INSIGHT_QUEUE, {
+    validate: (req, insight) => !req.body.source_name && !insight.source_name ? 'Attach a source before promoting an insight' : null,
+    act: (reviewer, req) => {
+        const { reviewed_by, ...changes } = req.body;
+        return reviewer.promoteInsight(req.params.id, reviewed_by || 'admin', changes);
+    },
+    respond: promoted => ({ success: true, fact_id: promoted.fact_id, insight: promoted }),
+    errorLabel: 'promoting insight'
+}));
+
+// Reject an insight with a reason
+app.post('/api/admin/insights/:id/reject', requireAdmin, reviewRoute(INSIGHT_QUEUE, {
+    validate: requireReason,
+    act: (reviewer, req) => reviewer.rejectInsight(req.params.id, req.body.reviewed_by || 'admin', req.body.reason.trim()),
+    respond: rejected => ({ success: true, insight: rejected }),
+    errorLabel: 'rejecting insight'
+}));
+
+// List topic presentations with their current version
+app.get('/api/admin/presentations', requireAdmin, async (req, res) => {
+    try {
+        res.json(await listPresentations(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Version history of a presentation, newest first
+app.get('/api/admin/presentations/:id/versions', requireAdmin, async (req, res) => {
+    try {
+        const versions = await listVersions(db, req.params.id);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'Presentation not found' });
+        }
+        res.json(versions);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// A single version with its HTML and snapshot
+app.get('/api/admin/presentations/:id/versions/:version', requireAdmin, async (req, res) => {
+    try {
+        const version = await getVersion(db, req.params.id, req.params.version);
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+        res.json(version);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// What changed between two versions (defaults to the current version and the one before it)
+app.get('/api/admin/presentations/:id/diff', requireAdmin, async (req, res) => {
+    const { from, to } = req.query;
+
+    const versions = { from, to };
+    const invalid = Object.keys(versions).find(key => versions[key] !== undefined && !(parseInt(versions[key]) >= 0));
+    if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be a version number` });
+    }
+
+    try {
+        const diff = await diffVersions(
+            db,
+            parseInt(req.params.id),
+            from !== undefined ? parseInt(from) : null,
+            to !== undefined ? parseInt(to) : null
+        );
+        if (!diff) {
+            return res.status(404).json({ error: 'Presentation or version not found' });
+        }
+        res.json(diff);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Content editing: CRUD for cities, topics, periods, facts, people and places
+// PUT replaces every editable field, PATCH changes only the fields sent
+Object.entries(RESOURCES).forEach(([resource, { label }]) => {
+    const base = `/api/admin/${resource}`;
+
+    // Respond to SQLite errors, mapping UNIQUE violations (duplicate names) to 409
+    const sendDatabaseError = (res, error) => {
+        if (error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message)) {
+            return res.status(409).json({ error: `${label} already exists`, details: error.message });
+        }
+        console.error(`Error saving ${resource}:`, error);
+        res.status(500).json({ error: error.message });
+    };
+
+    const saveRecord = (partial) => async (req, res) => {
+        const editor = new ContentEditor(dbPath);
+        try {
+            const existing = await editor.get(resource, req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+
+            const { values, errors } = await editor.validate(resource, req.body, existing, partial);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Validation failed', details: errors });
+            }
+
+            res.json(await editor.update(resource, req.params.id, values));
+        } catch (error) {
+            sendDatabaseError(res, error);
+        } finally {
+            editor.close();
+        }
+    };
+
+    app.get(base, requireAdmin, async (req, res) => {
+        const editor = new ContentEditor(dbPath);
+        try {
+            res.json(await editor.list(resource));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        } finally {
+            editor.close();
+        }
+    });
+
+    app.get(`${base}/:id`, requireAdmin, async (req, res) => {
+        const editor = new ContentEditor(dbPath);
+        try {
+            const record = await editor.get(resource, req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+            res.json(record);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        } finally {
+            editor.close();
+        }
+    });
+
+    app.post(base, requireAdmin, async (req, res) => {
+        const editor = new ContentEditor(dbPath);
+        try {
+            const { values, errors } = await editor.validate(resource, req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Validation failed', details: errors });
+            }
+
+            const record = await editor.create(resource, values);
+            console.log(`✅ ${label} ${record.id} created`);
+            res.status(201).json(record);
+        } catch (error) {
+            sendDatabaseError(res, error);
+        } finally {
+            editor.close();
+        }
+    });
+
+    app.put(`${base}/:id`, requireAdmin, saveRecord(false));
+    app.patch(`${base}/:id`, requireAdmin, saveRecord(true));
+
+    app.delete(`${base}/:id`, requireAdmin, async (req, res) => {
+        const editor = new ContentEditor(dbPath);
+        try {
+            const record = await editor.get(resource, req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+
+            const dependents = await editor.countDependents(resource, req.params.id);
+            if (dependents > 0) {
+                return res.status(409).json({ error: `${label} is still referenced by ${dependents} record${dependents > 1 ? 's' : ''}` });
+            }
+
+            await editor.remove(resource, req.params.id);
+            console.log(`🗑️  ${label} ${req.params.id} deleted`);
+            res.json({ success: true, id: record.id });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        } finally {
+            editor.close();
+        }
+    });
+});
+
+// Bring the schema up to date before accepting requests; rows added outside the app get slugs
+migrate(db)
+    .then(() => fillMissingSlugs(db))
+    .then(() => jobQueue.start())
+    // Embed facts added while the server was down (seed scripts, imports)
+    .then(() => scheduleEmbedding(jobQueue))
+    .then(() => {
+        app.listen(PORT, '0.0.0.0', () => {
+            console.log('========================================');
+            console.log('✅ SETX History API running');
+            console.log(`   Local:  http://localhost:${PORT}`);
+            console.log('========================================');
+        });
+    })
+    .catch(error => {
+        console.error('❌ Failed to migrate database:', error);
+        process.exit(1);
+    });
+
 // Graceful shutdown handlers
 function gracefulShutdown() {
     console.log('\n🛑 Shutting down gracefully...');
@@ -0,0 +1,177 @@
+const sqlite3 = require('sqlite3').verbose();
+const { ResearchWorkflow } = require('./research-workflow');
+const { PageConsolidationAgent } = require('./page-consolidation-agent');
+const { slugify } = require('./slugs');
+const { embedFacts } = require('./fact-embeddings');
+const { createProvider } = require('./llm-providers');
+
+/**
+ * Background jobs run by the API server's job queue
+ * - research: collect media and extract facts for a new topic and build its page
+ * - enhance-page: research a question and add the facts and media it finds to an existing topic's page
+ * - consolidate: rebuild the category page a topic belongs to
+ * - embed-facts: embed new and edited facts for the chat agent's retrieval
+ */
+
+// Research calls the media archives for every download; keep it to one job at a time
+const JOB_OPTIONS = {
+    research: { concurrency: 1, maxAttempts: 3, retryDelaySeconds: 30 },
+    'enhance-page': { concurrency: 1, maxAttempts: 3, retryDelaySeconds: 30 },
+    consolidate: { concurrency: 1, maxAttempts: 2, retryDelaySeconds: 10 },
+    'embed-facts': { concurrency: 1, maxAttempts: 3, retryDelaySeconds: 60 }
+};
+
+// Words in a topic name that place it in a consolidated category
+const TOPIC_CATEGORIES = {
+    'spindletop': 'Oil & Energy',
+    'oil': 'Oil & Energy',
+    'drilling': 'Oil & Energy',
+    'refinery': 'Oil & Energy',
+    'lumber': 'Lumber Industry',
+    'sawmill': 'Lumber Industry',
+    'shipbuilding': 'Shipbuilding',
+    'shipyard': 'Shipbuilding'
+};
+
+/**
+ * Consolidated category a topic belongs to, or null
+ */
+function categoryForTopic(topic) {
+    const lowerTopic = String(topic).toLowerCase();
+    const key = Object.keys(TOPIC_CATEGORIES).find(word => lowerTopic.includes(word));
+    return key ? TOPIC_CATEGORIES[key] : null;
+}
+
+/**
+ * An error that retrying will not fix
+ */
+function permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+}
+
+/**
+ * Queue a rebuild of the topic's category page, if it has one
+ * @returns {Promise<object|null>} The consolidation job
+ */
+function scheduleConsolidation(queue, topic) {
+    const category = categoryForTopic(topic);
+    if (!category) {
+        return Promise.resolve(null);
+    }
+
+    console.log(`🔄 Scheduling consolidation for category: ${category}`);
+    return queue.enqueue('consolidate', { category }, { dedupeKey: `consolidate:${slugify(category)}` });
+}
+
+/**
+ * Queue embedding of the facts that are new or changed since they were last embedded
+ * @returns {Promise<object>} The embed-facts job (an already queued one if there is one)
+ */
+function scheduleEmbedding(queue) {
+    return queue.enqueue('embed-facts', {}, { dedupeKey: 'embed-facts' });
+}
+
+/**
+ * Register the research, enhance-page, consolidate and embed-facts handlers
+ * @param {object} options - onPageChanged, called after a job changes what a topic page shows;
+ *                           provider, the LLM provider that extracts and embeds facts;
+ *                           sources, media source adapters to search instead of MEDIA_SOURCES
+ */
+function registerBackgroundJobs(queue, dbPath, options = {}) {
+    const onPageChanged = options.onPageChanged || (() => {});
+    const provider = options.provider || createProvider();
+    const workflowOptions = { provider, sources: options.sources };
+
+    // The topic is stored before its media and facts are collected; a retry carries on with it
+    // instead of creating the topic again
+    queue.register('research', async ({ query, documents, topicId = null }, { progress, checkpoint }) => {
+        const workflow = new ResearchWorkflow(dbPath, workflowOptions);
+        let result;
+        try {
+            console.log(`\n🔬 Research triggered: ${query}`);
+            result = await workflow.processUserQuery(query, topicId, {
+                onProgress: progress,
+                documents,
+                onTopicStored: storedId => checkpoint({ topicId: storedId })
+            });
+        } finally {
+            workflow.close();
+        }
+
+        if (!result) {
+            throw permanentError('Could not extract topic from query');
+        }
+
+        onPageChanged();
+        await scheduleEmbedding(queue);
+        await scheduleConsolidation(queue, result.topic);
+        return {
+            topicId: result.topicId,
+            topic: result.topic,
+            mediaCollected: result.mediaCount,
+            factsAdded: result.factsAdded,
+            pageUrl: result.presentationUrl
+        };
+    }, JOB_OPTIONS.research);
+
+    queue.register('enhance-page', async ({ topicId, topicName, query, documents }, { progress }) => {
+        const workflow = new ResearchWorkflow(dbPath, workflowOptions);
+        let result;
+        try {
+            console.log(`🔬 Enhancing page for topic "${topicName}" with query: "${query}"`);
+            const contextualQuery = `${query} (related to ${topicName} in Southeast Texas history)`;
+            result = await workflow.processUserQuery(contextualQuery, topicId, { onProgress: progress, documents });
+        } finally {
+            workflow.close();
+        }
+
+        if (!result || (!result.factsAdded && !result.mediaCount)) {
+            throw permanentError('No new content found for this query. Try rephrasing or asking about a different aspect.');
+        }
+
+        onPageChanged();
+        await scheduleEmbedding(queue);
+        console.log(`✅ Page enhanced with ${result.factsAdded} new facts and ${result.mediaCount} media items`);
+        return {
+            topicId: result.topicId,
+            factsAdded: result.factsAdded,
+            mediaAdded: result.mediaCount,
+            pageUrl: result.presentationUrl
+        };
+    }, JOB_OPTIONS['enhance-page']);
+
+    queue.register('consolidate', async ({ category }, { progress }) => {
+        const consolidator = new PageConsolidationAgent(dbPath);
+        try {
+            progress(10, `Consolidating ${category}`);
+            const result = await consolidator.consolidateTopicCategory(category);
+            return result ? { category, url: result.url } : { category, url: null };
+        } finally {
+            consolidator.close();
+        }
+    }, JOB_OPTIONS.consolidate);
+
+    queue.register('embed-facts', async () => {
+        const db = new sqlite3.Database(dbPath);
+        try {
+            // Facts written while a batch was being embedded are picked up by the next pass
+            let embedded = 0;
+            let count;
+            while ((count = await embedFacts(db, provider.getEmbedder())) > 0) {
+                embedded += count;
+            }
+            return { embedded };
+        } finally {
+            db.close();
+        }
+    }, JOB_OPTIONS['embed-facts']);
+}
+
+module.exports = {
+    categoryForTopic,
+    scheduleConsolidation,
+    scheduleEmbedding,
+    registerBackgroundJobs
+};
@@ -8,6 +8,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { ResearchWorkflow } = require('./research-workflow');
+const { findTopicByName } = require('./topic-pages');
 
 const dbPath = path.join(__dirname, 'database.sqlite');
 const db = new sqlite3.Database(dbPath);
@@ -31,19 +32,8 @@ async function buildAllPresentations() {
                 console.log(`\n📍 Processing: ${topic.name}`);
                 
                 // Check if presentation already exists
-                const presentationExists = await new Promise((resolve, reject) => {
-                    db.get(`
-                        SELECT p.html_path
-                        FROM presentations p
-                        JOIN topics_researched t ON p.topic_id = t.id
-                        WHERE LOWER(t.topic) LIKE LOWER(?)
-                        ORDER BY p.created_at DESC
-                        LIMIT 1
-                    `, [`%${topic.name}%`], (err, existingPresentation) => {
-                        if (err) return reject(err);
-                        resolve(!!existingPresentation);
-                    });
-                });
+                const existing = await findTopicByName(db, topic.name);
+                const presentationExists = !!(existing && existing.has_page);
                 
                 if (presentationExists) {
                     console.log(`✅ Presentation already exists for: ${topic.name}`);
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * Chat conversations
+ * Each conversation gets a random access token when it is created. Only the browser that
+ * created it knows the token, and reading or continuing the conversation requires it, so
+ * the sequential conversation ids reveal nothing on their own.
+ */
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+function tokenMatches(expected, given) {
+    if (!expected || typeof given !== 'string' || !given) {
+        return false;
+    }
+    // Compare digests so the comparison takes the same time whatever the length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(given));
+}
+
+function publicConversation(conversation) {
+    const { access_token, ...rest } = conversation;
+    return rest;
+}
+
+/**
+ * Pick up the conversation of a browser session, or start one
+ * A stored session is only returned to a caller presenting its token.
+ * @returns {Promise<{conversation: object, created: boolean}|null>} conversation includes
+ *          its `token`; null when the session belongs to a conversation the caller can't open
+ */
+async function openConversation(db, sessionId, token = null, userIp = null) {
+    const existing = await get(db, 'SELECT * FROM chat_conversations WHERE session_id = ?', [sessionId]);
+    if (existing) {
+        if (!tokenMatches(existing.access_token, token)) {
+            return null;
+        }
+        return { conversation: { ...publicConversation(existing), token: existing.access_token }, created: false };
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    const { lastID } = await run(db, 'INSERT INTO chat_conversations (session_id, user_ip, access_token) VALUES (?, ?, ?)',
+        [sessionId, userIp, accessToken]);
+    return { conversation: { id: lastID, session_id: sessionId, token: accessToken }, created: true };
+}
+
+/**
+ * A conversation, if the token is its access token
+ * @returns {Promise<object|null>} Without the token; null for unknown ids and wrong tokens alike
+ */
+async function findConversation(db, id, token) {
+    const conversation = await get(db, 'SELECT * FROM chat_conversations WHERE id = ?', [id]);
+    return conversation && tokenMatches(conversation.access_token, token) ? publicConversation(conversation) : null;
+}
+
+/**
+ * A conversation with its stored messages, used to restore a chat after a reload
+ * @returns {Promise<object|null>} null for unknown ids and wrong tokens alike
+ */
+async function getConversationMessages(db, id, token) {
+    const conversation = await findConversation(db, id, token);
+    if (!conversation) {
+        return null;
+    }
+
+    const messages = await all(db,
+        'SELECT id, role, content, citations, created_at FROM chat_messages WHERE conversation_id = ? ORDER BY id ASC', [id]);
+    conversation.messages = messages.map(message => ({
+        ...message,
+        citations: message.citations ? JSON.parse(message.citations) : []
+    }));
+    return conversation;
+}
+
+module.exports = {
+    openConversation,
+    findConversation,
+    getConversationMessages
+};
@@ -0,0 +1,396 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { parseCoordinates } = require('./geo');
+const { assignSlug } = require('./slugs');
+const { withTransaction } = require('./review-queue');
+
+/**
+ * Editable content tables and the fields editors may set on them
+ * Field types: text, integer, decimal, year, boolean, url, coordinates ("latitude,longitude"),
+ * and reference (to another table's id). Slugged resources get a new slug when renamed (see slugs.js).
+ * `dependents` block a delete while they exist; `references` are cleaned up by it (foreign keys
+ * are not enforced), either deleted with the record or set to NULL.
+ */
+const RESOURCES = {
+    cities: {
+        table: 'historical_cities',
+        slugged: true,
+        label: 'City',
+        orderBy: 'name ASC',
+        fields: {
+            name: { type: 'text', required: true },
+            county: { type: 'text' },
+            founded_year: { type: 'year' },
+            founding_story: { type: 'text' },
+            population_current: { type: 'integer', min: 0 },
+            nickname: { type: 'text' },
+            notable_features: { type: 'text' },
+            coordinates: { type: 'coordinates' }
+        },
+        dependents: [
+            { table: 'historical_facts', column: 'city_id' },
+            { table: 'historical_people', column: 'city_id' },
+            { table: 'historical_places', column: 'city_id' }
+        ],
+        references: [
+            { table: 'public_contributions', column: 'city_id', onDelete: 'null' }
+        ]
+    },
+    topics: {
+        table: 'historical_topics',
+        slugged: true,
+        label: 'Topic',
+        orderBy: 'name ASC',
+        fields: {
+            name: { type: 'text', required: true },
+            description: { type: 'text' },
+            icon: { type: 'text' }
+        },
+        dependents: [
+            { table: 'historical_facts', column: 'topic_id' }
+        ],
+        references: [
+            { table: 'public_contributions', column: 'topic_id', onDelete: 'null' }
+        ]
+    },
+    periods: {
+        table: 'historical_periods',
+        label: 'Period',
+        orderBy: 'start_year ASC',
+        fields: {
+            name: { type: 'text', required: true },
+            start_year: { type: 'year' },
+            end_year: { type: 'year' },
+            description: { type: 'text' },
+            significance: { type: 'text' }
+        },
+        dependents: [
+            { table: 'historical_facts', column: 'period_id' }
+        ],
+        check: (record) => record.start_year !== null && record.end_year !== null && record.start_year > record.end_year
+            ? ['start_year must not be after end_year']
+            : []
+    },
+    facts: {
+        table: 'historical_facts',
+        label: 'Fact',
+        orderBy: 'event_year DESC, importance DESC',
+        fields: {
+            title: { type: 'text', required: true },
+            content: { type: 'text', required: true },
+            event_date: { type: 'text' },
+            event_year: { type: 'year' },
+            city_id: { type: 'reference', table: 'historical_cities' },
+            topic_id: { type: 'reference', table: 'historical_topics' },
+            period_id: { type: 'reference', table: 'historical_periods' },
+            place_id: { type: 'reference', table: 'historical_places' },
+            source_url: { type: 'url' },
+            source_name: { type: 'text' },
+            image_url: { type: 'text' },
+            is_verified: { type: 'boolean' },
+            importance: { type: 'integer', min: 1, max: 10 }
+        },
+        dependents: [],
+        references: [
+            { table: 'fact_embeddings', column: 'fact_id', onDelete: 'delete' },
+            { table: 'public_contributions', column: 'fact_id', onDelete: 'null' },
+            { table: 'learned_insights', column: 'fact_id', onDelete: 'null' }
+        ]
+    },
+    people: {
+        table: 'historical_people',
+        label: 'Person',
+        orderBy: 'name ASC',
+        fields: {
+            name: { type: 'text', required: true },
+            birth_year: { type: 'year' },
+            death_year: { type: 'year' },
+            city_id: { type: 'reference', table: 'historical_cities' },
+            biography: { type: 'text' },
+            occupation: { type: 'text' },
+            significance: { type: 'text' },
+            image_url: { type: 'text' },
+            source_url: { type: 'url' }
+        },
+        dependents: [],
+        check: (record) => record.birth_year !== null && record.death_year !== null && record.birth_year > record.death_year
+            ? ['birth_year must not be after death_year']
+            : []
+    },
+    places: {
+        table: 'historical_places',
+        label: 'Place',
+        orderBy: 'name ASC',
+        fields: {
+            name: { type: 'text', required: true },
+            place_type: { type: 'text' },
+            description: { type: 'text' },
+            city_id: { type: 'reference', table: 'historical_cities' },
+            latitude: { type: 'decimal', required: true, min: -90, max: 90 },
+            longitude: { type: 'decimal', required: true, min: -180, max: 180 },
+            source_url: { type: 'url' }
+        },
+        dependents: [
+            { table: 'historical_facts', column: 'place_id' }
+        ]
+    }
+};
+
+/**
+ * Content Editor
+ * Validated create/update/delete for the curated history tables, keeping updated_at current
+ */
+class ContentEditor {
+    constructor(dbPath) {
+        this.db = new sqlite3.Database(dbPath || path.join(__dirname, 'database.sqlite'));
+    }
+
+    /**
+     * List records of a resource
+     */
+    list(resource, limit = 500) {
+        const { table, orderBy } = RESOURCES[resource];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT * FROM ${table} ORDER BY ${orderBy} LIMIT ?`, [limit], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Get a single record
+     */
+    get(resource, id) {
+        const { table } = RESOURCES[resource];
+
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT * FROM ${table} WHERE id = ?`, [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Check that a referenced row exists
+     */
+    referenceExists(table, id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT id FROM ${table} WHERE id = ?`, [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(!!row);
+            });
+        });
+    }
+
+    /**
+     * Convert a single submitted value to its column value
+     * @returns {{ value, error }}
+     */
+    coerceField(name, rule, raw) {
+        if (raw === null || raw === '') {
+            return rule.required ? { error: `${name} is required` } : { value: null };
+        }
+
+        switch (rule.type) {
+            case 'text':
+                if (typeof raw !== 'string') return { error: `${name} must be a string` };
+                if (rule.required && !raw.trim()) return { error: `${name} is required` };
+                return { value: raw.trim() };
+
+            case 'integer':
+            case 'year':
+            case 'reference': {
+                const number = Number(raw);
+                if (!Number.isInteger(number)) return { error: `${name} must be an integer` };
+                if (rule.type === 'year' && (number < 1000 || number > new Date().getFullYear())) {
+                    return { error: `${name} must be a year between 1000 and ${new Date().getFullYear()}` };
+                }
+                if (rule.min !== undefined && number < rule.min) return { error: `${name} must be at least ${rule.min}` };
+                if (rule.max !== undefined && number > rule.max) return { error: `${name} must be at most ${rule.max}` };
+                return { value: number };
+            }
+
+            case 'decimal': {
+                const number = typeof raw === 'string' && raw.trim() ? Number(raw) : raw;
+                if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `${name} must be a number` };
+                if (rule.min !== undefined && number < rule.min) return { error: `${name} must be at least ${rule.min}` };
+                if (rule.max !== undefined && number > rule.max) return { error: `${name} must be at most ${rule.max}` };
+                return { value: number };
+            }
+
+            case 'coordinates': {
+                const position = parseCoordinates(raw);
+                if (!position) return { error: `${name} must be "latitude,longitude"` };
+                return { value: `${position.latitude},${position.longitude}` };
+            }
+
+            case 'boolean':
+                if ([true, 1, '1', 'true'].includes(raw)) return { value: 1 };
+                if ([false, 0, '0', 'false'].includes(raw)) return { value: 0 };
+                return { error: `${name} must be true or false` };
+
+            case 'url':
+                if (typeof raw !== 'string' || !/^https?:\/\/\S+$/i.test(raw.trim())) {
+                    return { error: `${name} must be an http(s) URL` };
+                }
+                return { value: raw.trim() };
+
+            default:
+                return { error: `${name} has an unknown type` };
+        }
+    }
+
+    /**
+     * Validate submitted data for a resource
+     * @param {object} data - Request body
+     * @param {object} existing - Current record for partial updates, null otherwise
+     * @param {boolean} partial - PATCH semantics: only submitted fields change
+     * @returns {Promise<{ values: object, errors: string[] }>} Column values to write and any validation errors
+     */
+    async validate(resource, data, existing = null, partial = false) {
+        const { fields, check } = RESOURCES[resource];
+        const errors = [];
+        const values = {};
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { values, errors: ['Request body must be a JSON object'] };
+        }
+
+        Object.keys(data)
+            .filter(name => !fields[name])
+            .forEach(name => errors.push(`${name} is not an editable field`));
+
+        for (const [name, rule] of Object.entries(fields)) {
+            if (partial && data[name] === undefined) continue;
+
+            const { value, error } = this.coerceField(name, rule, data[name] === undefined ? null : data[name]);
+            if (error) {
+                errors.push(error);
+                continue;
+            }
+
+            if (rule.type === 'reference' && value !== null && !(await this.referenceExists(rule.table, value))) {
+                errors.push(`${name} ${value} does not exist`);
+                continue;
+            }
+
+            values[name] = value;
+        }
+
+        if (check && errors.length === 0) {
+            const merged = { ...(existing || {}), ...values };
+            Object.keys(fields).forEach(name => {
+                if (merged[name] === undefined) merged[name] = null;
+            });
+            errors.push(...check(merged));
+        }
+
+        return { values, errors };
+    }
+
+    /**
+     * Insert a validated record
+     */
+    create(resource, values) {
+        const { table } = RESOURCES[resource];
+        const columns = Object.keys(values);
+        const db = this.db;
+
+        return new Promise((resolve, reject) => {
+            db.run(
+                `INSERT INTO ${table} (${[...columns, 'updated_at'].join(', ')})
+                 VALUES (${columns.map(() => '?').join(', ')}${columns.length ? ', ' : ''}datetime('now'))`,
+                columns.map(column => values[column]),
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                }
+            );
+        }).then(id => this.afterWrite(resource, id));
+    }
+
+    /**
+     * Update a record with validated values and bump updated_at
+     */
+    update(resource, id, values) {
+        const { table } = RESOURCES[resource];
+        const assignments = [...Object.keys(values).map(column => `${column} = ?`), "updated_at = datetime('now')"];
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ?`,
+                [...Object.values(values), id],
+                (err) => {
+                    if (err) return reject(err);
+                    this.afterWrite(resource, id).then(resolve, reject);
+                }
+            );
+        });
+    }
+
+    /**
+     * Keep the slug in step with the name, then return the saved record
+     */
+    async afterWrite(resource, id) {
+        const { table, slugged } = RESOURCES[resource];
+        if (slugged) {
+            await assignSlug(this.db, table, id);
+        }
+        return this.get(resource, id);
+    }
+
+    /**
+     * Count rows in other tables that still reference a record
+     */
+    async countDependents(resource, id) {
+        const counts = await Promise.all(RESOURCES[resource].dependents.map(({ table, column }) =>
+            new Promise((resolve, reject) => {
+                this.db.get(`SELECT COUNT(*) as count FROM ${table} WHERE ${column} = ?`, [id], (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row.count);
+                });
+            })
+        ));
+
+        return counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Delete a record with the redirects from its old slugs, and delete or unlink the rows
+     * referencing it, in one transaction
+     */
+    async remove(resource, id) {
+        const { table, slugged, references = [] } = RESOURCES[resource];
+        const run = (sql, params) => new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+
+        return withTransaction(this.db, async () => {
+            const deleted = await run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+            if (!deleted) {
+                return false;
+            }
+            if (slugged) {
+                await run('DELETE FROM slug_redirects WHERE table_name = ? AND row_id = ?', [table, id]);
+            }
+            for (const reference of references) {
+                await run(reference.onDelete === 'delete'
+                    ? `DELETE FROM ${reference.table} WHERE ${reference.column} = ?`
+                    : `UPDATE ${reference.table} SET ${reference.column} = NULL WHERE ${reference.column} = ?`, [id]);
+            }
+            return true;
+        });
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { ContentEditor, RESOURCES };
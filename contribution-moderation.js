@@ -0,0 +1,194 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { run, escapeRegExp, resolveEventYear, applyEdits, publishFact } = require('./review-queue');
+
+// Fields an editor may change before a contribution is approved
+const EDITABLE_FIELDS = ['topic', 'fact_title', 'fact_content', 'source', 'topic_id', 'city_id', 'event_year'];
+
+/**
+ * Contribution Moderator
+ * Reviews public contributions and promotes approved ones into historical_facts
+ */
+class ContributionModerator {
+    constructor(dbPath) {
+        this.db = new sqlite3.Database(dbPath || path.join(__dirname, 'database.sqlite'));
+    }
+
+    /**
+     * List contributions by review status ('pending', 'approved', 'rejected' or 'all')
+     */
+    listContributions(status = 'pending', limit = 50) {
+        return new Promise((resolve, reject) => {
+            let query = `
+                SELECT pc.*, ht.name as topic_name, hc.name as city_name
+                FROM public_contributions pc
+                LEFT JOIN historical_topics ht ON pc.topic_id = ht.id
+                LEFT JOIN historical_cities hc ON pc.city_id = hc.id
+            `;
+            const params = [];
+
+            if (status !== 'all') {
+                query += ' WHERE pc.status = ?';
+                params.push(status);
+            }
+
+            query += ' ORDER BY pc.created_at ASC LIMIT ?';
+            params.push(limit);
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Get a single contribution with its resolved topic/city names
+     */
+    getContribution(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT pc.*, ht.name as topic_name, hc.name as city_name
+                FROM public_contributions pc
+                LEFT JOIN historical_topics ht ON pc.topic_id = ht.id
+                LEFT JOIN historical_cities hc ON pc.city_id = hc.id
+                WHERE pc.id = ?
+            `, [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Edit a pending contribution before it is approved
+     * Only fields in EDITABLE_FIELDS are applied
+     */
+    async updateContribution(id, changes) {
+        await applyEdits(this.db, 'public_contributions', EDITABLE_FIELDS, id, changes, "status = 'pending'");
+        return this.getContribution(id);
+    }
+
+    /**
+     * Resolve the historical topic for a contribution
+     * Uses the editor-assigned topic_id, otherwise matches the submitted topic name
+     */
+    resolveTopicId(contribution) {
+        if (contribution.topic_id) {
+            return Promise.resolve(contribution.topic_id);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT id FROM historical_topics WHERE LOWER(name) = LOWER(?)',
+                [contribution.topic],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row ? row.id : null);
+                }
+            );
+        });
+    }
+
+    /**
+     * Resolve the city for a contribution
+     * Uses the editor-assigned city_id, otherwise the first city named in the title or content
+     */
+    resolveCityId(contribution) {
+        if (contribution.city_id) {
+            return Promise.resolve(contribution.city_id);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT id, name FROM historical_cities', [], (err, cities) => {
+                if (err) return reject(err);
+
+                const text = `${contribution.fact_title} ${contribution.fact_content}`.toLowerCase();
+                // Prefer longer names so multi-word cities win over overlapping shorter names
+                const match = (cities || [])
+                    .sort((a, b) => b.name.length - a.name.length)
+                    .find(city => new RegExp(`\\b${escapeRegExp(city.name.toLowerCase())}\\b`).test(text));
+
+                resolve(match ? match.id : null);
+            });
+        });
+    }
+
+    /**
+     * Determine the event year: editor-assigned, else the first year in the title or content
+     */
+    resolveEventYear(contribution) {
+        return resolveEventYear(contribution.event_year, `${contribution.fact_title} ${contribution.fact_content}`);
+    }
+
+    /**
+     * Approve a contribution and create the matching historical fact
+     * Of two concurrent approvals only one creates a fact (see publishFact).
+     * @param {number} id - Contribution ID
+     * @param {string} reviewer - Name recorded in reviewed_by
+     * @param {object} overrides - Optional topic_id/city_id/event_year set at approval time
+     * @returns {Promise<object|null>} The approved contribution, or null when it doesn't exist or was already reviewed
+     */
+    async approveContribution(id, reviewer, overrides = {}) {
+        const contribution = await this.updateContribution(id, overrides);
+
+        if (!contribution || contribution.status !== 'pending') {
+            return null;
+        }
+
+        const topicId = await this.resolveTopicId(contribution);
+        const cityId = await this.resolveCityId(contribution);
+        const eventYear = this.resolveEventYear(contribution);
+
+        const factId = await publishFact(this.db, {
+            table: 'public_contributions',
+            id,
+            claimSql: `
+                UPDATE public_contributions
+                SET status = 'approved', reviewed_by = ?, reviewed_at = datetime('now'),
+                    topic_id = ?, city_id = ?, event_year = ?
+                WHERE id = ? AND status = 'pending'
+            `,
+            claimParams: [reviewer, topicId, cityId, eventYear, id]
+        }, {
+            title: contribution.fact_title,
+            content: contribution.fact_content,
+            event_year: eventYear,
+            city_id: cityId,
+            topic_id: topicId,
+            source_name: contribution.source || 'Public contribution'
+        });
+
+        if (!factId) {
+            return null;
+        }
+
+        console.log(`✅ Contribution ${id} approved as fact ${factId}`);
+        return this.getContribution(id);
+    }
+
+    /**
+     * Reject a contribution with a reason
+     * @returns {Promise<object|null>} The rejected contribution, or null when it doesn't exist or was already reviewed
+     */
+    async rejectContribution(id, reviewer, reason) {
+        const { changes } = await run(this.db, `
+            UPDATE public_contributions
+            SET status = 'rejected', reviewed_by = ?, reviewed_at = datetime('now'), rejection_reason = ?
+            WHERE id = ? AND status = 'pending'
+        `, [reviewer, reason, id]);
+
+        if (changes !== 1) {
+            return null;
+        }
+
+        console.log(`🚫 Contribution ${id} rejected`);
+        return this.getContribution(id);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { ContributionModerator };
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Find duplicate media files in public/images/historical and merge them
+ * Files with the same bytes, or images whose perceptual hashes nearly match, form a group.
+ * Each group keeps its largest file (for re-encoded copies, usually the best one); topics
+ * and facts that showed the others show it instead, and the other files and their
+ * variants are deleted.
+ * Every file left is registered in media_files so later downloads can reuse it.
+ *   node dedupe-media.js                List the duplicates without changing anything
+ *   node dedupe-media.js --apply        Merge them
+ *   node dedupe-media.js --threshold 4  Bits perceptual hashes may differ by (default 6)
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { migrate } = require('./schema-migrations');
+const { PHASH_THRESHOLD, hashMedia, registerMediaFile, groupDuplicates, mergeMediaFile } = require('./media-dedup');
+const { sniffMediaType } = require('./media-types');
+const { getVariantsByPath } = require('./media-derivatives');
+
+const dbPath = path.join(__dirname, 'database.sqlite');
+const MEDIA_DIR = path.join(__dirname, 'public', 'images', 'historical');
+const MEDIA_URL_PREFIX = '/images/historical';
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function run(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function parseArgs(argv) {
+    const options = { apply: false, threshold: PHASH_THRESHOLD };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--apply') {
+            options.apply = true;
+        } else if (argv[i] === '--threshold') {
+            options.threshold = parseInt(argv[++i]);
+            if (isNaN(options.threshold) || options.threshold < 0 || options.threshold > 64) {
+                throw new Error('--threshold needs a number of bits from 0 to 64');
+            }
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Hash every file in a media directory
+ */
+async function scanMediaFiles(dir, urlPrefix = MEDIA_URL_PREFIX) {
+    const files = [];
+
+    for (const name of fs.readdirSync(dir).sort()) {
+        const filepath = path.join(dir, name);
+        if (!fs.statSync(filepath).isFile()) continue;
+
+        const buffer = fs.readFileSync(filepath);
+        const detected = sniffMediaType(buffer);
+        files.push({ name, filepath, mediaPath: `${urlPrefix}/${name}`, ...(await hashMedia(buffer, detected ? detected.type : null)) });
+    }
+
+    return files;
+}
+
+/**
+ * Group the duplicates in a media directory and, with `apply`, merge each group into its
+ * kept file
+ * @param {object} options - apply, threshold, urlPrefix (public path of the directory)
+ * @returns {Promise<Array<{kept: object, duplicates: object[]}>>}
+ */
+async function dedupeMediaFiles(db, dir, options = {}) {
+    const { apply = false, threshold = PHASH_THRESHOLD, urlPrefix = MEDIA_URL_PREFIX } = options;
+    const files = await scanMediaFiles(dir, urlPrefix);
+
+    for (const file of files) {
+        const row = await get(db, 'SELECT COUNT(*) as count FROM topic_media WHERE media_path = ?', [file.mediaPath]);
+        file.references = row.count;
+    }
+
+    const groups = groupDuplicates(files, threshold).map(group => {
+        const [kept, ...duplicates] = [...group].sort((a, b) =>
+            b.byteSize - a.byteSize || b.references - a.references || a.name.localeCompare(b.name));
+        return { kept, duplicates };
+    });
+
+    if (!apply) {
+        return groups;
+    }
+
+    const duplicateVariants = await getVariantsByPath(db, groups.flatMap(group => group.duplicates.map(file => file.mediaPath)));
+
+    await run(db, 'BEGIN');
+    try {
+        const duplicatePaths = new Set(groups.flatMap(group => group.duplicates.map(file => file.mediaPath)));
+        for (const file of files.filter(file => !duplicatePaths.has(file.mediaPath))) {
+            await registerMediaFile(db, file);
+        }
+        for (const { kept, duplicates } of groups) {
+            for (const duplicate of duplicates) {
+                await mergeMediaFile(db, duplicate.mediaPath, kept.mediaPath);
+            }
+        }
+        await run(db, 'COMMIT');
+    } catch (error) {
+        await run(db, 'ROLLBACK');
+        throw error;
+    }
+
+    // Only delete files once nothing in the database points at them
+    groups.forEach(group => group.duplicates.forEach(file => fs.unlinkSync(file.filepath)));
+    for (const variants of duplicateVariants.values()) {
+        variants.forEach(variant => fs.rmSync(path.join(dir, path.posix.relative(urlPrefix, variant.media_path)), { force: true }));
+    }
+    return groups;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const db = new sqlite3.Database(dbPath);
+
+    try {
+        await migrate(db);
+        const groups = await dedupeMediaFiles(db, MEDIA_DIR, options);
+
+        for (const { kept, duplicates } of groups) {
+            console.log(`🖼️  ${kept.name}`);
+            duplicates.forEach(file => console.log(`   ${options.apply ? '🗑️  merged' : '↪ duplicate'}: ${file.name} (${file.references} topic link${file.references === 1 ? '' : 's'})`));
+        }
+
+        const count = groups.reduce((sum, group) => sum + group.duplicates.length, 0);
+        if (options.apply) {
+            console.log(`\n✅ Merged ${count} duplicate file${count === 1 ? '' : 's'} in ${groups.length} group${groups.length === 1 ? '' : 's'}`);
+        } else {
+            console.log(count
+                ? `\nFound ${count} duplicate file${count === 1 ? '' : 's'}. Run with --apply to merge them.`
+                : '✅ No duplicate media files');
+        }
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = { scanMediaFiles, dedupeMediaFiles };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Deduplication failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+/**
+ * Embedding-based fact retrieval
+ * Facts are embedded through an embedder and the vectors are stored in SQLite.
+ * Questions are embedded the same way and matched by cosine similarity.
+ *
+ * An embedder is any object with `model` and `async embed(texts) -> number[][]`;
+ * LLM providers supply one through getEmbedder().
+ */
+
+const BATCH_SIZE = 32;
+
+/**
+ * Create the fact_embeddings table
+ */
+function createEmbeddingTable(db) {
+    return new Promise((resolve, reject) => {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS fact_embeddings (
+                fact_id INTEGER PRIMARY KEY REFERENCES historical_facts(id) ON DELETE CASCADE,
+                model TEXT NOT NULL,
+                dimensions INTEGER NOT NULL,
+                content_hash TEXT NOT NULL,
+                embedding BLOB NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `, (err) => {
+            if (err) {
+                console.error('Error creating fact_embeddings:', err);
+                reject(err);
+            } else {
+                console.log('✅ Table: fact_embeddings');
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Text that represents a fact in the vector store
+ */
+function factText(fact) {
+    return `${fact.title}\n${fact.content}`;
+}
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function toBlob(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function fromBlob(blob) {
+    // Copy out of the Buffer so the Float32Array view is always 4-byte aligned
+    return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+/**
+ * Cosine similarity between two vectors of equal length
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+        return 0;
+    }
+
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Embed facts that have no vector yet, or whose text or model changed since they were embedded
+ * @returns {Promise<number>} Number of facts embedded
+ */
+async function embedFacts(db, embedder) {
+    const facts = await new Promise((resolve, reject) => {
+        db.all(`
+            SELECT hf.id, hf.title, hf.content, fe.model, fe.content_hash
+            FROM historical_facts hf
+            LEFT JOIN fact_embeddings fe ON fe.fact_id = hf.id
+        `, [], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+
+    const stale = facts
+        .map(fact => ({ ...fact, text: factText(fact) }))
+        .filter(fact => fact.model !== embedder.model || fact.content_hash !== hashText(fact.text));
+
+    for (let start = 0; start < stale.length; start += BATCH_SIZE) {
+        const batch = stale.slice(start, start + BATCH_SIZE);
+        const vectors = await embedder.embed(batch.map(fact => fact.text));
+
+        await Promise.all(batch.map((fact, index) => new Promise((resolve, reject) => {
+            db.run(`
+                INSERT OR REPLACE INTO fact_embeddings (fact_id, model, dimensions, content_hash, embedding, created_at)
+                VALUES (?, ?, ?, ?, ?, datetime('now'))
+            `, [fact.id, embedder.model, vectors[index].length, hashText(fact.text), toBlob(vectors[index])], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        })));
+    }
+
+    if (stale.length > 0) {
+        console.log(`🧭 Embedded ${stale.length} facts with ${embedder.model}`);
+    }
+
+    return stale.length;
+}
+
+/**
+ * Find the top-k facts most similar to a question
+ * @param {object} options - limit, verifiedOnly
+ * @returns {Promise<Array>} Fact rows with city/topic names and a `similarity` score, best first
+ */
+async function findSimilarFacts(db, embedder, question, options = {}) {
+    const { limit = 10, verifiedOnly = false } = options;
+    const [questionVector] = await embedder.embed([question]);
+
+    const rows = await new Promise((resolve, reject) => {
+        db.all(`
+            SELECT hf.*, hc.name as city_name, ht.name as topic_name, fe.embedding
+            FROM fact_embeddings fe
+            JOIN historical_facts hf ON hf.id = fe.fact_id
+            LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+            LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+            WHERE fe.model = ? AND fe.dimensions = ? ${verifiedOnly ? 'AND hf.is_verified = 1' : ''}
+        `, [embedder.model, questionVector.length], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+
+    return rows
+        .map(({ embedding, ...fact }) => ({
+            ...fact,
+            similarity: cosineSimilarity(questionVector, fromBlob(embedding))
+        }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+}
+
+module.exports = {
+    createEmbeddingTable,
+    cosineSimilarity,
+    embedFacts,
+    findSimilarFacts
+};
@@ -0,0 +1,265 @@
+const sqlite3 = require('sqlite3').verbose();
+const { createProvider } = require('./llm-providers');
+
+/**
+ * Fact Extraction
+ * Turns research source text (archive item descriptions, supplied documents) into candidate
+ * historical_facts. The LLM proposes each fact's title, year, city, topic and source; the
+ * facts are stored unverified and linked to the researched topic so an editor can review
+ * them before they reach the chat agent, which only cites verified facts.
+ *
+ * A source document is { title, text, source, url }.
+ */
+
+// Keep prompts within small local models' context windows
+const MAX_DOCUMENTS = 10;
+const MAX_DOCUMENT_CHARS = 4000;
+const MAX_FACTS = 12;
+const MIN_YEAR = 1500;
+const MAX_SUPPLIED_CHARS = 20000;
+
+const SYSTEM_PROMPT = `You extract historical facts about Southeast Texas from source documents.
+Reply with only a JSON array. Each element is an object with these keys:
+  "title": a short headline for the fact
+  "content": one to three sentences stating the fact
+  "year": the four-digit year it happened, or null
+  "city": the city it happened in, or null
+  "topic": the topic it belongs to, or null
+  "source": the number of the source document it comes from
+  "excerpt": the sentence from that source that supports it
+Only state what the sources say. Prefer the known city and topic names you are given.
+Reply with [] if the sources contain no facts about the subject.`;
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+        });
+    });
+}
+
+/**
+ * Problems with documents supplied in an API request
+ * @returns {string[]} Empty when documents is missing or valid
+ */
+function documentErrors(documents) {
+    if (documents === undefined || documents === null) {
+        return [];
+    }
+    if (!Array.isArray(documents)) {
+        return ['documents must be an array'];
+    }
+    if (documents.length > MAX_DOCUMENTS) {
+        return [`At most ${MAX_DOCUMENTS} documents can be supplied`];
+    }
+
+    const errors = [];
+    documents.forEach((doc, index) => {
+        if (!doc || typeof doc.text !== 'string' || !doc.text.trim()) {
+            errors.push(`documents[${index}].text is required`);
+        } else if (doc.text.length > MAX_SUPPLIED_CHARS) {
+            errors.push(`documents[${index}].text is longer than ${MAX_SUPPLIED_CHARS} characters`);
+        }
+        for (const field of ['title', 'source', 'url']) {
+            if (doc && doc[field] !== undefined && doc[field] !== null && typeof doc[field] !== 'string') {
+                errors.push(`documents[${index}].${field} must be a string`);
+            }
+        }
+        // The url becomes the fact's source_url, which pages and the API hand out as a link
+        if (doc && typeof doc.url === 'string' && doc.url.trim() && !/^https?:\/\/\S+$/i.test(doc.url.trim())) {
+            errors.push(`documents[${index}].url must be an http(s) URL`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Documents worth sending to the model: trimmed, with text, capped in number and length
+ */
+function normalizeDocuments(documents = []) {
+    return documents
+        .filter(doc => doc && typeof doc.text === 'string' && doc.text.trim())
+        .slice(0, MAX_DOCUMENTS)
+        .map(doc => ({
+            title: String(doc.title || 'Untitled source').trim(),
+            text: doc.text.trim().slice(0, MAX_DOCUMENT_CHARS),
+            source: doc.source ? String(doc.source).trim() : null,
+            url: doc.url ? String(doc.url).trim() : null
+        }));
+}
+
+/**
+ * Chat messages asking the model for facts about a subject from numbered sources
+ */
+function buildExtractionMessages(subject, documents, known = {}) {
+    const sources = documents.map((doc, index) => {
+        const heading = doc.source ? `${doc.title} (${doc.source})` : doc.title;
+        return `[${index + 1}] ${heading}\n${doc.text}`;
+    });
+
+    const user = [
+        `Subject: ${subject}`,
+        known.cities && known.cities.length ? `Known cities: ${known.cities.join(', ')}` : null,
+        known.topics && known.topics.length ? `Known topics: ${known.topics.join(', ')}` : null,
+        '',
+        'Sources:',
+        sources.join('\n\n')
+    ].filter(line => line !== null).join('\n');
+
+    return [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: user }
+    ];
+}
+
+/**
+ * The JSON array in a model reply, tolerating code fences and text around it
+ * @returns {object[]} Empty when the reply holds no parsable array
+ */
+function parseFactList(reply) {
+    const text = String(reply || '');
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+        return [];
+    }
+
+    try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        return Array.isArray(parsed) ? parsed.filter(item => item && typeof item === 'object') : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function cleanText(value, maxLength) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+function cleanYear(value) {
+    const year = parseInt(value, 10);
+    return year >= MIN_YEAR && year <= new Date().getFullYear() ? year : null;
+}
+
+/**
+ * "Beaumont, Texas" and "beaumont" both match the known city "Beaumont"
+ */
+function matchName(rows, name) {
+    if (!name) return null;
+    const wanted = String(name).toLowerCase().replace(/,?\s*(texas|tx)\.?$/, '').trim();
+    return rows.find(row => row.name.toLowerCase() === wanted) || null;
+}
+
+class FactExtractor {
+    /**
+     * @param {object} provider - LLM provider, see llm-providers.js
+     */
+    constructor(dbPath, provider = createProvider()) {
+        this.db = new sqlite3.Database(dbPath);
+        this.provider = provider;
+    }
+
+    /**
+     * Ask the model for candidate facts and resolve them against the database
+     * Candidates without a title, content or valid source number are dropped.
+     * @returns {Promise<object[]>} historical_facts-shaped rows, not yet stored
+     */
+    async proposeFacts(subject, documents) {
+        const sources = normalizeDocuments(documents);
+        if (sources.length === 0) {
+            return [];
+        }
+
+        const cities = await all(this.db, 'SELECT id, name FROM historical_cities ORDER BY name');
+        const topics = await all(this.db, 'SELECT id, name FROM historical_topics ORDER BY name');
+
+        const messages = buildExtractionMessages(subject, sources, {
+            cities: cities.map(city => city.name),
+            topics: topics.map(topic => topic.name)
+        });
+        const reply = await this.provider.chat(messages, { temperature: 0.2 });
+
+        const facts = [];
+        for (const candidate of parseFactList(reply).slice(0, MAX_FACTS)) {
+            const title = cleanText(candidate.title, 200);
+            const content = cleanText(candidate.content, 2000);
+            const source = sources[parseInt(candidate.source, 10) - 1];
+            if (!title || !content || !source) continue;
+
+            const city = matchName(cities, candidate.city);
+            const topic = matchName(topics, candidate.topic);
+            facts.push({
+                title,
+                content,
+                event_year: cleanYear(candidate.year),
+                city_id: city ? city.id : null,
+                topic_id: topic ? topic.id : null,
+                source_name: source.source || source.title,
+                source_url: source.url,
+                source_excerpt: cleanText(candidate.excerpt, 500)
+            });
+        }
+
+        return facts;
+    }
+
+    /**
+     * Extract facts from source documents and store the new ones as unverified facts of a
+     * researched topic; facts whose title is already recorded are skipped
+     * @param {number} researchTopicId - topics_researched id the facts came from
+     * @returns {Promise<object[]>} The stored facts, with ids
+     */
+    async extractFacts(researchTopicId, subject, documents) {
+        const proposed = await this.proposeFacts(subject, documents);
+        const stored = [];
+
+        for (const fact of proposed) {
+            const duplicate = stored.some(other => other.title.toLowerCase() === fact.title.toLowerCase()) ||
+                await get(this.db, 'SELECT id FROM historical_facts WHERE LOWER(title) = LOWER(?)', [fact.title]);
+            if (duplicate) continue;
+
+            const id = await run(this.db, `
+                INSERT INTO historical_facts
+                    (title, content, event_year, city_id, topic_id, source_name, source_url,
+                     source_excerpt, research_topic_id, is_verified)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+            `, [fact.title, fact.content, fact.event_year, fact.city_id, fact.topic_id, fact.source_name,
+                fact.source_url, fact.source_excerpt, researchTopicId]);
+            stored.push({ id, ...fact, research_topic_id: researchTopicId, is_verified: 0 });
+        }
+
+        console.log(`🧾 Extracted ${stored.length} new fact${stored.length === 1 ? '' : 's'} for "${subject}" (${proposed.length} proposed)`);
+        return stored;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = {
+    FactExtractor,
+    documentErrors,
+    normalizeDocuments,
+    buildExtractionMessages,
+    parseFactList
+};
@@ -0,0 +1,137 @@
+/**
+ * Geographic data for the map view
+ * Cities keep their location in historical_cities.coordinates as "latitude,longitude" text;
+ * landmarks live in historical_places with numeric latitude/longitude columns.
+ */
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Parse "latitude,longitude" text
+ * @returns {{latitude: number, longitude: number}|null} null when the text is not a valid position
+ */
+function parseCoordinates(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    const match = text.trim().match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) {
+        return null;
+    }
+
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return null;
+    }
+
+    return { latitude, longitude };
+}
+
+/**
+ * Tile server and initial view for the map page
+ * Point MAP_TILE_URL at a local tile server to use the map offline.
+ */
+function getMapConfig(env = process.env) {
+    return {
+        tileUrl: env.MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: env.MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors',
+        maxZoom: env.MAP_MAX_ZOOM ? parseInt(env.MAP_MAX_ZOOM) : 19,
+        // Golden Triangle: Beaumont, Port Arthur and Orange
+        center: [30.0, -93.95],
+        zoom: 10
+    };
+}
+
+/**
+ * Cities and places as a GeoJSON FeatureCollection, each with the facts recorded there
+ * City features list facts by city_id; place features list facts pinned to them by place_id.
+ * @param {object} options - types ('cities', 'places'), topicId to limit the facts shown
+ */
+async function buildGeoJSON(db, options = {}) {
+    const { types = ['cities', 'places'], topicId = null } = options;
+
+    let factQuery = 'SELECT id, title, event_year, is_verified, city_id, place_id, topic_id FROM historical_facts WHERE 1=1';
+    const factParams = [];
+    if (topicId !== null) {
+        factQuery += ' AND topic_id = ?';
+        factParams.push(topicId);
+    }
+    factQuery += ' ORDER BY event_year ASC, importance DESC';
+
+    const facts = await all(db, factQuery, factParams);
+    const factSummary = ({ id, title, event_year, is_verified }) => ({ id, title, event_year, is_verified });
+    const features = [];
+
+    if (types.includes('cities')) {
+        const cities = await all(db, 'SELECT id, name, county, founded_year, nickname, founding_story, coordinates FROM historical_cities ORDER BY name');
+
+        cities.forEach(city => {
+            const position = parseCoordinates(city.coordinates);
+            if (!position) return;
+
+            const cityFacts = facts.filter(fact => fact.city_id === city.id).map(factSummary);
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [position.longitude, position.latitude] },
+                properties: {
+                    kind: 'city',
+                    id: city.id,
+                    name: city.name,
+                    description: city.founding_story,
+                    county: city.county,
+                    founded_year: city.founded_year,
+                    nickname: city.nickname,
+                    fact_count: cityFacts.length,
+                    facts: cityFacts
+                }
+            });
+        });
+    }
+
+    if (types.includes('places')) {
+        const places = await all(db, `
+            SELECT hp.id, hp.name, hp.place_type, hp.description, hp.latitude, hp.longitude, hp.source_url,
+                   hp.city_id, hc.name as city_name
+            FROM historical_places hp
+            LEFT JOIN historical_cities hc ON hp.city_id = hc.id
+            ORDER BY hp.name
+        `);
+
+        places.forEach(place => {
+            const placeFacts = facts.filter(fact => fact.place_id === place.id).map(factSummary);
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [place.longitude, place.latitude] },
+                properties: {
+                    kind: 'place',
+                    id: place.id,
+                    name: place.name,
+                    description: place.description,
+                    place_type: place.place_type,
+                    city_id: place.city_id,
+                    city_name: place.city_name,
+                    source_url: place.source_url,
+                    fact_count: placeFacts.length,
+                    facts: placeFacts
+                }
+            });
+        });
+    }
+
+    return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+    parseCoordinates,
+    getMapConfig,
+    buildGeoJSON
+};
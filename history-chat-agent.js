@@ -1,101 +1,96 @@
-const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const { HttpsProxyAgent } = require('https-proxy-agent');
-const fs = require('fs');
-const os = require('os');
+const { searchFacts, searchPeople } = require('./history-search');
+const { findSimilarFacts } = require('./fact-embeddings');
+const { createProvider } = require('./llm-providers');
+const { findTopicByName } = require('./topic-pages');
 
-// Check for Ollama config file where authentication is stored after `ollama login`
-const ollamaConfigPath = path.join(os.homedir(), '.ollama', 'config.json');
-let ollamaConfig = {};
+// Shared provider for agents created without one (LLM_PROVIDER selects the implementation)
+const defaultProvider = createProvider();
 
-try {
-    if (fs.existsSync(ollamaConfigPath)) {
-        ollamaConfig = JSON.parse(fs.readFileSync(ollamaConfigPath, 'utf8'));
-    }
-} catch (err) {
-    console.log('⚠️  No Ollama config found. Run `ollama login` to authenticate.');
-}
-
-const OLLAMA_URL = process.env.OLLAMA_URL || ollamaConfig.api_url || 'http://localhost:11434';
-const OLLAMA_API_KEY = process.env.OLLAMA_API_KEY || ollamaConfig.api_key || null;
-const MODEL = process.env.OLLAMA_MODEL || 'gpt-oss:20b-cloud';
-
-console.log(`🔧 Ollama Configuration:`);
-console.log(`   URL: ${OLLAMA_URL}`);
-console.log(`   Model: ${MODEL}`);
-console.log(`   Using local Ollama server (authenticated via ollama signin)`);
+console.log(`🔧 LLM Configuration:`);
+console.log(`   Provider: ${defaultProvider.name}`);
+if (defaultProvider.url) console.log(`   URL: ${defaultProvider.url}`);
+console.log(`   Model: ${defaultProvider.model}`);
+console.log(`   Embedding model: ${defaultProvider.embeddingModel}`);
 
 const dbPath = path.join(__dirname, 'database.sqlite');
 const db = new sqlite3.Database(dbPath);
 
 /**
  * Southeast Texas History Chat Agent
- * Uses Ollama LLM with local historical database context
+ * Answers with an LLM provider (Ollama by default) grounded in local historical database context
  */
 class HistoryChatAgent {
-    constructor() {
+    /**
+     * @param {object} provider - LLM provider from llm-providers.js; defaults to the configured one
+     * @param {object} options - db, a sqlite3 database to use instead of database.sqlite
+     */
+    constructor(provider = defaultProvider, options = {}) {
+        this.provider = provider;
+        this.db = options.db || db;
         this.conversationHistory = [];
         this.conversationId = null;
     }
 
+    /**
+     * Pick the verified facts most relevant to a question
+     * Uses embedding similarity when the embedding model is reachable and facts have been
+     * embedded (by the embed-facts background job), else the full-text index
+     */
+    async retrieveFacts(userQuery, limit = 10) {
+        try {
+            const embedder = this.provider.getEmbedder();
+            const facts = await findSimilarFacts(this.db, embedder, userQuery, { verifiedOnly: true, limit });
+            if (facts.length > 0) {
+                return facts;
+            }
+        } catch (error) {
+            console.log(`⚠️  Embedding retrieval unavailable (${error.message}), using keyword search`);
+        }
+
+        return searchFacts(this.db, userQuery, { verifiedOnly: true, limit });
+    }
+
     /**
      * Get relevant historical context from database
      */
     async getHistoricalContext(userQuery) {
-        return new Promise((resolve, reject) => {
-            // Extract keywords for search
-            const keywords = userQuery.toLowerCase();
-
-            // Build comprehensive context from database
-            const context = {
-                facts: [],
-                cities: [],
-                topics: [],
-                periods: []
-            };
+        // Build comprehensive context from database
+        const context = {
+            facts: [],
+            people: [],
+            cities: [],
+            topics: [],
+            periods: []
+        };
 
-            // Get relevant facts
-            db.all(`
-                SELECT
-                    hf.title,
-                    hf.content,
-                    hf.event_year,
-                    hc.name as city_name,
-                    ht.name as topic_name
-                FROM historical_facts hf
-                LEFT JOIN historical_cities hc ON hf.city_id = hc.id
-                LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
-                WHERE
-                    hf.is_verified = 1 AND (
-                        LOWER(hf.title) LIKE ? OR
-                        LOWER(hf.content) LIKE ? OR
-                        LOWER(hc.name) LIKE ? OR
-                        LOWER(ht.name) LIKE ?
-                    )
-                ORDER BY hf.importance DESC, hf.event_year DESC
-                LIMIT 10
-            `, [`%${keywords}%`, `%${keywords}%`, `%${keywords}%`, `%${keywords}%`], (err, facts) => {
-                if (err) {
-                    console.error('Error fetching facts:', err);
-                    context.facts = [];
-                } else {
-                    context.facts = facts || [];
-                }
+        try {
+            context.facts = await this.retrieveFacts(userQuery);
+        } catch (err) {
+            console.error('Error fetching facts:', err);
+        }
 
-                // Get all cities for general knowledge
-                db.all('SELECT * FROM historical_cities', [], (err, cities) => {
-                    context.cities = cities || [];
+        // Notable people named or described in the question
+        try {
+            context.people = await searchPeople(this.db, userQuery, { limit: 5 });
+        } catch (err) {
+            console.error('Error fetching people:', err);
+        }
 
-                    // Get all topics
-                    db.all('SELECT * FROM historical_topics', [], (err, topics) => {
-                        context.topics = topics || [];
+        return new Promise((resolve) => {
+            // Get all cities for general knowledge
+            this.db.all('SELECT * FROM historical_cities', [], (err, cities) => {
+                context.cities = cities || [];
 
-                        // Get relevant periods
-                        db.all('SELECT * FROM historical_periods ORDER BY start_year ASC', [], (err, periods) => {
-                            context.periods = periods || [];
-                            resolve(context);
-                        });
+                // Get all topics
+                this.db.all('SELECT * FROM historical_topics', [], (err, topics) => {
+                    context.topics = topics || [];
+
+                    // Get relevant periods
+                    this.db.all('SELECT * FROM historical_periods ORDER BY start_year ASC', [], (err, periods) => {
+                        context.periods = periods || [];
+                        resolve(context);
                     });
                 });
             });
@@ -124,18 +119,30 @@ ${context.periods.map(p => `- ${p.name} (${p.start_year}-${p.end_year}): ${p.des
         if (context.facts && context.facts.length > 0) {
             prompt += `\nRELEVANT HISTORICAL FACTS:\n`;
             context.facts.forEach(fact => {
-                prompt += `\n[${fact.event_year}] ${fact.title}\n`;
+                prompt += `\n[F${fact.id}] ${fact.title} (${fact.event_year || 'year unknown'})\n`;
                 prompt += `${fact.content}\n`;
                 if (fact.city_name) prompt += `City: ${fact.city_name}\n`;
                 if (fact.topic_name) prompt += `Topic: ${fact.topic_name}\n`;
             });
         }
 
+        if (context.people && context.people.length > 0) {
+            prompt += `\nNOTABLE PEOPLE:\n`;
+            context.people.forEach(person => {
+                const lifespan = [person.birth_year || '?', person.death_year || ''].join('–');
+                prompt += `\n${person.name} (${lifespan})`;
+                if (person.occupation) prompt += `, ${person.occupation}`;
+                if (person.city_name) prompt += `, ${person.city_name}`;
+                prompt += `\n${person.biography || person.significance || ''}\n`;
+            });
+        }
+
         prompt += `\n
 GUIDELINES:
 - Provide accurate, detailed answers about Southeast Texas history
 - Use the historical facts provided in your context when relevant
 - If you mention a specific event or fact, cite the year when possible
+- Tag every claim that relies on one of the facts above with its ID in square brackets right after the claim, e.g. "The Lucas Gusher erupted in 1901 [F1]." Use several tags like [F1][F4] when needed, and only use IDs listed above
 - Be conversational and engaging, like a knowledgeable local historian
 - If asked about something you're uncertain about, acknowledge the limitation but provide related information you do know
 - Connect historical events to their significance for the region today
@@ -148,104 +155,197 @@ Remember: You're helping people discover and appreciate Southeast Texas heritage
     }
 
     /**
-     * Chat with the AI agent
+     * Restore history, store the user's message and build the LLM message list
      */
-    async chat(userMessage, conversationId = null) {
-        try {
-            this.conversationId = conversationId;
-
-            // Get relevant context from database
-            const context = await this.getHistoricalContext(userMessage);
-
-            // Build system prompt with context
-            const systemPrompt = this.buildSystemPrompt(context);
-
-            // Prepare messages for Ollama
-            const messages = [
-                {
-                    role: 'system',
-                    content: systemPrompt
-                },
-                ...this.conversationHistory.slice(-6), // Keep last 6 messages for context
-                {
-                    role: 'user',
-                    content: userMessage
-                }
-            ];
+    async prepareChat(userMessage, conversationId) {
+        // Restore earlier turns when picking up an existing conversation
+        if (conversationId && conversationId !== this.conversationId) {
+            await this.loadHistory(conversationId);
+        }
+        this.conversationId = conversationId;
 
-            // Prepare headers
-            const headers = {
-                'Content-Type': 'application/json'
-            };
+        await this.saveMessage('user', userMessage);
 
-            // Add API key if provided (for Ollama cloud)
-            if (OLLAMA_API_KEY) {
-                headers['Authorization'] = `Bearer ${OLLAMA_API_KEY}`;
-            }
+        // Get relevant context from database
+        const context = await this.getHistoricalContext(userMessage);
 
-            // Configure proxy if needed
-            const axiosConfig = { headers };
+        // Build system prompt with context
+        const systemPrompt = this.buildSystemPrompt(context);
 
-            if (process.env.HTTPS_PROXY || process.env.https_proxy) {
-                const proxyUrl = process.env.HTTPS_PROXY || process.env.https_proxy;
-                axiosConfig.httpsAgent = new HttpsProxyAgent(proxyUrl);
-                axiosConfig.proxy = false; // Disable axios default proxy handling
+        // Prepare messages for the LLM
+        const messages = [
+            {
+                role: 'system',
+                content: systemPrompt
+            },
+            ...this.conversationHistory.slice(-6), // Keep last 6 messages for context
+            {
+                role: 'user',
+                content: userMessage
             }
+        ];
 
-            // Call Ollama API
-            const response = await axios.post(`${OLLAMA_URL}/api/chat`, {
-                model: MODEL,
-                messages: messages,
-                stream: false,
-                options: {
-                    temperature: 0.7,
-                    top_p: 0.9
-                }
-            }, axiosConfig);
+        return { context, messages };
+    }
 
-            const aiResponse = response.data.message.content;
+    /**
+     * Add a completed turn to the in-memory history and persist the answer with its citations
+     */
+    async recordResponse(userMessage, aiResponse, citations = []) {
+        // Update conversation history
+        this.conversationHistory.push({
+            role: 'user',
+            content: userMessage
+        });
+        this.conversationHistory.push({
+            role: 'assistant',
+            content: aiResponse
+        });
 
-            // Update conversation history
-            this.conversationHistory.push({
-                role: 'user',
-                content: userMessage
-            });
-            this.conversationHistory.push({
-                role: 'assistant',
-                content: aiResponse
-            });
+        // Keep conversation history manageable (last 10 messages)
+        if (this.conversationHistory.length > 10) {
+            this.conversationHistory = this.conversationHistory.slice(-10);
+        }
 
-            // Keep conversation history manageable (last 10 messages)
-            if (this.conversationHistory.length > 10) {
-                this.conversationHistory = this.conversationHistory.slice(-10);
-            }
+        await this.saveMessage('assistant', aiResponse, citations);
+    }
+
+    /**
+     * Fallback result when the LLM call fails
+     */
+    errorResponse(error) {
+        console.error('Error in chat agent:', error.message);
+
+        // Fallback response if the LLM server is not available
+        if (error.code === 'ECONNREFUSED') {
+            return {
+                response: `I apologize, but I'm currently unable to connect to my knowledge base. Please make sure the ${this.provider.name} server is running. In the meantime, you can browse the historical facts in the database directly.`,
+                error: `${this.provider.name} not available`,
+                success: false
+            };
+        }
+
+        return {
+            response: "I encountered an error processing your question. Please try again.",
+            error: error.message,
+            success: false
+        };
+    }
+
+    /**
+     * Chat with the AI agent
+     */
+    async chat(userMessage, conversationId = null) {
+        try {
+            const { context, messages } = await this.prepareChat(userMessage, conversationId);
+
+            const aiResponse = await this.provider.chat(messages);
+            const citations = await this.buildCitations(aiResponse, context.facts);
+            await this.recordResponse(userMessage, aiResponse, citations);
 
             return {
                 response: aiResponse,
                 context_used: context.facts.length,
+                citations,
                 success: true
             };
 
         } catch (error) {
-            console.error('Error in chat agent:', error.message);
-
-            // Fallback response if Ollama is not available
-            if (error.code === 'ECONNREFUSED') {
-                return {
-                    response: "I apologize, but I'm currently unable to connect to my knowledge base. Please make sure Ollama is running (`ollama serve`). In the meantime, you can browse the historical facts in the database directly.",
-                    error: 'Ollama not available',
-                    success: false
-                };
-            }
+            return this.errorResponse(error);
+        }
+    }
+
+    /**
+     * Chat with the AI agent, forwarding the provider's token stream as it arrives
+     * The complete answer is persisted once the stream ends; aborted streams are not saved.
+     * @param {function} onToken - Called with each content chunk
+     * @param {AbortSignal} signal - Optional signal to cancel the LLM request
+     */
+    async chatStream(userMessage, conversationId = null, onToken = () => {}, signal = undefined) {
+        try {
+            const { context, messages } = await this.prepareChat(userMessage, conversationId);
+
+            const aiResponse = await this.provider.chatStream(messages, onToken, { signal });
+
+            const citations = await this.buildCitations(aiResponse, context.facts);
+            await this.recordResponse(userMessage, aiResponse, citations);
 
             return {
-                response: "I encountered an error processing your question. Please try again.",
-                error: error.message,
-                success: false
+                response: aiResponse,
+                context_used: context.facts.length,
+                citations,
+                success: true
             };
+
+        } catch (error) {
+            if (signal && signal.aborted) {
+                return { response: '', error: 'Stream aborted', aborted: true, success: false };
+            }
+            return this.errorResponse(error);
+        }
+    }
+
+    /**
+     * Find the permanent page built for a topic, if any
+     */
+    async getTopicPageUrl(topicName) {
+        if (!topicName) {
+            return null;
+        }
+
+        try {
+            const topic = await findTopicByName(this.db, topicName);
+            return topic && topic.has_page ? topic.url : null;
+        } catch (error) {
+            return null;
         }
     }
 
+    /**
+     * Turn the [F<id>] tags in an answer into numbered citations
+     * Tags for facts that were not in the prompt context are ignored.
+     * @returns {Array} Citations in order of first appearance
+     */
+    async buildCitations(aiResponse, facts) {
+        const factsById = new Map(facts.map(fact => [fact.id, fact]));
+        const citedIds = [];
+
+        for (const tag of aiResponse.matchAll(/\[((?:F\d+[\s,]*)+)\]/g)) {
+            for (const idMatch of tag[1].matchAll(/F(\d+)/g)) {
+                const id = parseInt(idMatch[1]);
+                if (factsById.has(id) && !citedIds.includes(id)) {
+                    citedIds.push(id);
+                }
+            }
+        }
+
+        return Promise.all(citedIds.map(async (id, index) => {
+            const fact = factsById.get(id);
+            return {
+                number: index + 1,
+                fact_id: fact.id,
+                title: fact.title,
+                year: fact.event_year,
+                source_name: fact.source_name || null,
+                source_url: fact.source_url || null,
+                topic_name: fact.topic_name || null,
+                topic_page_url: await this.getTopicPageUrl(fact.topic_name)
+            };
+        }));
+    }
+
+    /**
+     * Get all known cities for location detection
+     */
+    async getCities() {
+        return new Promise((resolve) => {
+            this.db.all('SELECT id, name FROM historical_cities', [], (err, cities) => {
+                if (err) console.error('Error fetching cities:', err);
+                resolve(cities || []);
+            });
+        });
+    }
+
     /**
      * Extract potential new insights from conversation
      */
@@ -254,29 +354,19 @@ Remember: You're helping people discover and appreciate Southeast Texas heritage
         const hasYear = /\b(18|19|20)\d{2}\b/.test(userMessage);
         const isLongMessage = userMessage.length > 100;
         const hasDetailWords = /\b(remember|told|grandfather|grandmother|story|heard|happened|recalled|family|ancestor|witnessed)\b/i.test(userMessage);
-        const hasLocationWords = /\b(beaumont|port arthur|orange|nederland|groves|vidor|bridge city|texas|golden triangle)\b/i.test(userMessage);
 
-        if ((hasYear || hasDetailWords) && isLongMessage && hasLocationWords) {
-            // Try to extract city mentioned
-            let cityId = null;
-            const cityMatches = userMessage.match(/\b(beaumont|port arthur|orange|nederland|groves|vidor|bridge city)\b/i);
-
-            if (cityMatches) {
-                const cityName = cityMatches[0];
-                // Get city ID from database
-                await new Promise((resolve) => {
-                    db.get('SELECT id FROM historical_cities WHERE LOWER(name) = LOWER(?)', [cityName], (err, row) => {
-                        if (row) cityId = row.id;
-                        resolve();
-                    });
-                });
-            }
+        // Detect any city in historical_cities, longest names first so multi-word names win over overlapping shorter ones
+        const cities = (await this.getCities()).sort((a, b) => b.name.length - a.name.length);
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const mentionedCity = cities.find(city => new RegExp(`\\b${escape(city.name)}\\b`, 'i').test(userMessage));
+        const hasLocationWords = !!mentionedCity || /\b(texas|golden triangle)\b/i.test(userMessage);
 
+        if ((hasYear || hasDetailWords) && isLongMessage && hasLocationWords) {
             return {
                 shouldSave: true,
                 insight: userMessage,
                 confidence: 'low', // Needs verification
-                cityId: cityId
+                cityId: mentionedCity ? mentionedCity.id : null
             };
         }
 
@@ -285,12 +375,26 @@ Remember: You're helping people discover and appreciate Southeast Texas heritage
         };
     }
 
+    /**
+     * Run insight extraction for a chat turn and store any candidate for review
+     * @returns {number|null} The learned_insights ID, or null if nothing was captured
+     */
+    async captureInsight(userMessage, aiResponse) {
+        const candidate = await this.extractInsights(userMessage, aiResponse);
+
+        if (!candidate.shouldSave) {
+            return null;
+        }
+
+        return await this.saveInsight(candidate.insight, candidate.cityId);
+    }
+
     /**
      * Save insight to database
      */
     async saveInsight(insight, cityId = null, topicId = null) {
         return new Promise((resolve, reject) => {
-            db.run(
+            this.db.run(
                 `INSERT INTO learned_insights (conversation_id, insight, city_id, topic_id)
                  VALUES (?, ?, ?, ?)`,
                 [this.conversationId, insight, cityId, topicId],
@@ -307,6 +411,66 @@ Remember: You're helping people discover and appreciate Southeast Texas heritage
         });
     }
 
+    /**
+     * Load the most recent turns of a conversation from chat_messages
+     */
+    async loadHistory(conversationId, limit = 10) {
+        return new Promise((resolve) => {
+            this.db.all(
+                `SELECT role, content FROM chat_messages
+                 WHERE conversation_id = ? AND role IN ('user', 'assistant')
+                 ORDER BY id DESC LIMIT ?`,
+                [conversationId, limit],
+                (err, rows) => {
+                    if (err) {
+                        console.error('Error loading conversation history:', err);
+                    }
+                    this.conversationHistory = (rows || []).reverse();
+                    resolve(this.conversationHistory);
+                }
+            );
+        });
+    }
+
+    /**
+     * Persist a message and refresh the conversation's message_count/ended_at
+     * No-op when the chat is not tied to a conversation
+     */
+    async saveMessage(role, content, citations = null) {
+        if (!this.conversationId) {
+            return null;
+        }
+
+        const conversationId = this.conversationId;
+        const db = this.db;
+
+        return new Promise((resolve) => {
+            db.run(
+                'INSERT INTO chat_messages (conversation_id, role, content, citations) VALUES (?, ?, ?, ?)',
+                [conversationId, role, content, citations && citations.length > 0 ? JSON.stringify(citations) : null],
+                function(err) {
+                    if (err) {
+                        console.error(`Error saving ${role} message:`, err);
+                        return resolve(null);
+                    }
+
+                    const messageId = this.lastID;
+                    db.run(
+                        `UPDATE chat_conversations
+                         SET message_count = (SELECT COUNT(*) FROM chat_messages WHERE conversation_id = ?),
+                             ended_at = datetime('now')
+                         WHERE id = ?`,
+                        [conversationId, conversationId],
+                        (updateErr) => {
+                            if (updateErr) console.error('Error updating conversation:', updateErr);
+                            resolve(messageId);
+                        }
+                    );
+                }
+            );
+        });
+    }
+
     /**
      * Clear conversation history
      */
@@ -315,17 +479,44 @@ Remember: You're helping people discover and appreciate Southeast Texas heritage
     }
 }
 
+/**
+ * Run insight capture for a finished turn, even if the LLM call failed
+ */
+async function captureTurnInsight(agent, userMessage, result) {
+    try {
+        result.insight_id = await agent.captureInsight(userMessage, result.response);
+    } catch (error) {
+        console.error('Error capturing insight:', error.message);
+        result.insight_id = null;
+    }
+    result.insight_captured = result.insight_id !== null;
+
+    return result;
+}
+
 /**
  * API endpoint integration
+ * @param {object} options - provider and db for the agent, see HistoryChatAgent
+ */
+async function chatWithAgent(userMessage, conversationId = null, options = {}) {
+    const agent = new HistoryChatAgent(options.provider, options);
+    const result = await agent.chat(userMessage, conversationId);
+    return await captureTurnInsight(agent, userMessage, result);
+}
+
+/**
+ * Streaming API endpoint integration
  */
-async function chatWithAgent(userMessage, conversationId = null) {
-    const agent = new HistoryChatAgent();
-    return await agent.chat(userMessage, conversationId);
+async function streamChatWithAgent(userMessage, conversationId = null, onToken, signal, options = {}) {
+    const agent = new HistoryChatAgent(options.provider, options);
+    const result = await agent.chatStream(userMessage, conversationId, onToken, signal);
+    return await captureTurnInsight(agent, userMessage, result);
 }
 
 module.exports = {
     HistoryChatAgent,
-    chatWithAgent
+    chatWithAgent,
+    streamChatWithAgent
 };
 
 // Test if run directly
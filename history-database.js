@@ -1,198 +1,14 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { migrate } = require('./schema-migrations');
+const { fillMissingSlugs } = require('./slugs');
 
 const dbPath = path.join(__dirname, 'database.sqlite');
 const db = new sqlite3.Database(dbPath);
 
-/**
- * Initialize historical database tables
- * Creates comprehensive schema for Southeast Texas historical data
- */
-function initializeHistoricalTables() {
-    return new Promise((resolve, reject) => {
-        db.serialize(() => {
-            // Cities and towns table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS historical_cities (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL UNIQUE,
-                    county TEXT,
-                    founded_year INTEGER,
-                    founding_story TEXT,
-                    population_current INTEGER,
-                    nickname TEXT,
-                    notable_features TEXT,
-                    coordinates TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('Error creating historical_cities:', err);
-                else console.log('✅ Table: historical_cities');
-            });
-
-            // Historical topics/categories
-            db.run(`
-                CREATE TABLE IF NOT EXISTS historical_topics (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL UNIQUE,
-                    description TEXT,
-                    icon TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('Error creating historical_topics:', err);
-                else console.log('✅ Table: historical_topics');
-            });
-
-            // Historical periods
-            db.run(`
-                CREATE TABLE IF NOT EXISTS historical_periods (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    start_year INTEGER,
-                    end_year INTEGER,
-                    description TEXT,
-                    significance TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('Error creating historical_periods:', err);
-                else console.log('✅ Table: historical_periods');
-            });
-
-            // Historical facts and events
-            db.run(`
-                CREATE TABLE IF NOT EXISTS historical_facts (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    title TEXT NOT NULL,
-                    content TEXT NOT NULL,
-                    event_date TEXT,
-                    event_year INTEGER,
-                    city_id INTEGER REFERENCES historical_cities(id),
-                    topic_id INTEGER REFERENCES historical_topics(id),
-                    period_id INTEGER REFERENCES historical_periods(id),
-                    source_url TEXT,
-                    source_name TEXT,
-                    image_url TEXT,
-                    is_verified INTEGER DEFAULT 0,
-                    importance INTEGER DEFAULT 5,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('Error creating historical_facts:', err);
-                else console.log('✅ Table: historical_facts');
-            });
-
-            // Notable people
-            db.run(`
-                CREATE TABLE IF NOT EXISTS historical_people (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    birth_year INTEGER,
-                    death_year INTEGER,
-                    city_id INTEGER REFERENCES historical_cities(id),
-                    biography TEXT,
-                    occupation TEXT,
-                    significance TEXT,
-                    image_url TEXT,
-                    source_url TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('Error creating historical_people:', err);
-                else console.log('✅ Table: historical_people');
-            });
-
-            // Chat conversations
-            db.run(`
-                CREATE TABLE IF NOT EXISTS chat_conversations (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    session_id TEXT UNIQUE,
-                    user_ip TEXT,
-                    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    ended_at DATETIME,
-                    message_count INTEGER DEFAULT 0
-                )
-            `, (err) => {
-                if (err) console.error('Error creating chat_conversations:', err);
-                else console.log('✅ Table: chat_conversations');
-            });
-
-            // Chat messages
-            db.run(`
-                CREATE TABLE IF NOT EXISTS chat_messages (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    conversation_id INTEGER REFERENCES chat_conversations(id),
-                    role TEXT NOT NULL,
-                    content TEXT NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('Error creating chat_messages:', err);
-                else console.log('✅ Table: chat_messages');
-            });
-
-            // Learned insights from conversations
-            db.run(`
-                CREATE TABLE IF NOT EXISTS learned_insights (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    conversation_id INTEGER REFERENCES chat_conversations(id),
-                    insight TEXT NOT NULL,
-                    topic_id INTEGER REFERENCES historical_topics(id),
-                    city_id INTEGER REFERENCES historical_cities(id),
-                    needs_verification INTEGER DEFAULT 1,
-                    verified_at DATETIME,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) console.error('Error creating learned_insights:', err);
-                else console.log('✅ Table: learned_insights');
-                resolve();
-            });
-
-            // Create indexes for better performance
-            db.run(`CREATE INDEX IF NOT EXISTS idx_facts_city ON historical_facts(city_id)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_facts_topic ON historical_facts(topic_id)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_facts_year ON historical_facts(event_year)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_messages_conversation ON chat_messages(conversation_id)`);
-        });
-    });
-}
-
-/**
- * Initialize additional tables for page consolidation
- */
-function initializeConsolidationTables() {
-    return new Promise((resolve, reject) => {
-        db.serialize(() => {
-            // Consolidated pages tracking
-            db.run(`
-                CREATE TABLE IF NOT EXISTS consolidated_pages (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    main_topic TEXT NOT NULL,
-                    display_name TEXT NOT NULL,
-                    html_path TEXT NOT NULL,
-                    presentation_count INTEGER DEFAULT 0,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) {
-                    console.error('Error creating consolidated_pages:', err);
-                    reject(err);
-                } else {
-                    console.log('✅ Table: consolidated_pages');
-                    resolve();
-                }
-            });
-        });
-    });
-}
-
 /**
  * Seed initial historical data
+ * Safe to re-run: cities, topics, periods and facts already present by name or title are skipped
  */
 async function seedHistoricalData() {
     return new Promise((resolve, reject) => {
@@ -259,12 +75,13 @@ async function seedHistoricalData() {
             ];
 
             const periodStmt = db.prepare(`
-                INSERT OR IGNORE INTO historical_periods (name, start_year, end_year, description, significance)
-                VALUES (?, ?, ?, ?, ?)
+                INSERT INTO historical_periods (name, start_year, end_year, description, significance)
+                SELECT ?, ?, ?, ?, ?
+                WHERE NOT EXISTS (SELECT 1 FROM historical_periods WHERE name = ?)
             `);
 
             periods.forEach(period => {
-                periodStmt.run(period.name, period.start, period.end, period.desc, period.significance);
+                periodStmt.run(period.name, period.start, period.end, period.desc, period.significance, period.name);
             });
             periodStmt.finalize();
             console.log('✅ Seeded periods');
@@ -384,7 +201,8 @@ async function seedHistoricalData() {
 
                                         const factStmt = db.prepare(`
                                             INSERT INTO historical_facts (title, content, event_date, event_year, city_id, topic_id, source_name, importance, is_verified, image_url)
-                                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+                                            SELECT ?, ?, ?, ?, ?, ?, ?, ?, 1, ?
+                                            WHERE NOT EXISTS (SELECT 1 FROM historical_facts WHERE title = ?)
                                         `);
 
                                         facts.forEach(fact => {
@@ -397,7 +215,8 @@ async function seedHistoricalData() {
                                                 fact.topic_id,
                                                 fact.source,
                                                 fact.importance,
-                                                fact.image_url || null
+                                                fact.image_url || null,
+                                                fact.title
                                             );
                                         });
 
@@ -419,11 +238,118 @@ async function seedHistoricalData() {
     });
 }
 
+/**
+ * Seed notable people
+ * Safe to re-run: people already present by name are skipped
+ */
+function seedHistoricalPeople() {
+    const people = [
+        { name: 'Pattillo Higgins', birth: 1863, death: 1955, city: 'Beaumont', occupation: 'Oil prospector', bio: 'Self-taught geologist who insisted oil lay beneath Spindletop Hill and co-founded the Gladys City Oil, Gas and Manufacturing Company in 1892.', significance: 'Known as the Prophet of Spindletop' },
+        { name: 'Anthony F. Lucas', birth: 1855, death: 1921, city: 'Beaumont', occupation: 'Mining engineer', bio: 'Croatian-born engineer who leased land at Spindletop and drilled the Lucas Gusher that erupted on January 10, 1901.', significance: 'Drilled the well that launched the Texas oil boom' },
+        { name: 'Arthur E. Stilwell', birth: 1859, death: 1928, city: 'Port Arthur', occupation: 'Railroad promoter', bio: 'Kansas City railroad builder who platted Port Arthur in 1895 as the Gulf terminus of the Kansas City, Pittsburg and Gulf Railroad and named it after himself.', significance: 'Founder of Port Arthur' },
+        { name: 'Henry Jacob Lutcher', birth: 1836, death: 1912, city: 'Orange', occupation: 'Lumberman', bio: 'Pennsylvania lumberman who moved to Orange in 1877 with partner G. Bedell Moore; their Lutcher and Moore Lumber Company made Orange the center of the Texas lumber district.', significance: 'Built the lumber industry of Orange' },
+        { name: 'Frances Ann Lutcher', birth: 1841, death: 1915, city: 'Orange', occupation: 'Philanthropist', bio: 'Wife of Henry Jacob Lutcher who funded the Lutcher Memorial Church Building, the First Presbyterian Church of Orange, completed in 1912.', significance: 'Leading philanthropist of Orange' },
+        { name: 'Babe Didrikson Zaharias', birth: 1911, death: 1956, city: 'Beaumont', occupation: 'Athlete', bio: 'Born in Port Arthur and raised in Beaumont, she won two gold medals in track and field at the 1932 Olympics and became one of the greatest golfers of her era.', significance: 'One of the greatest all-around athletes of the 20th century' },
+        { name: 'Robert Rauschenberg', birth: 1925, death: 2008, city: 'Port Arthur', occupation: 'Artist', bio: 'Port Arthur-born painter and sculptor whose "Combines" bridged Abstract Expressionism and Pop Art.', significance: 'Internationally influential artist from Port Arthur' },
+        { name: 'Janis Joplin', birth: 1943, death: 1970, city: 'Port Arthur', occupation: 'Singer', bio: 'Port Arthur-born rock and blues singer whose voice defined late-1960s rock music.', significance: 'Rock and blues icon from Port Arthur' },
+        { name: 'George Jones', birth: 1931, death: 2013, city: 'Beaumont', occupation: 'Country singer', bio: 'Country music singer who grew up in Beaumont and Vidor and began his career performing in Beaumont clubs and on local radio.', significance: 'One of the most celebrated voices in country music' },
+        { name: 'Bum Phillips', birth: 1923, death: 2013, city: 'Orange', occupation: 'Football coach', bio: 'Orange-born coach who led the Houston Oilers during the "Luv Ya Blue" era of the late 1970s.', significance: 'Beloved Texas football coach' }
+    ];
+
+    return new Promise((resolve, reject) => {
+        const personStmt = db.prepare(`
+            INSERT INTO historical_people (name, birth_year, death_year, city_id, biography, occupation, significance)
+            SELECT ?, ?, ?, (SELECT id FROM historical_cities WHERE name = ?), ?, ?, ?
+            WHERE NOT EXISTS (SELECT 1 FROM historical_people WHERE name = ?)
+        `);
+
+        people.forEach(person => {
+            personStmt.run(person.name, person.birth, person.death, person.city, person.bio, person.occupation, person.significance, person.name);
+        });
+
+        personStmt.finalize((err) => {
+            if (err) {
+                console.error('Error seeding people:', err);
+                return reject(err);
+            }
+            console.log('✅ Seeded notable people');
+            resolve();
+        });
+    });
+}
+
+/**
+ * Seed city coordinates and landmark places, and pin seeded facts to their places
+ * Safe to re-run: coordinates are only filled in where missing and places are skipped by name
+ */
+function seedHistoricalPlaces() {
+    const cityCoordinates = [
+        { name: 'Beaumont', coordinates: '30.0802,-94.1266' },
+        { name: 'Port Arthur', coordinates: '29.885,-93.9399' },
+        { name: 'Orange', coordinates: '30.093,-93.7366' },
+        { name: 'Nederland', coordinates: '29.9744,-93.9924' },
+        { name: 'Port Neches', coordinates: '29.9913,-93.9585' },
+        { name: 'Groves', coordinates: '29.9483,-93.9171' },
+        { name: 'Vidor', coordinates: '30.1316,-94.0155' },
+        { name: 'Bridge City', coordinates: '30.0207,-93.8457' }
+    ];
+
+    const places = [
+        { name: 'Spindletop Hill', type: 'Oil field', city: 'Beaumont', lat: 30.0196, lng: -94.0777, description: 'Salt dome south of Beaumont where the Lucas Gusher came in on January 10, 1901.' },
+        { name: 'Spindletop-Gladys City Boomtown Museum', type: 'Museum', city: 'Beaumont', lat: 30.0447, lng: -94.0738, description: 'Reconstruction of the Gladys City oil boomtown and the Lucas Gusher monument at Lamar University.' },
+        { name: 'Port Arthur Refineries', type: 'Refinery', city: 'Port Arthur', lat: 29.87, lng: -93.96, description: 'Gulf Oil (1901) and Texaco (1902) refineries built to process Spindletop crude.' },
+        { name: 'Orange Shipyards', type: 'Shipyard', city: 'Orange', lat: 30.0884, lng: -93.73, description: 'Sabine River shipyards that built destroyers and other vessels during World War II.' },
+        { name: 'Lutcher Memorial Church Building', type: 'Landmark', city: 'Orange', lat: 30.0927, lng: -93.7368, description: 'First Presbyterian Church of Orange, funded by Frances Ann Lutcher and completed in 1912.' },
+        { name: 'Sabine Pass Battleground', type: 'Battlefield', city: 'Port Arthur', lat: 29.7252, lng: -93.8716, description: 'Site of the 1863 Second Battle of Sabine Pass, where Dick Dowling\'s small Confederate garrison turned back a Union invasion fleet.' }
+    ];
+
+    const factPlaces = [
+        { title: 'Spindletop Oil Gusher Erupts', place: 'Spindletop Hill' },
+        { title: 'Port Arthur Refineries Established', place: 'Port Arthur Refineries' },
+        { title: 'Orange Shipbuilding in World War II', place: 'Orange Shipyards' }
+    ];
+
+    return new Promise((resolve, reject) => {
+        db.serialize(() => {
+            const cityStmt = db.prepare(`
+                UPDATE historical_cities SET coordinates = ?
+                WHERE name = ? AND (coordinates IS NULL OR coordinates = '')
+            `);
+            cityCoordinates.forEach(city => cityStmt.run(city.coordinates, city.name));
+            cityStmt.finalize();
+
+            const placeStmt = db.prepare(`
+                INSERT OR IGNORE INTO historical_places (name, place_type, description, city_id, latitude, longitude)
+                VALUES (?, ?, ?, (SELECT id FROM historical_cities WHERE name = ?), ?, ?)
+            `);
+            places.forEach(place => placeStmt.run(place.name, place.type, place.description, place.city, place.lat, place.lng));
+            placeStmt.finalize();
+
+            const factStmt = db.prepare(`
+                UPDATE historical_facts SET place_id = (SELECT id FROM historical_places WHERE name = ?)
+                WHERE title = ? AND place_id IS NULL
+            `);
+            factPlaces.forEach(link => factStmt.run(link.place, link.title));
+            factStmt.finalize((err) => {
+                if (err) {
+                    console.error('Error seeding places:', err);
+                    return reject(err);
+                }
+                console.log('✅ Seeded city coordinates and places');
+                resolve();
+            });
+        });
+    });
+}
+
 // Run if executed directly
 if (require.main === module) {
     console.log('🏛️  Initializing Southeast Texas Historical Database...\n');
-    initializeHistoricalTables()
+    migrate(db)
         .then(() => seedHistoricalData())
+        .then(() => seedHistoricalPeople())
+        .then(() => seedHistoricalPlaces())
+        .then(() => fillMissingSlugs(db))
         .then(() => {
             console.log('\n✅ Historical database initialized successfully!');
             db.close();
@@ -434,24 +360,8 @@ if (require.main === module) {
         });
 }
 
-/**
- * Initialize all database tables
- * Creates comprehensive schema for Southeast Texas historical data including consolidation tables
- */
-async function initializeAllTables() {
-    try {
-        await initializeHistoricalTables();
-        await initializeConsolidationTables();
-        console.log('✅ All database tables initialized');
-    } catch (error) {
-        console.error('❌ Error initializing database tables:', error);
-        throw error;
-    }
-}
-
-module.exports = { 
-    initializeHistoricalTables, 
-    initializeConsolidationTables,
-    initializeAllTables,
-    seedHistoricalData 
+module.exports = {
+    seedHistoricalData,
+    seedHistoricalPeople,
+    seedHistoricalPlaces
 };
@@ -0,0 +1,321 @@
+/**
+ * Full-text search over historical facts, people and verified insights
+ * Backed by SQLite FTS5 indexes that triggers keep in sync with the source tables.
+ *
+ * Functions take an open sqlite3 Database so the chat agent, presentation builder
+ * and API server can share the connection they already hold.
+ */
+
+// Words that carry no meaning in questions like "Tell me about the Spindletop discovery"
+const STOP_WORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does',
+    'for', 'from', 'had', 'has', 'have', 'how', 'i', 'in', 'into', 'is', 'it', 'its', 'me',
+    'more', 'my', 'of', 'on', 'or', 'please', 'tell', 'that', 'the', 'their', 'there', 'this',
+    'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you'
+]);
+
+const TOKENIZER = "porter unicode61 remove_diacritics 2";
+
+/**
+ * Create the FTS5 indexes and sync triggers, then backfill rows indexed before they existed
+ */
+function createSearchIndex(db) {
+    const statements = [
+        // Facts are indexed with their city and topic names so "Orange lumber" matches
+        `CREATE VIRTUAL TABLE IF NOT EXISTS facts_fts USING fts5(title, content, city, topic, tokenize = "${TOKENIZER}")`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_insert AFTER INSERT ON historical_facts BEGIN
+            INSERT INTO facts_fts (rowid, title, content, city, topic) VALUES (
+                new.id, new.title, new.content,
+                (SELECT name FROM historical_cities WHERE id = new.city_id),
+                (SELECT name FROM historical_topics WHERE id = new.topic_id)
+            );
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_update AFTER UPDATE ON historical_facts BEGIN
+            DELETE FROM facts_fts WHERE rowid = old.id;
+            INSERT INTO facts_fts (rowid, title, content, city, topic) VALUES (
+                new.id, new.title, new.content,
+                (SELECT name FROM historical_cities WHERE id = new.city_id),
+                (SELECT name FROM historical_topics WHERE id = new.topic_id)
+            );
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_delete AFTER DELETE ON historical_facts BEGIN
+            DELETE FROM facts_fts WHERE rowid = old.id;
+        END`,
+        // Renaming a city or topic reindexes its facts under the new name
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_city_rename AFTER UPDATE OF name ON historical_cities BEGIN
+            UPDATE facts_fts SET city = new.name
+            WHERE rowid IN (SELECT id FROM historical_facts WHERE city_id = new.id);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_topic_rename AFTER UPDATE OF name ON historical_topics BEGIN
+            UPDATE facts_fts SET topic = new.name
+            WHERE rowid IN (SELECT id FROM historical_facts WHERE topic_id = new.id);
+        END`,
+
+        `CREATE VIRTUAL TABLE IF NOT EXISTS people_fts USING fts5(name, biography, occupation, significance, tokenize = "${TOKENIZER}")`,
+        `CREATE TRIGGER IF NOT EXISTS people_fts_insert AFTER INSERT ON historical_people BEGIN
+            INSERT INTO people_fts (rowid, name, biography, occupation, significance)
+            VALUES (new.id, new.name, new.biography, new.occupation, new.significance);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS people_fts_update AFTER UPDATE ON historical_people BEGIN
+            DELETE FROM people_fts WHERE rowid = old.id;
+            INSERT INTO people_fts (rowid, name, biography, occupation, significance)
+            VALUES (new.id, new.name, new.biography, new.occupation, new.significance);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS people_fts_delete AFTER DELETE ON historical_people BEGIN
+            DELETE FROM people_fts WHERE rowid = old.id;
+        END`,
+
+        // Only verified insights are searchable; unreviewed chat tips stay out of results
+        `CREATE VIRTUAL TABLE IF NOT EXISTS insights_fts USING fts5(insight, title, tokenize = "${TOKENIZER}")`,
+        `CREATE TRIGGER IF NOT EXISTS insights_fts_insert AFTER INSERT ON learned_insights
+         WHEN new.verified_at IS NOT NULL BEGIN
+            INSERT INTO insights_fts (rowid, insight, title) VALUES (new.id, new.insight, new.title);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS insights_fts_update AFTER UPDATE ON learned_insights BEGIN
+            DELETE FROM insights_fts WHERE rowid = old.id;
+            INSERT INTO insights_fts (rowid, insight, title)
+            SELECT new.id, new.insight, new.title WHERE new.verified_at IS NOT NULL;
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS insights_fts_delete AFTER DELETE ON learned_insights BEGIN
+            DELETE FROM insights_fts WHERE rowid = old.id;
+        END`,
+
+        // Backfill anything written before the index existed
+        `INSERT INTO facts_fts (rowid, title, content, city, topic)
+         SELECT hf.id, hf.title, hf.content, hc.name, ht.name
+         FROM historical_facts hf
+         LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+         LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+         WHERE hf.id NOT IN (SELECT rowid FROM facts_fts)`,
+        `INSERT INTO people_fts (rowid, name, biography, occupation, significance)
+         SELECT id, name, biography, occupation, significance FROM historical_people
+         WHERE id NOT IN (SELECT rowid FROM people_fts)`,
+        `INSERT INTO insights_fts (rowid, insight, title)
+         SELECT id, insight, title FROM learned_insights
+         WHERE verified_at IS NOT NULL AND id NOT IN (SELECT rowid FROM insights_fts)`
+    ];
+
+    return new Promise((resolve, reject) => {
+        db.serialize(() => {
+            statements.forEach((sql, index) => {
+                db.run(sql, (err) => {
+                    if (err) {
+                        console.error('Error creating search index:', err);
+                        return reject(err);
+                    }
+                    if (index === statements.length - 1) {
+                        console.log('✅ Search index: facts_fts, people_fts, insights_fts');
+                        resolve();
+                    }
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Turn a natural-language question into an FTS5 MATCH expression
+ * Each meaningful word becomes a quoted prefix term; terms are OR'ed so bm25 ranks
+ * rows that match more of them first. Returns null when nothing is searchable.
+ */
+function buildMatchQuery(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const terms = [...new Set(words)].filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+    if (terms.length === 0) {
+        return null;
+    }
+
+    return terms.map(term => `"${term}"*`).join(' OR ');
+}
+
+/**
+ * Turn text into an FTS5 phrase that only matches the words in order, e.g. a person's name
+ */
+function buildPhraseQuery(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.length > 0 ? `"${words.join(' ')}"` : null;
+}
+
+/**
+ * Ranked search over historical_facts
+ * @param {object} options - limit, verifiedOnly, cityId, topicId, year, phrase (match the exact phrase)
+ */
+function searchFacts(db, text, options = {}) {
+    const { limit = 10, verifiedOnly = false, cityId = null, topicId = null, year = null, phrase = false } = options;
+    const match = phrase ? buildPhraseQuery(text) : buildMatchQuery(text);
+
+    if (!match) {
+        return Promise.resolve([]);
+    }
+
+    let query = `
+        SELECT
+            hf.*,
+            hc.name as city_name,
+            ht.name as topic_name,
+            ht.icon as topic_icon,
+            bm25(facts_fts, 10.0, 4.0, 2.0, 2.0) as rank
+        FROM facts_fts
+        JOIN historical_facts hf ON hf.id = facts_fts.rowid
+        LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+        LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+        WHERE facts_fts MATCH ?
+    `;
+    const params = [match];
+
+    if (verifiedOnly) {
+        query += ' AND hf.is_verified = 1';
+    }
+    if (cityId) {
+        query += ' AND hf.city_id = ?';
+        params.push(cityId);
+    }
+    if (topicId) {
+        query += ' AND hf.topic_id = ?';
+        params.push(topicId);
+    }
+    if (year) {
+        query += ' AND hf.event_year = ?';
+        params.push(year);
+    }
+
+    query += ' ORDER BY rank, hf.importance DESC LIMIT ?';
+    params.push(limit);
+
+    return new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Ranked search over historical_people
+ */
+function searchPeople(db, text, options = {}) {
+    const { limit = 10 } = options;
+    const match = buildMatchQuery(text);
+
+    if (!match) {
+        return Promise.resolve([]);
+    }
+
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT hp.*, hc.name as city_name, bm25(people_fts, 10.0, 3.0, 2.0, 2.0) as rank
+            FROM people_fts
+            JOIN historical_people hp ON hp.id = people_fts.rowid
+            LEFT JOIN historical_cities hc ON hp.city_id = hc.id
+            WHERE people_fts MATCH ?
+            ORDER BY rank
+            LIMIT ?
+        `, [match, limit], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Ranked search over verified learned_insights
+ */
+function searchInsights(db, text, options = {}) {
+    const { limit = 10 } = options;
+    const match = buildMatchQuery(text);
+
+    if (!match) {
+        return Promise.resolve([]);
+    }
+
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT li.*, hc.name as city_name, bm25(insights_fts, 4.0, 8.0) as rank
+            FROM insights_fts
+            JOIN learned_insights li ON li.id = insights_fts.rowid
+            LEFT JOIN historical_cities hc ON li.city_id = hc.id
+            WHERE insights_fts MATCH ?
+            ORDER BY rank
+            LIMIT ?
+        `, [match, limit], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Score each row against the best match of its own search, from 1 down towards 0
+ * bm25 values of different indexes and column weights can't be compared, but how close a
+ * row comes to the best row of its index can.
+ */
+function relativeScores(rows) {
+    const best = rows.length > 0 ? rows[0].rank : 0;
+    return rows.map(row => ({ ...row, score: best < 0 ? row.rank / best : 1 }));
+}
+
+/**
+ * Search facts, people and verified insights together
+ * Each type is ranked by its own index; the lists are merged by relative score, so the best
+ * match of every type comes first.
+ * @param {object} options - limit, types (array of 'facts' | 'people' | 'insights')
+ */
+async function searchAll(db, text, options = {}) {
+    const { limit = 20, types = ['facts', 'people', 'insights'] } = options;
+    const results = [];
+
+    if (types.includes('facts')) {
+        const facts = relativeScores(await searchFacts(db, text, { limit }));
+        facts.forEach(fact => results.push({
+            type: 'fact',
+            id: fact.id,
+            title: fact.title,
+            summary: fact.content,
+            year: fact.event_year,
+            city_name: fact.city_name,
+            topic_name: fact.topic_name,
+            score: fact.score
+        }));
+    }
+
+    if (types.includes('people')) {
+        const people = relativeScores(await searchPeople(db, text, { limit }));
+        people.forEach(person => results.push({
+            type: 'person',
+            id: person.id,
+            title: person.name,
+            summary: person.biography || person.significance,
+            year: person.birth_year,
+            city_name: person.city_name,
+            topic_name: null,
+            score: person.score
+        }));
+    }
+
+    if (types.includes('insights')) {
+        const insights = relativeScores(await searchInsights(db, text, { limit }));
+        insights.forEach(insight => results.push({
+            type: 'insight',
+            id: insight.id,
+            title: insight.title,
+            summary: insight.insight,
+            year: insight.event_year,
+            city_name: insight.city_name,
+            topic_name: null,
+            score: insight.score
+        }));
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = {
+    createSearchIndex,
+    buildMatchQuery,
+    buildPhraseQuery,
+    searchFacts,
+    searchPeople,
+    searchInsights,
+    searchAll
+};
@@ -0,0 +1,184 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { run, resolveEventYear, applyEdits, publishFact } = require('./review-queue');
+
+// Fields an editor may change while reviewing an insight
+const EDITABLE_FIELDS = ['insight', 'title', 'topic_id', 'city_id', 'event_year', 'source_name', 'source_url'];
+
+/**
+ * Insight Reviewer
+ * Verification workflow for learned_insights captured from chat conversations.
+ * Reviewed insights are either rejected or promoted into verified historical_facts.
+ */
+class InsightReviewer {
+    constructor(dbPath) {
+        this.db = new sqlite3.Database(dbPath || path.join(__dirname, 'database.sqlite'));
+    }
+
+    /**
+     * List insights by review status ('pending', 'promoted', 'rejected' or 'all')
+     */
+    listInsights(status = 'pending', limit = 50) {
+        return new Promise((resolve, reject) => {
+            let query = `
+                SELECT li.*, ht.name as topic_name, hc.name as city_name,
+                       cc.session_id, cc.message_count
+                FROM learned_insights li
+                LEFT JOIN historical_topics ht ON li.topic_id = ht.id
+                LEFT JOIN historical_cities hc ON li.city_id = hc.id
+                LEFT JOIN chat_conversations cc ON li.conversation_id = cc.id
+            `;
+            const params = [];
+
+            if (status === 'pending') {
+                query += ` WHERE li.needs_verification = 1 AND COALESCE(li.status, 'pending') = 'pending'`;
+            } else if (status !== 'all') {
+                query += ' WHERE li.status = ?';
+                params.push(status);
+            }
+
+            query += ' ORDER BY li.created_at ASC LIMIT ?';
+            params.push(limit);
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
+
+    /**
+     * Get a single insight
+     */
+    getInsight(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT li.*, ht.name as topic_name, hc.name as city_name
+                FROM learned_insights li
+                LEFT JOIN historical_topics ht ON li.topic_id = ht.id
+                LEFT JOIN historical_cities hc ON li.city_id = hc.id
+                WHERE li.id = ?
+            `, [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Get the chat messages of the conversation an insight came from
+     */
+    getConversationMessages(conversationId) {
+        if (!conversationId) {
+            return Promise.resolve([]);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT id, role, content, created_at FROM chat_messages WHERE conversation_id = ? ORDER BY id ASC',
+                [conversationId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows || []);
+                }
+            );
+        });
+    }
+
+    /**
+     * Edit an insight under review (attach a source, fix the text, assign topic/city)
+     */
+    async updateInsight(id, changes) {
+        await applyEdits(this.db, 'learned_insights', EDITABLE_FIELDS, id, changes, 'needs_verification = 1');
+        return this.getInsight(id);
+    }
+
+    /**
+     * Build a fact title from the first sentence of an insight
+     */
+    deriveTitle(insight) {
+        const firstSentence = insight.split(/(?<=[.!?])\s/)[0].trim();
+        return firstSentence.length > 80
+            ? `${firstSentence.substring(0, 77).trim()}...`
+            : firstSentence;
+    }
+
+    /**
+     * Determine the event year: editor-assigned, else the first year in the insight
+     */
+    resolveEventYear(insight) {
+        return resolveEventYear(insight.event_year, insight.insight);
+    }
+
+    /**
+     * Promote an insight into a verified historical fact
+     * Of two concurrent promotions only one creates a fact (see publishFact).
+     * @param {number} id - Insight ID
+     * @param {string} reviewer - Name recorded in reviewed_by
+     * @param {object} changes - Optional edits applied before promotion (source, title, topic, city, year)
+     * @returns {Promise<object|null>} The promoted insight, or null when it doesn't exist or was already reviewed
+     */
+    async promoteInsight(id, reviewer, changes = {}) {
+        const insight = await this.updateInsight(id, changes);
+
+        if (!insight || !insight.needs_verification) {
+            return null;
+        }
+
+        const title = insight.title || this.deriveTitle(insight.insight);
+        const eventYear = this.resolveEventYear(insight);
+
+        const factId = await publishFact(this.db, {
+            table: 'learned_insights',
+            id,
+            claimSql: `
+                UPDATE learned_insights
+                SET needs_verification = 0, status = 'promoted', verified_at = datetime('now'),
+                    reviewed_by = ?, reviewed_at = datetime('now'), title = ?, event_year = ?
+                WHERE id = ? AND needs_verification = 1
+            `,
+            claimParams: [reviewer, title, eventYear, id]
+        }, {
+            title,
+            content: insight.insight,
+            event_year: eventYear,
+            city_id: insight.city_id,
+            topic_id: insight.topic_id,
+            source_name: insight.source_name,
+            source_url: insight.source_url
+        });
+
+        if (!factId) {
+            return null;
+        }
+
+        console.log(`✅ Insight ${id} promoted to fact ${factId}`);
+        return this.getInsight(id);
+    }
+
+    /**
+     * Reject an insight with a reason
+     * @returns {Promise<object|null>} The rejected insight, or null when it doesn't exist or was already reviewed
+     */
+    async rejectInsight(id, reviewer, reason) {
+        const { changes } = await run(this.db, `
+            UPDATE learned_insights
+            SET needs_verification = 0, status = 'rejected', reviewed_by = ?,
+                reviewed_at = datetime('now'), rejection_reason = ?
+            WHERE id = ? AND needs_verification = 1
+        `, [reviewer, reason, id]);
+
+        if (changes !== 1) {
+            return null;
+        }
+
+        console.log(`🚫 Insight ${id} rejected`);
+        return this.getInsight(id);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { InsightReviewer };
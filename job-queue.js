@@ -0,0 +1,244 @@
+const sqlite3 = require('sqlite3').verbose();
+
+/**
+ * Job Queue
+ * SQLite-backed queue for work too slow to run inside an HTTP request. Jobs are rows in the
+ * jobs table; workers in this process claim them with a single UPDATE, report progress as
+ * they go, and retry failures with exponential backoff until max_attempts is reached.
+ *
+ * Each job type has its own concurrency limit, and `concurrency` caps all types together.
+ * Run one worker process per database: jobs still marked running when it starts are
+ * treated as interrupted and queued again.
+ */
+
+const DEFAULT_POLL_MS = 1000;
+const DEFAULT_CONCURRENCY = 2;
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+function parseJSON(value) {
+    return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Job row as returned to callers, with payload and result parsed
+ */
+function formatJob(row) {
+    if (!row) return null;
+    return { ...row, payload: parseJSON(row.payload), result: parseJSON(row.result) };
+}
+
+class JobQueue {
+    /**
+     * @param {object} options - concurrency (all types together), pollMs
+     */
+    constructor(dbPath, options = {}) {
+        this.db = new sqlite3.Database(dbPath);
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.pollMs = options.pollMs || DEFAULT_POLL_MS;
+        this.handlers = new Map();
+        this.running = new Map();
+        this.timer = null;
+        this.ticking = null;
+    }
+
+    /**
+     * Register the handler for a job type
+     * The handler gets the payload and a context with the job id, the attempt number,
+     * progress(percent, message) and checkpoint(values), which saves values into the payload so
+     * a retry can carry on from work already done; what it returns is stored as the job's
+     * result. Errors with `retryable: false` fail the job without retrying.
+     * @param {object} options - concurrency (default 1), maxAttempts (default 3), retryDelaySeconds (default 30)
+     */
+    register(type, handler, options = {}) {
+        this.handlers.set(type, {
+            handler,
+            concurrency: options.concurrency || 1,
+            maxAttempts: options.maxAttempts || 3,
+            retryDelaySeconds: options.retryDelaySeconds ?? 30
+        });
+    }
+
+    /**
+     * Add a job
+     * With a dedupeKey, a queued or running job with the same key is returned instead of a new one.
+     * A unique index on the key of active jobs makes this hold for concurrent enqueues too.
+     * @param {object} options - dedupeKey, delaySeconds, maxAttempts
+     * @returns {Promise<object>} The job
+     */
+    async enqueue(type, payload = {}, options = {}) {
+        const registered = this.handlers.get(type);
+        if (!registered) {
+            throw new Error(`Unknown job type "${type}"`);
+        }
+
+        for (;;) {
+            const { lastID, changes } = await run(this.db, `
+                INSERT INTO jobs (type, payload, max_attempts, dedupe_key, run_after)
+                VALUES (?, ?, ?, ?, datetime('now', ?))
+                ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running') DO NOTHING
+            `, [type, JSON.stringify(payload), options.maxAttempts || registered.maxAttempts, options.dedupeKey || null, `+${options.delaySeconds || 0} seconds`]);
+            if (changes) {
+                return this.getJob(lastID);
+            }
+
+            const existing = await get(this.db, `
+                SELECT * FROM jobs WHERE dedupe_key = ? AND status IN ('queued', 'running')
+            `, [options.dedupeKey]);
+            // Gone when it finished in between; then a new job can be added
+            if (existing) return formatJob(existing);
+        }
+    }
+
+    async getJob(id) {
+        return formatJob(await get(this.db, 'SELECT * FROM jobs WHERE id = ?', [id]));
+    }
+
+    /**
+     * Start polling for jobs; interrupted jobs from an earlier run are queued again first
+     */
+    async start() {
+        const { changes } = await run(this.db, `
+            UPDATE jobs SET status = 'queued', run_after = datetime('now'), updated_at = datetime('now')
+            WHERE status = 'running'
+        `);
+        if (changes) {
+            console.log(`🔁 Requeued ${changes} interrupted job${changes > 1 ? 's' : ''}`);
+        }
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('❌ Job queue error:', error.message));
+        }, this.pollMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Claim and start as many due jobs as the concurrency limits allow
+     * Ticks don't overlap: a tick called while another is claiming joins it, since both would
+     * pass the concurrency checks before either recorded its jobs as running.
+     * @returns {Promise<number>} Jobs started
+     */
+    tick() {
+        if (!this.ticking) {
+            this.ticking = this.startDueJobs().finally(() => {
+                this.ticking = null;
+            });
+        }
+        return this.ticking;
+    }
+
+    async startDueJobs() {
+        let started = 0;
+
+        for (const [type, { concurrency }] of this.handlers) {
+            while (this.running.size < this.concurrency && this.countRunning(type) < concurrency) {
+                const job = await this.claim(type);
+                if (!job) break;
+
+                const promise = this.execute(job).finally(() => this.running.delete(job.id));
+                this.running.set(job.id, { type, promise });
+                started++;
+            }
+        }
+
+        return started;
+    }
+
+    countRunning(type) {
+        return [...this.running.values()].filter(job => job.type === type).length;
+    }
+
+    async claim(type) {
+        const row = await get(this.db, `
+            UPDATE jobs SET status = 'running', attempts = attempts + 1, error = NULL,
+                started_at = datetime('now'), updated_at = datetime('now')
+            WHERE id = (
+                SELECT id FROM jobs WHERE status = 'queued' AND type = ? AND run_after <= datetime('now')
+                ORDER BY id LIMIT 1
+            ) AND status = 'queued'
+            RETURNING *
+        `, [type]);
+        return formatJob(row);
+    }
+
+    /**
+     * Run a claimed job and record its result, or schedule a retry
+     */
+    async execute(job) {
+        const { handler, retryDelaySeconds } = this.handlers.get(job.type);
+        const progress = (percent, message = null) => run(this.db, `
+            UPDATE jobs SET progress = ?, progress_message = ?, updated_at = datetime('now') WHERE id = ?
+        `, [Math.max(0, Math.min(100, Math.round(percent))), message, job.id]).catch(() => {});
+        const checkpoint = async (values) => {
+            job.payload = { ...job.payload, ...values };
+            await run(this.db, `
+                UPDATE jobs SET payload = ?, updated_at = datetime('now') WHERE id = ?
+            `, [JSON.stringify(job.payload), job.id]);
+        };
+
+        try {
+            const result = await handler(job.payload, { id: job.id, attempt: job.attempts, progress, checkpoint });
+            await run(this.db, `
+                UPDATE jobs SET status = 'completed', progress = 100, result = ?,
+                    finished_at = datetime('now'), updated_at = datetime('now')
+                WHERE id = ?
+            `, [JSON.stringify(result ?? null), job.id]);
+            console.log(`✅ Job ${job.id} (${job.type}) completed`);
+        } catch (error) {
+            if (error.retryable !== false && job.attempts < job.max_attempts) {
+                const delay = retryDelaySeconds * 2 ** (job.attempts - 1);
+                await run(this.db, `
+                    UPDATE jobs SET status = 'queued', error = ?, run_after = datetime('now', ?), updated_at = datetime('now')
+                    WHERE id = ?
+                `, [error.message, `+${delay} seconds`, job.id]);
+                console.error(`⚠️  Job ${job.id} (${job.type}) failed, retrying in ${delay}s: ${error.message}`);
+            } else {
+                await run(this.db, `
+                    UPDATE jobs SET status = 'failed', error = ?, finished_at = datetime('now'), updated_at = datetime('now')
+                    WHERE id = ?
+                `, [error.message, job.id]);
+                console.error(`❌ Job ${job.id} (${job.type}) failed after ${job.attempts} attempt${job.attempts > 1 ? 's' : ''}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Run due jobs until none are left (for scripts and tests)
+     */
+    async drain() {
+        while ((await this.tick()) > 0 || this.running.size > 0) {
+            await Promise.race([...this.running.values()].map(job => job.promise));
+        }
+    }
+
+    /**
+     * Stop polling and wait for running jobs to finish
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await Promise.all([...this.running.values()].map(job => job.promise));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { JobQueue };
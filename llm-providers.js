@@ -0,0 +1,334 @@
+const axios = require('axios');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * LLM Providers
+ * Every provider exposes the same interface so agents don't depend on one server's API:
+ *   chat(messages, options)                      -> Promise<string>
+ *   chatStream(messages, onToken, options)       -> Promise<string> (full text; options.signal aborts)
+ *   embed(texts)                                 -> Promise<number[][]>
+ *   getEmbedder()                                -> { model, embed } for fact-embeddings.js
+ *
+ * Pick one with LLM_PROVIDER = ollama (default) | openai | mock.
+ */
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_TOP_P = 0.9;
+
+/**
+ * Axios config with optional bearer auth and HTTPS proxy
+ */
+function buildRequestConfig(apiKey) {
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const axiosConfig = { headers };
+
+    if (process.env.HTTPS_PROXY || process.env.https_proxy) {
+        const proxyUrl = process.env.HTTPS_PROXY || process.env.https_proxy;
+        axiosConfig.httpsAgent = new HttpsProxyAgent(proxyUrl);
+        axiosConfig.proxy = false; // Disable axios default proxy handling
+    }
+
+    return axiosConfig;
+}
+
+/**
+ * Split a streamed response body into lines and hand each complete line to onLine
+ */
+async function readLines(stream, onLine) {
+    const decoder = new StringDecoder('utf8');
+    let buffered = '';
+
+    for await (const chunk of stream) {
+        buffered += decoder.write(chunk);
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(onLine);
+    }
+    onLine(buffered + decoder.end());
+}
+
+/**
+ * Ollama (local server or Ollama cloud) via /api/chat and /api/embed
+ */
+class OllamaProvider {
+    constructor({ url, apiKey = null, model, embeddingModel, temperature = DEFAULT_TEMPERATURE, topP = DEFAULT_TOP_P }) {
+        this.name = 'ollama';
+        this.url = url;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.embeddingModel = embeddingModel;
+        this.temperature = temperature;
+        this.topP = topP;
+    }
+
+    buildRequestBody(messages, stream, options = {}) {
+        return {
+            model: this.model,
+            messages,
+            stream,
+            options: {
+                temperature: options.temperature ?? this.temperature,
+                top_p: options.topP ?? this.topP
+            }
+        };
+    }
+
+    async chat(messages, options = {}) {
+        const response = await axios.post(
+            `${this.url}/api/chat`,
+            this.buildRequestBody(messages, false, options),
+            buildRequestConfig(this.apiKey)
+        );
+
+        return response.data.message.content;
+    }
+
+    async chatStream(messages, onToken = () => {}, options = {}) {
+        const response = await axios.post(
+            `${this.url}/api/chat`,
+            this.buildRequestBody(messages, true, options),
+            { ...buildRequestConfig(this.apiKey), responseType: 'stream', signal: options.signal }
+        );
+
+        // Ollama streams newline-delimited JSON objects
+        let text = '';
+        await readLines(response.data, (line) => {
+            if (!line.trim()) return;
+
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            const token = data.message ? data.message.content : '';
+            if (token) {
+                text += token;
+                onToken(token);
+            }
+        });
+
+        return text;
+    }
+
+    async embed(texts) {
+        const response = await axios.post(
+            `${this.url}/api/embed`,
+            { model: this.embeddingModel, input: texts },
+            buildRequestConfig(this.apiKey)
+        );
+
+        return response.data.embeddings;
+    }
+
+    getEmbedder() {
+        return { model: this.embeddingModel, embed: (texts) => this.embed(texts) };
+    }
+}
+
+/**
+ * OpenAI-compatible servers (llama.cpp server, vLLM, LM Studio, ...)
+ * `url` is the API base, e.g. http://localhost:8080/v1
+ */
+class OpenAICompatibleProvider {
+    constructor({ url, apiKey = null, model, embeddingModel, temperature = DEFAULT_TEMPERATURE, topP = DEFAULT_TOP_P }) {
+        this.name = 'openai';
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.embeddingModel = embeddingModel;
+        this.temperature = temperature;
+        this.topP = topP;
+    }
+
+    buildRequestBody(messages, stream, options = {}) {
+        return {
+            model: this.model,
+            messages,
+            stream,
+            temperature: options.temperature ?? this.temperature,
+            top_p: options.topP ?? this.topP
+        };
+    }
+
+    async chat(messages, options = {}) {
+        const response = await axios.post(
+            `${this.url}/chat/completions`,
+            this.buildRequestBody(messages, false, options),
+            buildRequestConfig(this.apiKey)
+        );
+
+        return response.data.choices[0].message.content;
+    }
+
+    async chatStream(messages, onToken = () => {}, options = {}) {
+        const response = await axios.post(
+            `${this.url}/chat/completions`,
+            this.buildRequestBody(messages, true, options),
+            { ...buildRequestConfig(this.apiKey), responseType: 'stream', signal: options.signal }
+        );
+
+        // Server-Sent Events: "data: {json}" lines, terminated by "data: [DONE]"
+        let text = '';
+        await readLines(response.data, (line) => {
+            if (!line.startsWith('data:')) return;
+
+            const payload = line.slice(5).trim();
+            if (!payload || payload === '[DONE]') return;
+
+            const data = JSON.parse(payload);
+            if (data.error) {
+                throw new Error(data.error.message || data.error);
+            }
+
+            const token = data.choices && data.choices[0] && data.choices[0].delta
+                ? data.choices[0].delta.content
+                : '';
+            if (token) {
+                text += token;
+                onToken(token);
+            }
+        });
+
+        return text;
+    }
+
+    async embed(texts) {
+        const response = await axios.post(
+            `${this.url}/embeddings`,
+            { model: this.embeddingModel, input: texts },
+            buildRequestConfig(this.apiKey)
+        );
+
+        return response.data.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    getEmbedder() {
+        return { model: this.embeddingModel, embed: (texts) => this.embed(texts) };
+    }
+}
+
+/**
+ * Deterministic offline provider for tests and local development
+ * Answers echo the last user message (or come from a custom `respond(messages)` function);
+ * embeddings are hashed bags of words, so texts sharing words are similar.
+ */
+class MockProvider {
+    constructor({ respond = null, dimensions = 64 } = {}) {
+        this.name = 'mock';
+        this.model = 'mock';
+        this.embeddingModel = 'mock-embed';
+        this.respond = respond;
+        this.dimensions = dimensions;
+    }
+
+    async chat(messages) {
+        if (this.respond) {
+            return this.respond(messages);
+        }
+
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        return `Mock answer: ${lastUser ? lastUser.content : ''}`;
+    }
+
+    async chatStream(messages, onToken = () => {}, options = {}) {
+        const text = await this.chat(messages);
+
+        // Emit word by word so stream consumers see several tokens
+        for (const token of text.match(/\S+\s*/g) || []) {
+            if (options.signal && options.signal.aborted) {
+                throw new Error('Stream aborted');
+            }
+            onToken(token);
+        }
+
+        return text;
+    }
+
+    async embed(texts) {
+        return texts.map(text => {
+            const vector = new Array(this.dimensions).fill(0);
+            (text.toLowerCase().match(/[a-z0-9]+/g) || []).forEach(word => {
+                const bucket = [...word].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % this.dimensions, 7);
+                vector[bucket] += 1;
+            });
+            return vector;
+        });
+    }
+
+    getEmbedder() {
+        return { model: this.embeddingModel, embed: (texts) => this.embed(texts) };
+    }
+}
+
+/**
+ * Read ~/.ollama/config.json, where `ollama login` stores the cloud URL and key
+ */
+function readOllamaConfig() {
+    const ollamaConfigPath = path.join(os.homedir(), '.ollama', 'config.json');
+
+    try {
+        if (fs.existsSync(ollamaConfigPath)) {
+            return JSON.parse(fs.readFileSync(ollamaConfigPath, 'utf8'));
+        }
+    } catch (err) {
+        console.log('⚠️  Could not read Ollama config. Run `ollama login` to authenticate.');
+    }
+
+    return {};
+}
+
+/**
+ * Build the provider selected by configuration (defaults to process.env)
+ */
+function createProvider(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || 'ollama').toLowerCase();
+    const temperature = env.LLM_TEMPERATURE !== undefined ? parseFloat(env.LLM_TEMPERATURE) : DEFAULT_TEMPERATURE;
+    const topP = env.LLM_TOP_P !== undefined ? parseFloat(env.LLM_TOP_P) : DEFAULT_TOP_P;
+
+    switch (providerName) {
+        case 'ollama': {
+            const ollamaConfig = readOllamaConfig();
+            return new OllamaProvider({
+                url: env.OLLAMA_URL || ollamaConfig.api_url || 'http://localhost:11434',
+                apiKey: env.OLLAMA_API_KEY || ollamaConfig.api_key || null,
+                model: env.OLLAMA_MODEL || 'gpt-oss:20b-cloud',
+                embeddingModel: env.OLLAMA_EMBED_MODEL || 'nomic-embed-text',
+                temperature,
+                topP
+            });
+        }
+        case 'openai':
+            return new OpenAICompatibleProvider({
+                url: env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+                apiKey: env.OPENAI_API_KEY || null,
+                model: env.OPENAI_MODEL || 'default',
+                embeddingModel: env.OPENAI_EMBED_MODEL || env.OPENAI_MODEL || 'default',
+                temperature,
+                topP
+            });
+        case 'mock':
+            return new MockProvider();
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected ollama, openai or mock)`);
+    }
+}
+
+module.exports = {
+    OllamaProvider,
+    OpenAICompatibleProvider,
+    MockProvider,
+    createProvider
+};
@@ -1,15 +1,32 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
+const { assignSlug, slugify } = require('./slugs');
+const { createMediaSources, searchMediaSources } = require('./media-sources');
+const { hashMedia, findDuplicate, findByOriginalUrl, registerMediaFile } = require('./media-dedup');
+const { probeMedia } = require('./media-types');
+const { createVariants } = require('./media-derivatives');
+
+// Largest file fetched (MAX_MEDIA_BYTES); a long video could otherwise fill the memory
+const DEFAULT_MAX_MEDIA_BYTES = 100 * 1024 * 1024;
 
 /**
  * Media Collection Agent
  * Automatically searches for and downloads historical images/videos for topics
+ * from the media sources in media-sources/ (MEDIA_SOURCES picks which)
  */
 class MediaAgent {
-    constructor(dbPath) {
+    /**
+     * @param {object} options - sources, media source adapters to search instead of MEDIA_SOURCES;
+     *                           maxMediaBytes, the size limit for fetched files
+     */
+    constructor(dbPath, options = {}) {
         this.db = new sqlite3.Database(dbPath);
+        this.sources = options.sources || createMediaSources();
+        this.maxMediaBytes = options.maxMediaBytes
+            || (process.env.MAX_MEDIA_BYTES ? parseInt(process.env.MAX_MEDIA_BYTES) : DEFAULT_MAX_MEDIA_BYTES);
         this.imageDir = path.join(__dirname, 'public/images/historical');
 
         // Ensure directory exists
@@ -19,186 +36,50 @@ class MediaAgent {
     }
 
     /**
-     * Search Library of Congress for historical media (images, audio, video)
-     * Always credits Library of Congress as the source
+     * Search every media source for historical media (images, audio, video)
+     * @returns {Promise<object[]>} Normalized records with license and attribution, see media-sources/
      */
-    async searchLibraryOfCongress(query, maxResults = 10) {
-        try {
-            const allMedia = [];
-            
-            // Search for images
-            const imageSearchUrl = `https://www.loc.gov/pictures/search/?q=${encodeURIComponent(query)}&fo=json`;
-            try {
-                const imageResponse = await axios.get(imageSearchUrl);
-                if (imageResponse.data && imageResponse.data.results) {
-                    for (const item of imageResponse.data.results.slice(0, maxResults)) {
-                        // For images, use the full image URL
-                        if (item.image && item.image.full) {
-                            allMedia.push({
-                                title: item.title || query,
-                                url: item.image.full,
-                                source: 'Library of Congress - Images',
-                                type: 'image',
-                                reproduction_number: item.reproduction_number
-                            });
-                        }
-                    }
-                }
-            } catch (imgError) {
-                console.error('Error searching LOC images:', imgError.message);
-            }
-            
-            // Search for audio recordings
-            const audioSearchUrl = `https://www.loc.gov/audio/?q=${encodeURIComponent(query)}&fo=json`;
-            try {
-                const audioResponse = await axios.get(audioSearchUrl);
-                if (audioResponse.data && audioResponse.data.results) {
-                    for (const item of audioResponse.data.results.slice(0, Math.floor(maxResults/2))) {
-                        // For audio, check resources for media files
-                        if (item.resources) {
-                            // Look for audio resources more broadly
-                            const audioResource = item.resources.find(r => {
-                                if (!r.url) return false;
-                                // Check for common audio indicators
-                                const isAudio = r.mime_type && (
-                                    r.mime_type.includes('audio') || 
-                                    r.mime_type.includes('mp3') || 
-                                    r.mime_type.includes('wav') ||
-                                    r.mime_type.includes('aiff') ||
-                                    r.mime_type.includes('flac')
-                                );
-                                // Or check URL for audio file extensions
-                                const hasAudioExtension = r.url.match(/\.(mp3|wav|aiff|flac|aac|m4a|ogg)$/i);
-                                return isAudio || hasAudioExtension;
-                            });
-                            
-                            if (audioResource && audioResource.url) {
-                                allMedia.push({
-                                    title: item.title || query,
-                                    url: audioResource.url,
-                                    source: 'Library of Congress - Audio',
-                                    type: 'audio',
-                                    reproduction_number: item.reproduction_number
-                                });
-                            } else if (item.resources.length > 0 && item.resources[0].url) {
-                                // Fallback: use first resource if it exists
-                                const firstResource = item.resources[0];
-                                if (firstResource.url.match(/\.(mp3|wav|aiff|flac|aac|m4a|ogg)$/i)) {
-                                    allMedia.push({
-                                        title: item.title || query,
-                                        url: firstResource.url,
-                                        source: 'Library of Congress - Audio',
-                                        type: 'audio',
-                                        reproduction_number: item.reproduction_number
-                                    });
-                                }
-                            }
-                        }
-                    }
-                }
-            } catch (audioError) {
-                console.error('Error searching LOC audio:', audioError.message);
-            }
-            
-            // Search for video recordings
-            const videoSearchUrl = `https://www.loc.gov/film/?q=${encodeURIComponent(query)}&fo=json`;
-            try {
-                const videoResponse = await axios.get(videoSearchUrl);
-                if (videoResponse.data && videoResponse.data.results) {
-                    for (const item of videoResponse.data.results.slice(0, Math.floor(maxResults/2))) {
-                        // For video, check resources for media files
-                        if (item.resources) {
-                            // Look for video resources more broadly
-                            const videoResource = item.resources.find(r => {
-                                if (!r.url) return false;
-                                // Check for common video indicators
-                                const isVideo = r.mime_type && (
-                                    r.mime_type.includes('video') || 
-                                    r.mime_type.includes('mp4') || 
-                                    r.mime_type.includes('mov') ||
-                                    r.mime_type.includes('avi') ||
-                                    r.mime_type.includes('wmv') ||
-                                    r.mime_type.includes('flv')
-                                );
-                                // Or check URL for video file extensions
-                                const hasVideoExtension = r.url.match(/\.(mp4|mov|avi|wmv|flv|mkv|m4v)$/i);
-                                return isVideo || hasVideoExtension;
-                            });
-                            
-                            if (videoResource && videoResource.url) {
-                                allMedia.push({
-                                    title: item.title || query,
-                                    url: videoResource.url,
-                                    source: 'Library of Congress - Video',
-                                    type: 'video',
-                                    reproduction_number: item.reproduction_number
-                                });
-                            } else if (item.resources.length > 0 && item.resources[0].url) {
-                                // Fallback: use first resource if it exists
-                                const firstResource = item.resources[0];
-                                if (firstResource.url.match(/\.(mp4|mov|avi|wmv|flv|mkv|m4v)$/i)) {
-                                    allMedia.push({
-                                        title: item.title || query,
-                                        url: firstResource.url,
-                                        source: 'Library of Congress - Video',
-                                        type: 'video',
-                                        reproduction_number: item.reproduction_number
-                                    });
-                                }
-                            }
-                        }
-                    }
-                }
-            } catch (videoError) {
-                console.error('Error searching LOC video:', videoError.message);
-            }
-
-            return allMedia.slice(0, maxResults);
-        } catch (error) {
-            console.error('Error searching LOC:', error.message);
-            return [];
-        }
+    async searchMedia(query, maxResults = 10) {
+        return searchMediaSources(this.sources, query, maxResults);
     }
 
     /**
-     * Download media from URL (handles images, audio, video)
-     * Always preserves source attribution in filename
+     * Fetch a media file (images, audio, video) of at most maxMediaBytes
+     * Local scans are read from disk by the adapter that found them; other adapters' files
+     * must be http(s) URLs.
+     * @param {string} adapter - Name of the media source the record came from
+     * @returns {Promise<Buffer|null>} null when the download failed
      */
-    async downloadMedia(url, filename, mediaType) {
+    async fetchMedia(url, adapter = null) {
         try {
-            if (!url || !filename) {
-                throw new Error('URL and filename are required');
+            if (!url) {
+                throw new Error('URL is required');
             }
-            
-            // Determine file extension based on media type
-            let extension = '.jpg';
-            if (mediaType === 'audio') {
-                extension = '.mp3';
-            } else if (mediaType === 'video') {
-                extension = '.mp4';
+
+            if (url.startsWith('file:')) {
+                const source = this.sources.find(candidate => candidate.name === adapter && candidate.readFile);
+                if (!source) {
+                    throw new Error(`File URLs are only read from local scans, not from ${adapter || 'unknown sources'}`);
+                }
+                return source.readFile(url, this.maxMediaBytes);
             }
-            
-            // Ensure filename has correct extension
-            if (!filename.endsWith(extension)) {
-                filename = filename.replace(/\.[^/.]+$/, "") + extension;
+            if (!/^https?:\/\//i.test(url)) {
+                throw new Error('Only http(s) URLs can be downloaded');
             }
-            
-            const response = await axios.get(url, { 
+
+            const response = await axios.get(url, {
                 responseType: 'arraybuffer',
                 timeout: 30000, // 30 second timeout
+                maxContentLength: this.maxMediaBytes,
                 validateStatus: (status) => status === 200
             });
             
             if (!response.data || response.data.length === 0) {
                 throw new Error('Empty response from media URL');
             }
-            
-            const filepath = path.join(this.imageDir, filename);
-            fs.writeFileSync(filepath, response.data);
-            console.log(`✅ Downloaded: ${filename}`);
-            return filepath;
+            return Buffer.from(response.data);
         } catch (error) {
-            console.error(`❌ Failed to download ${filename}:`, error.message);
+            console.error(`❌ Failed to download ${url}:`, error.message);
             if (error.code === 'ECONNABORTED') {
                 console.error('   Request timed out');
             } else if (error.response) {
@@ -208,50 +89,145 @@ class MediaAgent {
         }
     }
 
+    /**
+     * Store a media record's file, reusing a stored copy when there is one: a file already
+     * downloaded from the same URL isn't fetched again, and a download with the same bytes
+     * or (for images) nearly the same picture isn't saved again
+     * Source and rights travel with the record into topic_media, not in the filename.
+     * New images also get web-sized variants (see media-derivatives.js).
+     * @returns {Promise<{filepath: string, mediaFileId: number, type: string, reused: boolean}|null>} filepath is
+     *          the public path and type the detected image, audio or video; null when the download failed or
+     *          isn't media
+     */
+    async saveMedia(media) {
+        const known = await findByOriginalUrl(this.db, media.url);
+        if (known) {
+            return { filepath: known.media_path, mediaFileId: known.id, type: known.media_type || media.type, reused: true };
+        }
+
+        const buffer = await this.fetchMedia(media.url, media.adapter);
+        if (!buffer) {
+            return null;
+        }
+
+        // The bytes decide the type and extension, whatever the source said it was
+        const probe = await probeMedia(buffer);
+        if (!probe) {
+            console.log(`⚠️  Skipping "${media.title}": ${media.url} is not an image, audio or video file`);
+            return null;
+        }
+
+        const hashes = await hashMedia(buffer, probe.type);
+        const duplicate = await findDuplicate(this.db, hashes);
+        if (duplicate) {
+            console.log(`♻️  Reusing ${duplicate.media_path} for "${media.title}"`);
+            return { filepath: duplicate.media_path, mediaFileId: duplicate.id, type: duplicate.media_type || probe.type, reused: true };
+        }
+
+        const filename = `${this.mediaFilename(media)}.${probe.extension}`;
+        fs.writeFileSync(path.join(this.imageDir, filename), buffer);
+        console.log(`✅ Downloaded: ${filename} (${probe.mime})`);
+
+        // Local scans' file URLs are paths on this server; don't record them
+        const file = await registerMediaFile(this.db, {
+            mediaPath: `/images/historical/${filename}`,
+            ...hashes,
+            originalUrl: media.url.startsWith('file:') ? null : media.url,
+            mimeType: probe.mime,
+            mediaType: probe.type,
+            width: probe.width,
+            height: probe.height,
+            duration: probe.duration
+        });
+
+        if (probe.type === 'image') {
+            try {
+                await createVariants(this.db, file, buffer, this.imageDir);
+            } catch (error) {
+                // The gallery falls back to the original
+                console.error(`❌ Could not resize ${filename}:`, error.message);
+            }
+        }
+        return { filepath: file.media_path, mediaFileId: file.id, type: probe.type, reused: false };
+    }
+
     /**
      * Collect media for a topic (images, audio, video)
      * Always credits sources and preserves media type information
+     * @param {function} onItem - Optional, called with (done, total) after each download attempt
+     * @returns {Promise<{media: object[], documents: object[]}>} Downloaded media and the search
+     *          results' text, see sourceDocuments
      */
-    async collectMediaForTopic(topic, keywords = []) {
+    async collectMediaForTopic(topic, keywords = [], onItem = null) {
         console.log(`\n📸 Media Agent: Collecting media for "${topic}"`);
         
         // Build search query
         const searchQuery = [topic, ...keywords, 'Texas history'].join(' ');
         
         // Search for all media types
-        const mediaItems = await this.searchLibraryOfCongress(searchQuery);
+        const mediaItems = await this.searchMedia(searchQuery);
         
         const downloadedMedia = [];
         
-        for (const media of mediaItems) {
-            // Create filename that preserves source information
-            const cleanTitle = media.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 30);
-            const timestamp = Date.now();
-            const filename = `${topic.toLowerCase().replace(/\s+/g, '-')}-${cleanTitle}-${timestamp}`;
-            
-            const filepath = await this.downloadMedia(media.url, filename, media.type);
+        for (const [index, media] of mediaItems.entries()) {
+            const saved = await this.saveMedia(media);
             
-            if (filepath) {
+            // The same picture from two sources is shown once
+            if (saved && !downloadedMedia.some(item => item.filepath === saved.filepath)) {
+                // Keep the record's source, license and attribution with the file
                 downloadedMedia.push({
-                    filepath: `/images/historical/${filename}.${media.type === 'audio' ? 'mp3' : media.type === 'video' ? 'mp4' : 'jpg'}`,
-                    title: media.title,
-                    source: media.source, // Always preserve source attribution
-                    type: media.type,
-                    topic: topic,
-                    reproduction_number: media.reproduction_number
+                    ...media,
+                    filepath: saved.filepath,
+                    mediaFileId: saved.mediaFileId,
+                    type: saved.type,
+                    reused: saved.reused,
+                    topic: topic
                 });
             }
+            if (onItem) onItem(index + 1, mediaItems.length);
         }
         
-        console.log(`✅ Collected ${downloadedMedia.length} media items for "${topic}" (${mediaItems.length} searched)`);
-        return downloadedMedia;
+        const reused = downloadedMedia.filter(item => item.reused).length;
+        console.log(`✅ Collected ${downloadedMedia.length} media items for "${topic}" (${mediaItems.length} searched, ${reused} already stored)`);
+        return { media: downloadedMedia, documents: this.sourceDocuments(mediaItems) };
     }
 
     /**
-     * Store researched topic in database
+     * File name for a media record, without extension: its title plus a hash of the file's
+     * URL, so an item keeps the same name however often it is collected
      */
-    storeResearchedTopic(topic, keywords, userId = 'default') {
-        return new Promise((resolve, reject) => {
+    mediaFilename(media) {
+        const hash = crypto.createHash('sha1').update(media.url).digest('hex').slice(0, 10);
+        return `${slugify(media.title).slice(0, 40).replace(/-+$/, '') || 'media'}-${hash}`;
+    }
+
+    /**
+     * Source documents for fact extraction from search results: each item's title and
+     * catalog description, whether or not its media downloaded
+     */
+    sourceDocuments(mediaItems) {
+        const seen = new Set();
+        return mediaItems
+            .filter(item => {
+                const key = item.item_url || item.url;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(item => ({
+                title: item.title,
+                text: [item.title, item.description].filter(Boolean).join('\n'),
+                source: item.source,
+                // Local scans have no public page to cite
+                url: item.item_url || (item.url.startsWith('file:') ? null : item.url)
+            }));
+    }
+
+    /**
+     * Store researched topic in database, with the slug its page is served under
+     */
+    async storeResearchedTopic(topic, keywords, userId = 'default') {
+        const topicId = await new Promise((resolve, reject) => {
             this.db.run(`
                 INSERT INTO topics_researched (topic, keywords, user_id, researched_at)
                 VALUES (?, ?, ?, datetime('now'))
@@ -260,30 +236,46 @@ class MediaAgent {
                 else resolve(this.lastID);
             });
         });
+
+        await assignSlug(this.db, 'topics_researched', topicId);
+        return topicId;
     }
 
     /**
-     * Link media to topic
+     * Link downloaded media to a topic with its rights metadata
+     * @param {object} media - A media source record with the stored file's `filepath`, `mediaFileId` and detected `type`
+     * @returns {Promise<number|null>} The topic_media id, or null when the topic already shows the file
      */
-    linkMediaToTopic(topicId, mediaPath, title, source) {
+    linkMediaToTopic(topicId, media) {
+        // Local scans' file URLs are paths on this server, not something to publish
+        const originalUrl = media.url && !media.url.startsWith('file:') ? media.url : null;
+
         return new Promise((resolve, reject) => {
             this.db.run(`
-                INSERT INTO topic_media (topic_id, media_path, title, source, collected_at)
-                VALUES (?, ?, ?, ?, datetime('now'))
-            `, [topicId, mediaPath, title, source], function(err) {
+                INSERT INTO topic_media
+                    (topic_id, media_path, media_file_id, media_type, title, source, source_adapter, item_url, original_url, creator,
+                     date_created, rights, license, license_url, attribution, reproduction_number, collected_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+                ON CONFLICT (topic_id, media_path) DO NOTHING
+            `, [topicId, media.filepath, media.mediaFileId || null, media.type || 'image', media.title, media.source, media.adapter || null, media.item_url || null,
+                originalUrl, media.creator || null, media.date || null, media.rights || null, media.license || null,
+                media.license_url || null, media.attribution || null, media.reproduction_number || null], function(err) {
                 if (err) reject(err);
-                else resolve(this.lastID);
+                else resolve(this.changes ? this.lastID : null);
             });
         });
     }
 
     /**
      * Full workflow: Research topic -> Collect media -> Store everything
+     * Facts are not extracted here; the returned documents are the text to extract them from.
      * @param {string} topic - The topic to research
      * @param {array} keywords - Keywords for the search
      * @param {number} existingTopicId - Optional: If provided, enhances existing topic instead of creating new one
+     * @param {function} onItem - Optional download progress callback, see collectMediaForTopic
+     * @param {function} onTopicStored - Optional, called with the id of a newly stored topic
      */
-    async researchAndCollect(topic, keywords = [], existingTopicId = null) {
+    async researchAndCollect(topic, keywords = [], existingTopicId = null, onItem = null, onTopicStored = null) {
         console.log(`\n🔬 Starting research workflow for: "${topic}"`);
 
         let topicId = existingTopicId;
@@ -292,26 +284,26 @@ class MediaAgent {
             // 1. Store researched topic (only if not enhancing existing)
             topicId = await this.storeResearchedTopic(topic, keywords);
             console.log(`✅ Stored topic research (ID: ${topicId})`);
+            if (onTopicStored) await onTopicStored(topicId);
         } else {
             console.log(`🔄 Enhancing existing topic (ID: ${topicId})`);
         }
 
         // 2. Collect media
-        const media = await this.collectMediaForTopic(topic, keywords);
+        const { media, documents } = await this.collectMediaForTopic(topic, keywords, onItem);
 
-        // 3. Link media to topic
-        let factsAdded = 0;
+        // 3. Link media to topic; files the topic already shows are not counted again
+        let mediaCount = 0;
         for (const item of media) {
-            await this.linkMediaToTopic(topicId, item.filepath, item.title, item.source);
-            factsAdded++;
+            if (await this.linkMediaToTopic(topicId, item)) mediaCount++;
         }
 
         return {
             topicId,
             topic,
-            mediaCount: media.length,
+            mediaCount,
             media,
-            factsAdded
+            documents
         };
     }
 
@@ -0,0 +1,58 @@
+/**
+ * Media credits
+ * Collected media keeps the rights metadata its source adapter reported (see media-sources/).
+ * Topic pages show a credit line under every image, and /topics/<slug>/credits.json lists
+ * the same credits in full for reuse and audits.
+ */
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Text shown under a media item: who to credit and the terms it may be used under
+ * Media collected before rights metadata was recorded falls back to its source.
+ * @param {object} media - A topic_media row, or any object with attribution/source and license/rights
+ */
+function creditLine(media) {
+    const credit = media.attribution || media.source;
+    const terms = media.license || media.rights;
+    return [credit, terms && terms !== credit ? terms : null].filter(Boolean).join(' — ');
+}
+
+/**
+ * Machine-readable credits for a topic's collected media
+ * @returns {Promise<object[]>}
+ */
+async function getTopicCredits(db, topicId) {
+    const rows = await all(db, 'SELECT * FROM topic_media WHERE topic_id = ? ORDER BY id', [topicId]);
+
+    return rows.map(row => ({
+        title: row.title,
+        file: row.media_path,
+        type: row.media_type,
+        source: row.source,
+        source_adapter: row.source_adapter,
+        item_url: row.item_url,
+        original_url: row.original_url,
+        creator: row.creator,
+        date: row.date_created,
+        rights: row.rights,
+        license: row.license,
+        license_url: row.license_url,
+        attribution: row.attribution || row.source,
+        reproduction_number: row.reproduction_number,
+        credit_line: creditLine(row),
+        collected_at: row.collected_at
+    }));
+}
+
+module.exports = {
+    creditLine,
+    getTopicCredits
+};
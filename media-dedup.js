@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+/**
+ * Media deduplication
+ * Every stored media file is registered in media_files with the SHA-256 of its bytes and,
+ * for images, a 64-bit difference hash (dHash) of a 9x8 grayscale thumbnail. Identical
+ * bytes share a SHA-256; re-encoded or resized copies of the same picture have dHashes a
+ * few bits apart. Downloads that match a registered file reuse it instead of adding a copy.
+ */
+
+// dHashes at most this many bits apart are treated as the same picture
+const PHASH_THRESHOLD = 6;
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Difference hash of an image as 16 hex digits: each bit says whether a pixel of the 9x8
+ * grayscale thumbnail is brighter than its right-hand neighbour
+ * @returns {Promise<string|null>} null when the bytes are not a decodable image
+ */
+async function dHash(buffer) {
+    let pixels;
+    try {
+        pixels = await sharp(buffer).grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    } catch (error) {
+        return null;
+    }
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (diff) {
+        bits += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return bits;
+}
+
+/**
+ * SHA-256 of a file's bytes, plus the dHash for images
+ * @returns {Promise<{sha256: string, phash: string|null, byteSize: number}>}
+ */
+async function hashMedia(buffer, type = 'image') {
+    return {
+        sha256: sha256(buffer),
+        phash: type === 'image' ? await dHash(buffer) : null,
+        byteSize: buffer.length
+    };
+}
+
+/**
+ * The registered file these hashes match: the same bytes, or else an image whose dHash is
+ * within the threshold (the closest one)
+ * @returns {Promise<object|null>} A media_files row
+ */
+async function findDuplicate(db, { sha256: hash, phash }, threshold = PHASH_THRESHOLD) {
+    const exact = await get(db, 'SELECT * FROM media_files WHERE sha256 = ? ORDER BY id LIMIT 1', [hash]);
+    if (exact || !phash) {
+        return exact;
+    }
+
+    let closest = null;
+    for (const file of await all(db, 'SELECT * FROM media_files WHERE phash IS NOT NULL ORDER BY id')) {
+        const distance = hammingDistance(phash, file.phash);
+        if (distance <= threshold && (!closest || distance < closest.distance)) {
+            closest = { file, distance };
+        }
+    }
+    return closest ? closest.file : null;
+}
+
+/**
+ * The registered file already downloaded from this URL
+ */
+async function findByOriginalUrl(db, url) {
+    return get(db, 'SELECT * FROM media_files WHERE original_url = ? ORDER BY id LIMIT 1', [url]);
+}
+
+/**
+ * Record a stored file with its hashes and, when known, what probeMedia found out about it;
+ * registering a path again updates its hashes and fills in missing details
+ * @returns {Promise<object>} The media_files row
+ */
+async function registerMediaFile(db, { mediaPath, sha256: hash, phash, byteSize, originalUrl = null, mimeType = null, mediaType = null, width = null, height = null, duration = null }) {
+    await run(db, `
+        INSERT INTO media_files (media_path, sha256, phash, byte_size, original_url, mime_type, media_type, width, height, duration)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (media_path) DO UPDATE SET sha256 = excluded.sha256, phash = excluded.phash,
+            byte_size = excluded.byte_size, original_url = COALESCE(media_files.original_url, excluded.original_url),
+            mime_type = COALESCE(excluded.mime_type, media_files.mime_type), media_type = COALESCE(excluded.media_type, media_files.media_type),
+            width = COALESCE(excluded.width, media_files.width), height = COALESCE(excluded.height, media_files.height),
+            duration = COALESCE(excluded.duration, media_files.duration)
+    `, [mediaPath, hash, phash, byteSize, originalUrl, mimeType, mediaType, width, height, duration]);
+    return get(db, 'SELECT * FROM media_files WHERE media_path = ?', [mediaPath]);
+}
+
+/**
+ * Group files whose bytes match or whose dHashes are within the threshold of one another
+ * @param {Array<{mediaPath: string, sha256: string, phash: string|null}>} files
+ * @returns {Array<object[]>} Groups of two or more files, in the order given
+ */
+function groupDuplicates(files, threshold = PHASH_THRESHOLD) {
+    const parent = files.map((file, index) => index);
+    const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+
+    for (let i = 0; i < files.length; i++) {
+        for (let j = i + 1; j < files.length; j++) {
+            const same = files[i].sha256 === files[j].sha256 ||
+                (files[i].phash && files[j].phash && hammingDistance(files[i].phash, files[j].phash) <= threshold);
+            if (same) parent[find(j)] = find(i);
+        }
+    }
+
+    const groups = new Map();
+    files.forEach((file, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(file);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Point every reference to a duplicate file at the file kept in its place, then forget
+ * the duplicate and its variants. Topics that already show the kept file lose their row
+ * for the duplicate. Deleting the files is up to the caller.
+ * @returns {Promise<number>} topic_media rows moved or removed
+ */
+async function mergeMediaFile(db, duplicatePath, keptPath) {
+    const kept = await get(db, 'SELECT id FROM media_files WHERE media_path = ?', [keptPath]);
+    const { changes: removed } = await run(db, `
+        DELETE FROM topic_media WHERE media_path = ?
+        AND topic_id IN (SELECT topic_id FROM topic_media WHERE media_path = ?)
+    `, [duplicatePath, keptPath]);
+    const { changes: moved } = await run(db, 'UPDATE topic_media SET media_path = ?, media_file_id = ? WHERE media_path = ?',
+        [keptPath, kept ? kept.id : null, duplicatePath]);
+    await run(db, 'UPDATE historical_facts SET image_url = ? WHERE image_url = ?', [keptPath, duplicatePath]);
+    // Keep the duplicate's download URL so the item is not fetched again
+    await run(db, `
+        UPDATE media_files SET original_url = (SELECT original_url FROM media_files WHERE media_path = ?)
+        WHERE media_path = ? AND original_url IS NULL
+    `, [duplicatePath, keptPath]);
+    await run(db, 'DELETE FROM media_variants WHERE media_file_id IN (SELECT id FROM media_files WHERE media_path = ?)', [duplicatePath]);
+    await run(db, 'DELETE FROM media_files WHERE media_path = ?', [duplicatePath]);
+    return removed + moved;
+}
+
+module.exports = {
+    PHASH_THRESHOLD,
+    sha256,
+    dHash,
+    hammingDistance,
+    hashMedia,
+    findDuplicate,
+    findByOriginalUrl,
+    registerMediaFile,
+    groupDuplicates,
+    mergeMediaFile
+};
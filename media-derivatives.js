@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { probeMedia } = require('./media-types');
+const { hashMedia, registerMediaFile } = require('./media-dedup');
+
+/**
+ * Web-sized image variants
+ * Archive originals are often full-resolution scans or TIFF conversions that are too large
+ * for a gallery, or that browsers can't show at all. Every stored image gets JPEG copies
+ * at a few widths in a variants/ folder next to it, recorded in media_variants; galleries
+ * load the smallest that fits through srcset.
+ *
+ * Create variants for media stored before they existed:
+ *   node media-derivatives.js            Images without variants
+ *   node media-derivatives.js --force    Every image
+ */
+
+// The smallest doubles as the thumbnail
+const VARIANT_WIDTHS = [320, 640, 1280];
+
+const MEDIA_DIR = path.join(__dirname, 'public', 'images', 'historical');
+const MEDIA_URL_PREFIX = '/images/historical';
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+/**
+ * Write and record the variants of a stored image. Images narrower than a variant width
+ * get one variant at their own width, so TIFFs and other formats browsers can't show
+ * still have a JPEG.
+ * @param {object} mediaFile - The image's media_files row
+ * @param {Buffer} buffer - The image's bytes
+ * @param {string} dir - The directory the image is stored in
+ * @returns {Promise<Array<{media_path: string, width: number, height: number}>>} Narrowest first
+ */
+async function createVariants(db, mediaFile, buffer, dir) {
+    const variantDir = path.join(dir, 'variants');
+    const urlDir = `${path.posix.dirname(mediaFile.media_path)}/variants`;
+    const base = path.posix.basename(mediaFile.media_path).replace(/\.[^.]+$/, '');
+    fs.mkdirSync(variantDir, { recursive: true });
+
+    const variants = [];
+    for (const width of VARIANT_WIDTHS) {
+        // rotate() applies the EXIF orientation; flatten() fills transparency, which JPEG lacks
+        const { data, info } = await sharp(buffer).rotate()
+            .resize({ width, withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 80, mozjpeg: true })
+            .toBuffer({ resolveWithObject: true });
+        if (variants.some(variant => variant.width === info.width)) continue;
+
+        const filename = `${base}-${info.width}w.jpg`;
+        fs.writeFileSync(path.join(variantDir, filename), data);
+
+        const variant = { media_path: `${urlDir}/${filename}`, width: info.width, height: info.height };
+        await run(db, `
+            INSERT INTO media_variants (media_file_id, media_path, width, height, byte_size) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (media_path) DO UPDATE SET media_file_id = excluded.media_file_id, width = excluded.width,
+                height = excluded.height, byte_size = excluded.byte_size
+        `, [mediaFile.id, variant.media_path, variant.width, variant.height, data.length]);
+        variants.push(variant);
+    }
+
+    return variants;
+}
+
+/**
+ * Variants of stored files, by the public path of the original
+ * @returns {Promise<Map<string, Array<{media_path: string, width: number, height: number}>>>}
+ *          Narrowest first; files without variants are missing from the map
+ */
+async function getVariantsByPath(db, mediaPaths) {
+    const paths = [...new Set(mediaPaths.filter(Boolean))];
+    const variants = new Map();
+    if (!paths.length) {
+        return variants;
+    }
+
+    const rows = await all(db, `
+        SELECT f.media_path AS original_path, v.media_path, v.width, v.height
+        FROM media_variants v JOIN media_files f ON f.id = v.media_file_id
+        WHERE f.media_path IN (${paths.map(() => '?').join(', ')})
+        ORDER BY v.width
+    `, paths);
+    for (const { original_path, ...variant } of rows) {
+        if (!variants.has(original_path)) variants.set(original_path, []);
+        variants.get(original_path).push(variant);
+    }
+    return variants;
+}
+
+/**
+ * Probe and register every file in a media directory, correct the type of the topic_media
+ * rows that show it, and create the variants images are missing
+ * @param {object} options - force (recreate existing variants), urlPrefix (public path of the directory)
+ * @returns {Promise<{registered: number, variants: number, skipped: string[]}>} skipped
+ *          lists files that aren't images, audio or video
+ */
+async function backfillMediaFiles(db, dir, options = {}) {
+    const { force = false, urlPrefix = MEDIA_URL_PREFIX } = options;
+    const result = { registered: 0, variants: 0, skipped: [] };
+
+    for (const name of fs.readdirSync(dir).sort()) {
+        const filepath = path.join(dir, name);
+        if (!fs.statSync(filepath).isFile()) continue;
+
+        const buffer = fs.readFileSync(filepath);
+        const probe = await probeMedia(buffer);
+        if (!probe) {
+            result.skipped.push(name);
+            continue;
+        }
+
+        const mediaPath = `${urlPrefix}/${name}`;
+        const file = await registerMediaFile(db, {
+            mediaPath,
+            ...(await hashMedia(buffer, probe.type)),
+            mimeType: probe.mime,
+            mediaType: probe.type,
+            width: probe.width,
+            height: probe.height,
+            duration: probe.duration
+        });
+        await run(db, 'UPDATE topic_media SET media_type = ?, media_file_id = COALESCE(media_file_id, ?) WHERE media_path = ?',
+            [probe.type, file.id, mediaPath]);
+        result.registered++;
+
+        if (probe.type === 'image' && (force || !(await getVariantsByPath(db, [mediaPath])).size)) {
+            try {
+                result.variants += (await createVariants(db, file, buffer, dir)).length;
+            } catch (error) {
+                console.error(`❌ Could not resize ${name}:`, error.message);
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    VARIANT_WIDTHS,
+    createVariants,
+    getVariantsByPath,
+    backfillMediaFiles
+};
+
+// CLI usage
+if (require.main === module) {
+    require('dotenv').config();
+    const sqlite3 = require('sqlite3').verbose();
+    const { migrate } = require('./schema-migrations');
+    const args = process.argv.slice(2);
+
+    if (args.some(arg => arg !== '--force')) {
+        console.log('Usage: node media-derivatives.js [--force]');
+        process.exit(1);
+    }
+
+    const db = new sqlite3.Database(path.join(__dirname, 'database.sqlite'));
+    (async () => {
+        await migrate(db);
+        const { registered, variants, skipped } = await backfillMediaFiles(db, MEDIA_DIR, { force: args.includes('--force') });
+        skipped.forEach(name => console.log(`⚠️  ${name} is not an image, audio or video file`));
+        console.log(`✅ Probed ${registered} media file${registered === 1 ? '' : 's'} and created ${variants} variant${variants === 1 ? '' : 's'}`);
+    })().catch(error => {
+        console.error('❌ Creating variants failed:', error.message);
+        process.exitCode = 1;
+    }).finally(() => db.close());
+}
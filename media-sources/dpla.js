@@ -0,0 +1,84 @@
+const axios = require('axios');
+
+/**
+ * Digital Public Library of America
+ * Searches DPLA's aggregated catalog. DPLA hosts only a preview image of each item, so
+ * that is what gets downloaded; item_url leads to the full item at the contributing
+ * institution. Needs a free API key in DPLA_API_KEY.
+ */
+
+const API_URL = 'https://api.dp.la/v2/items';
+
+// sourceResource.type values of items with a visual preview
+const MEDIA_TYPES = ['image', 'sound', 'moving image'];
+
+function first(value) {
+    const values = [].concat(value || []);
+    const found = values.find(entry => (typeof entry === 'string' && entry.trim()) || (entry && entry.name));
+    if (!found) return null;
+    return typeof found === 'string' ? found.trim() : found.name;
+}
+
+class DPLASource {
+    /**
+     * @param {object} options - apiKey (default DPLA_API_KEY), http, an axios-compatible client
+     */
+    constructor(options = {}) {
+        this.name = 'dpla';
+        this.label = 'Digital Public Library of America';
+        this.apiKey = options.apiKey || process.env.DPLA_API_KEY || null;
+        this.http = options.http || axios;
+    }
+
+    isAvailable() {
+        return !!this.apiKey;
+    }
+
+    async search(query, maxResults = 10) {
+        if (!this.apiKey) return [];
+
+        const params = new URLSearchParams({
+            q: query,
+            page_size: String(maxResults),
+            api_key: this.apiKey
+        });
+        const response = await this.http.get(`${API_URL}?${params}`, { timeout: 30000 });
+        const docs = (response.data && response.data.docs) || [];
+
+        return docs
+            .map(doc => this.normalize(doc))
+            .filter(Boolean)
+            .slice(0, maxResults);
+    }
+
+    normalize(doc) {
+        const resource = doc.sourceResource || {};
+        if (!MEDIA_TYPES.includes(first(resource.type)) || !doc.object) return null;
+
+        const creator = first(resource.creator);
+        const institution = first(doc.dataProvider) || first(doc.provider) || null;
+        const rights = first(doc.rights) || first(resource.rights);
+        const date = resource.date ? first([].concat(resource.date).map(entry => entry.displayDate || entry)) : null;
+
+        return {
+            title: first(resource.title) || 'Untitled',
+            url: doc.object,
+            // DPLA only hosts previews, so the file is an image whatever the item is
+            type: 'image',
+            source: institution ? `${institution} via DPLA` : 'DPLA',
+            adapter: this.name,
+            item_url: doc.isShownAt || null,
+            description: [].concat(resource.description || []).filter(part => typeof part === 'string').join('\n'),
+            creator,
+            date,
+            license: null,
+            // Usually a rightsstatements.org or Creative Commons URI
+            license_url: rights && /^https?:/.test(rights) ? rights : null,
+            rights: rights || 'Rights status not evaluated; see the item record',
+            attribution: [creator, institution, 'via DPLA'].filter(Boolean).join(', '),
+            reproduction_number: null
+        };
+    }
+}
+
+module.exports = { DPLASource };
@@ -0,0 +1,98 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Recorded HTTP fixtures for the media source adapters
+ * A fixture file holds the responses an adapter received for one search, keyed by URL,
+ * so tests can run the adapters offline. API keys are redacted before recording.
+ *
+ * Record fresh fixtures (needs network access, and DPLA_API_KEY for DPLA):
+ *   node media-sources/fixtures.js record "Spindletop oil"
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function redact(url) {
+    return url.replace(/([?&]api_key=)[^&]+/, '$1REDACTED');
+}
+
+function fixturePath(name) {
+    return path.join(FIXTURES_DIR, `${name}.json`);
+}
+
+/**
+ * An http client that answers from a fixture file and fails on unrecorded URLs
+ */
+function replayHttp(name) {
+    const { responses } = JSON.parse(fs.readFileSync(fixturePath(name), 'utf8'));
+
+    return {
+        async get(url) {
+            const recorded = responses[redact(url)];
+            if (!recorded) {
+                const error = new Error(`No recorded response for ${redact(url)}`);
+                error.code = 'ENOFIXTURE';
+                throw error;
+            }
+            if (recorded.status >= 400) {
+                const error = new Error(`Request failed with status code ${recorded.status}`);
+                error.response = { status: recorded.status, data: recorded.data };
+                throw error;
+            }
+            return { status: recorded.status, data: recorded.data };
+        }
+    };
+}
+
+/**
+ * An http client that passes requests to axios and keeps the responses for saveFixture
+ */
+function recordingHttp(http = axios) {
+    const responses = {};
+
+    return {
+        responses,
+        async get(url, config) {
+            const response = await http.get(url, config);
+            responses[redact(url)] = { status: response.status, data: response.data };
+            return response;
+        }
+    };
+}
+
+function saveFixture(name, query, responses) {
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(fixturePath(name), JSON.stringify({ query, recorded_at: new Date().toISOString(), responses }, null, 2) + '\n');
+}
+
+module.exports = { replayHttp, recordingHttp, saveFixture };
+
+// CLI usage
+if (require.main === module) {
+    const { ADAPTERS } = require('./index');
+    const [command, query = 'Spindletop oil', ...names] = process.argv.slice(2);
+
+    if (command !== 'record') {
+        console.log('Usage: node media-sources/fixtures.js record "<query>" [source ...]');
+        process.exit(1);
+    }
+
+    (async () => {
+        for (const name of names.length ? names : Object.keys(ADAPTERS).filter(name => name !== 'local')) {
+            const http = recordingHttp();
+            const source = new ADAPTERS[name]({ http });
+            if (!source.isAvailable()) {
+                console.log(`⏭️  Skipping ${name}: not configured`);
+                continue;
+            }
+
+            const records = await source.search(query, 5);
+            saveFixture(name, query, http.responses);
+            console.log(`📼 Recorded ${Object.keys(http.responses).length} responses for ${name} (${records.length} records)`);
+        }
+    })().catch(error => {
+        console.error('❌ Recording failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,79 @@
+const { LibraryOfCongressSource } = require('./loc');
+const { WikimediaCommonsSource } = require('./wikimedia');
+const { DPLASource } = require('./dpla');
+const { PortalToTexasHistorySource } = require('./portal');
+const { LocalFolderSource } = require('./local-folder');
+
+/**
+ * Media sources
+ * Each adapter searches one collection with search(query, maxResults) and returns
+ * normalized records:
+ *   { title, url, type, source, adapter, item_url, description, creator, date,
+ *     license, license_url, rights, attribution, reproduction_number }
+ * `url` is the file to download (http(s), or file:// for local scans), `type` is image,
+ * audio or video, `source` is the collection name shown with the media and `attribution`
+ * is the credit line. isAvailable() is false for adapters missing their configuration.
+ * Adapters whose files are on this server (file:// URLs) also have readFile(url, maxBytes);
+ * file URLs from any other adapter are never read.
+ *
+ * Adapters take an axios-compatible `http` client, so recorded fixtures (fixtures.js) can
+ * stand in for the network.
+ */
+
+const ADAPTERS = {
+    loc: LibraryOfCongressSource,
+    wikimedia: WikimediaCommonsSource,
+    dpla: DPLASource,
+    portal: PortalToTexasHistorySource,
+    local: LocalFolderSource
+};
+
+const DEFAULT_SOURCES = 'loc,wikimedia,portal,dpla,local';
+
+/**
+ * Adapters for a comma-separated list of source names (default MEDIA_SOURCES)
+ * @param {object} options - Passed to every adapter constructor (http, dir, apiKey, ...)
+ */
+function createMediaSources(names = process.env.MEDIA_SOURCES || DEFAULT_SOURCES, options = {}) {
+    return String(names).split(',').map(name => name.trim()).filter(Boolean).map(name => {
+        const Adapter = ADAPTERS[name];
+        if (!Adapter) {
+            throw new Error(`Unknown media source "${name}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+        }
+        return new Adapter(options);
+    });
+}
+
+/**
+ * Search every available source, taking results from each in turn so no collection crowds
+ * out the others. A source that fails is logged and skipped.
+ * @returns {Promise<object[]>} Normalized records, at most maxResults, without repeated files
+ */
+async function searchMediaSources(sources, query, maxResults = 10) {
+    const available = sources.filter(source => source.isAvailable());
+    const resultLists = await Promise.all(available.map(source =>
+        source.search(query, maxResults).catch(error => {
+            console.error(`Error searching ${source.label}:`, error.message);
+            return [];
+        })
+    ));
+
+    const records = [];
+    const seen = new Set();
+    for (let i = 0; records.length < maxResults && resultLists.some(list => i < list.length); i++) {
+        for (const list of resultLists) {
+            const record = list[i];
+            if (!record || seen.has(record.url) || records.length >= maxResults) continue;
+            seen.add(record.url);
+            records.push(record);
+        }
+    }
+
+    return records;
+}
+
+module.exports = {
+    ADAPTERS,
+    createMediaSources,
+    searchMediaSources
+};
@@ -0,0 +1,122 @@
+const axios = require('axios');
+
+/**
+ * Library of Congress
+ * Searches the Prints & Photographs catalog for images and the loc.gov audio and film
+ * collections for recordings. Always credits the Library of Congress.
+ */
+
+const COLLECTIONS = [
+    { type: 'image', label: 'Images', url: 'https://www.loc.gov/pictures/search/', share: 1 },
+    { type: 'audio', label: 'Audio', url: 'https://www.loc.gov/audio/', share: 0.5 },
+    { type: 'video', label: 'Video', url: 'https://www.loc.gov/film/', share: 0.5 }
+];
+
+const MEDIA_EXTENSIONS = {
+    audio: /\.(mp3|wav|aiff|flac|aac|m4a|ogg)$/i,
+    video: /\.(mp4|mov|avi|wmv|flv|mkv|m4v)$/i
+};
+
+const MEDIA_MIME_TYPES = {
+    audio: ['audio', 'mp3', 'wav', 'aiff', 'flac'],
+    video: ['video', 'mp4', 'mov', 'avi', 'wmv', 'flv']
+};
+
+const DEFAULT_RIGHTS = 'Rights status not evaluated; see the item record';
+
+function strings(value) {
+    return [].concat(value || []).filter(part => typeof part === 'string' && part.trim());
+}
+
+/**
+ * Descriptive text of a search result: its description, summary or notes, date and subjects
+ */
+function describeItem(item) {
+    const parts = [...strings(item.description), ...strings(item.summary), ...strings(item.notes)];
+    const date = item.created_published_date || item.date;
+    if (typeof date === 'string' && date) parts.push(`Date: ${date}`);
+    const subjects = strings(item.subjects || item.subject);
+    if (subjects.length) parts.push(`Subjects: ${subjects.join('; ')}`);
+    return parts.join('\n');
+}
+
+/**
+ * Downloadable file of a result: the full image for pictures, or the first audio/video
+ * resource for recordings
+ */
+function mediaFileUrl(item, type) {
+    if (type === 'image') {
+        return item.image && item.image.full ? item.image.full : null;
+    }
+
+    const resources = (item.resources || []).filter(resource => resource.url);
+    const match = resources.find(resource =>
+        MEDIA_EXTENSIONS[type].test(resource.url) ||
+        (resource.mime_type && MEDIA_MIME_TYPES[type].some(hint => resource.mime_type.includes(hint)))
+    );
+    return match ? match.url : null;
+}
+
+class LibraryOfCongressSource {
+    /**
+     * @param {object} options - http, an axios-compatible client (for recorded fixtures)
+     */
+    constructor(options = {}) {
+        this.name = 'loc';
+        this.label = 'Library of Congress';
+        this.http = options.http || axios;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async search(query, maxResults = 10) {
+        const records = [];
+
+        for (const collection of COLLECTIONS) {
+            const limit = Math.max(1, Math.floor(maxResults * collection.share));
+            const url = `${collection.url}?q=${encodeURIComponent(query)}&fo=json`;
+            try {
+                const response = await this.http.get(url, { timeout: 30000 });
+                const results = (response.data && response.data.results) || [];
+                for (const item of results.slice(0, limit)) {
+                    const record = this.normalize(item, collection, query);
+                    if (record) records.push(record);
+                }
+            } catch (error) {
+                console.error(`Error searching LOC ${collection.label.toLowerCase()}:`, error.message);
+            }
+        }
+
+        return records.slice(0, maxResults);
+    }
+
+    normalize(item, collection, query) {
+        const url = mediaFileUrl(item, collection.type);
+        if (!url) return null;
+
+        const creator = strings(item.creator || item.contributor)[0] || null;
+        const rights = strings(item.rights_advisory || item.rights_information || item.rights)[0] || DEFAULT_RIGHTS;
+        const reproduction = item.reproduction_number || null;
+
+        return {
+            title: item.title || query,
+            url,
+            type: collection.type,
+            source: `Library of Congress - ${collection.label}`,
+            adapter: this.name,
+            item_url: (item.links && item.links.item) || item.url || item.id || null,
+            description: describeItem(item),
+            creator,
+            date: item.created_published_date || item.date || null,
+            license: null,
+            license_url: null,
+            rights,
+            attribution: [creator, 'Library of Congress', reproduction].filter(Boolean).join(', '),
+            reproduction_number: reproduction
+        };
+    }
+}
+
+module.exports = { LibraryOfCongressSource };
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+
+/**
+ * Local folder
+ * Our own scans. Every media file in LOCAL_MEDIA_DIR (default ./scans) can carry a sidecar
+ * "<file>.json" with title, description, creator, date, license, license_url, rights and
+ * attribution; without one the title comes from the file name. Files match a search when
+ * their title, description or name contain a word of the query.
+ */
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'scans');
+
+const FILE_TYPES = {
+    image: /\.(jpe?g|png|gif|tiff?|webp)$/i,
+    audio: /\.(mp3|wav|m4a|ogg|flac)$/i,
+    video: /\.(mp4|mov|webm|m4v)$/i
+};
+
+// Words in every research query that would otherwise match every scan
+const GENERIC_WORDS = ['texas', 'history', 'the', 'and', 'of', 'in'];
+
+function fileType(filename) {
+    return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].test(filename)) || null;
+}
+
+function readSidecar(filepath) {
+    const sidecar = `${filepath}.json`;
+    if (!fs.existsSync(sidecar)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+    } catch (error) {
+        console.error(`⚠️  Ignoring unreadable metadata ${sidecar}:`, error.message);
+        return {};
+    }
+}
+
+class LocalFolderSource {
+    /**
+     * @param {object} options - dir (default LOCAL_MEDIA_DIR), collectionName, used in credits
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.label = options.collectionName || process.env.LOCAL_MEDIA_COLLECTION || 'SETX History collection';
+        this.dir = options.dir || process.env.LOCAL_MEDIA_DIR || DEFAULT_DIR;
+    }
+
+    isAvailable() {
+        return fs.existsSync(this.dir);
+    }
+
+    /**
+     * Read a scan this adapter returned; file URLs outside the folder are refused
+     * @param {number} maxBytes - Larger files are refused too
+     * @returns {Buffer}
+     */
+    readFile(url, maxBytes = Infinity) {
+        const filepath = fs.realpathSync(fileURLToPath(url));
+        const relative = path.relative(fs.realpathSync(this.dir), filepath);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`${url} is not in ${this.dir}`);
+        }
+        if (fs.statSync(filepath).size > maxBytes) {
+            throw new Error(`${url} is larger than ${maxBytes} bytes`);
+        }
+        return fs.readFileSync(filepath);
+    }
+
+    async search(query, maxResults = 10) {
+        if (!this.isAvailable()) return [];
+
+        const words = (query.toLowerCase().match(/[a-z0-9]+/g) || [])
+            .filter(word => word.length > 1 && !GENERIC_WORDS.includes(word));
+        if (words.length === 0) return [];
+
+        const matches = [];
+        for (const filename of fs.readdirSync(this.dir).sort()) {
+            if (!fileType(filename)) continue;
+
+            const record = this.normalize(filename, readSidecar(path.join(this.dir, filename)));
+            const haystack = `${record.title} ${record.description} ${filename}`.toLowerCase();
+            const score = words.filter(word => haystack.includes(word)).length;
+            if (score > 0) matches.push({ record, score });
+        }
+
+        return matches
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxResults)
+            .map(match => match.record);
+    }
+
+    normalize(filename, meta) {
+        const creator = meta.creator || null;
+        const rights = meta.rights || 'All rights reserved';
+
+        return {
+            title: meta.title || path.basename(filename, path.extname(filename)).replace(/[-_]+/g, ' '),
+            url: pathToFileURL(path.join(this.dir, filename)).href,
+            type: fileType(filename),
+            source: this.label,
+            adapter: this.name,
+            item_url: meta.item_url || null,
+            description: meta.description || '',
+            creator,
+            date: meta.date || null,
+            license: meta.license || null,
+            license_url: meta.license_url || null,
+            rights,
+            attribution: meta.attribution || [creator, this.label].filter(Boolean).join(', '),
+            reproduction_number: meta.reproduction_number || null
+        };
+    }
+}
+
+module.exports = { LocalFolderSource };
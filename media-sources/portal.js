@@ -0,0 +1,89 @@
+const axios = require('axios');
+
+/**
+ * The Portal to Texas History (UNT Libraries)
+ * Searches the Portal's photographs and reads the partner institution and rights of each
+ * item. Images are downloaded at the Portal's medium resolution. PORTAL_SEARCH_URL points
+ * the adapter at another UNT digital library instance.
+ */
+
+const DEFAULT_SEARCH_URL = 'https://texashistory.unt.edu/search/';
+const ARK_PREFIX = 'ark:/67531/';
+
+function text(value) {
+    const found = [].concat(value || []).find(entry => typeof entry === 'string' && entry.trim());
+    return found ? found.trim() : null;
+}
+
+class PortalToTexasHistorySource {
+    /**
+     * @param {object} options - searchUrl (default PORTAL_SEARCH_URL), http, an axios-compatible client
+     */
+    constructor(options = {}) {
+        this.name = 'portal';
+        this.label = 'The Portal to Texas History';
+        this.searchUrl = options.searchUrl || process.env.PORTAL_SEARCH_URL || DEFAULT_SEARCH_URL;
+        this.http = options.http || axios;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async search(query, maxResults = 10) {
+        const params = new URLSearchParams({
+            q: query,
+            t: 'fulltext',
+            fq: 'dc_type:image_photo',
+            format: 'json'
+        });
+        const response = await this.http.get(`${this.searchUrl}?${params}`, { timeout: 30000 });
+        const results = (response.data && (response.data.results || response.data.records)) || [];
+
+        return results
+            .map(item => this.normalize(item))
+            .filter(Boolean)
+            .slice(0, maxResults);
+    }
+
+    /**
+     * The item's page on the Portal, from its ark identifier ("metapth12345")
+     */
+    itemUrl(item) {
+        const origin = new URL(this.searchUrl).origin;
+        const id = text(item.meta_id) || text(item.ark);
+        if (id) {
+            return `${origin}/${id.startsWith(ARK_PREFIX) ? id : ARK_PREFIX + id}/`;
+        }
+        return text(item.url);
+    }
+
+    normalize(item) {
+        const itemUrl = this.itemUrl(item);
+        if (!itemUrl) return null;
+
+        const creator = text(item.creator);
+        const partner = text(item.partner) || text(item.institution);
+        const rights = text(item.rights);
+        const license = text(item.license);
+
+        return {
+            title: text(item.title) || 'Untitled',
+            url: `${itemUrl}m1/1/med_res/`,
+            type: 'image',
+            source: 'The Portal to Texas History',
+            adapter: this.name,
+            item_url: itemUrl,
+            description: [].concat(item.description || []).filter(part => typeof part === 'string').join('\n'),
+            creator,
+            date: text(item.date),
+            license,
+            license_url: text(item.license_url),
+            rights: rights || 'Rights status not evaluated; see the item record',
+            attribution: [creator, partner, 'The Portal to Texas History, UNT Libraries'].filter(Boolean).join(', '),
+            reproduction_number: null
+        };
+    }
+}
+
+module.exports = { PortalToTexasHistorySource };
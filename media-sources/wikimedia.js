@@ -0,0 +1,112 @@
+const axios = require('axios');
+
+/**
+ * Wikimedia Commons
+ * Searches the File: namespace and reads each file's license and author from the
+ * extmetadata Commons derives from its description page.
+ */
+
+const API_URL = 'https://commons.wikimedia.org/w/api.php';
+
+// Commons asks API clients to identify themselves; set MEDIA_USER_AGENT to include a contact
+const USER_AGENT = process.env.MEDIA_USER_AGENT || 'SETXHistory/1.0 (Southeast Texas history media research)';
+
+/**
+ * Plain text of an extmetadata value, which is often HTML (author links, descriptions)
+ */
+function metadataText(extmetadata, key) {
+    const entry = extmetadata && extmetadata[key];
+    if (!entry || typeof entry.value !== 'string') return null;
+
+    const text = entry.value
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text || null;
+}
+
+function mediaType(mime) {
+    if (!mime) return null;
+    if (mime.startsWith('image/')) return 'image';
+    if (mime.startsWith('audio/')) return 'audio';
+    if (mime.startsWith('video/')) return 'video';
+    return null;
+}
+
+class WikimediaCommonsSource {
+    /**
+     * @param {object} options - http, an axios-compatible client (for recorded fixtures)
+     */
+    constructor(options = {}) {
+        this.name = 'wikimedia';
+        this.label = 'Wikimedia Commons';
+        this.http = options.http || axios;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async search(query, maxResults = 10) {
+        const params = new URLSearchParams({
+            action: 'query',
+            format: 'json',
+            generator: 'search',
+            gsrsearch: query,
+            gsrnamespace: '6',
+            gsrlimit: String(maxResults),
+            prop: 'imageinfo',
+            iiprop: 'url|mime|extmetadata',
+            iiurlwidth: '1600'
+        });
+
+        const response = await this.http.get(`${API_URL}?${params}`, {
+            timeout: 30000,
+            headers: { 'User-Agent': USER_AGENT }
+        });
+        const pages = Object.values((response.data && response.data.query && response.data.query.pages) || {});
+
+        return pages
+            .sort((a, b) => (a.index || 0) - (b.index || 0))
+            .map(page => this.normalize(page))
+            .filter(Boolean)
+            .slice(0, maxResults);
+    }
+
+    normalize(page) {
+        const info = page.imageinfo && page.imageinfo[0];
+        const type = info && mediaType(info.mime);
+        if (!type) return null;
+
+        const meta = info.extmetadata || {};
+        const creator = metadataText(meta, 'Artist');
+        const license = metadataText(meta, 'LicenseShortName');
+        const title = metadataText(meta, 'ObjectName') || page.title.replace(/^File:/, '').replace(/\.[a-z0-9]+$/i, '');
+
+        return {
+            title,
+            // Large images are downloaded at the scaled width rather than full resolution
+            url: type === 'image' && info.thumburl ? info.thumburl : info.url,
+            type,
+            source: 'Wikimedia Commons',
+            adapter: this.name,
+            item_url: info.descriptionurl || null,
+            description: metadataText(meta, 'ImageDescription') || '',
+            creator,
+            date: metadataText(meta, 'DateTimeOriginal'),
+            license,
+            license_url: metadataText(meta, 'LicenseUrl'),
+            rights: metadataText(meta, 'UsageTerms') || license,
+            attribution: [creator || 'Unknown author', license, 'via Wikimedia Commons'].filter(Boolean).join(', '),
+            reproduction_number: null
+        };
+    }
+}
+
+module.exports = { WikimediaCommonsSource };
@@ -0,0 +1,176 @@
+const sharp = require('sharp');
+
+/**
+ * Media type detection
+ * A download's type comes from its first bytes, not from its URL or the type its source
+ * reported: archives serve TIFFs for pictures, HTML error pages for missing files and
+ * videos for audio items. Image dimensions come from sharp; audio and video durations
+ * (and video dimensions) from the container headers where the format makes that cheap.
+ */
+
+const SIGNATURES = [
+    { mime: 'image/jpeg', type: 'image', extension: 'jpg', test: b => matches(b, [0xff, 0xd8, 0xff]) },
+    { mime: 'image/png', type: 'image', extension: 'png', test: b => matches(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mime: 'image/gif', type: 'image', extension: 'gif', test: b => matches(b, 'GIF87a') || matches(b, 'GIF89a') },
+    { mime: 'image/webp', type: 'image', extension: 'webp', test: b => matches(b, 'RIFF') && matches(b, 'WEBP', 8) },
+    { mime: 'image/tiff', type: 'image', extension: 'tif', test: b => matches(b, [0x49, 0x49, 0x2a, 0x00]) || matches(b, [0x4d, 0x4d, 0x00, 0x2a]) },
+    { mime: 'audio/wav', type: 'audio', extension: 'wav', test: b => matches(b, 'RIFF') && matches(b, 'WAVE', 8) },
+    { mime: 'audio/flac', type: 'audio', extension: 'flac', test: b => matches(b, 'fLaC') },
+    { mime: 'audio/ogg', type: 'audio', extension: 'ogg', test: b => matches(b, 'OggS') },
+    { mime: 'audio/mpeg', type: 'audio', extension: 'mp3', test: b => matches(b, 'ID3') || (b[0] === 0xff && (b[1] & 0xe6) === 0xe2) },
+    { mime: 'audio/mp4', type: 'audio', extension: 'm4a', test: b => matches(b, 'ftyp', 4) && (matches(b, 'M4A ', 8) || matches(b, 'M4B ', 8)) },
+    { mime: 'video/quicktime', type: 'video', extension: 'mov', test: b => matches(b, 'ftyp', 4) && matches(b, 'qt  ', 8) },
+    { mime: 'video/mp4', type: 'video', extension: 'mp4', test: b => matches(b, 'ftyp', 4) },
+    { mime: 'video/webm', type: 'video', extension: 'webm', test: b => matches(b, [0x1a, 0x45, 0xdf, 0xa3]) }
+];
+
+// MPEG audio layer III bitrates in kbit/s, by bitrate index, for MPEG-1 and MPEG-2/2.5
+const MP3_BITRATES = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+function matches(buffer, signature, offset = 0) {
+    const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+    if (buffer.length < offset + bytes.length) {
+        return false;
+    }
+    return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * The media type of a file from its magic bytes
+ * @returns {{mime: string, type: string, extension: string}|null} type is image, audio or
+ *          video; null for anything else (HTML error pages, PDFs, truncated downloads)
+ */
+function sniffMediaType(buffer) {
+    const signature = SIGNATURES.find(candidate => candidate.test(buffer));
+    return signature ? { mime: signature.mime, type: signature.type, extension: signature.extension } : null;
+}
+
+function round(seconds) {
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 100) / 100 : null;
+}
+
+/**
+ * Duration and picture size of an MP4/QuickTime file from its movie and track headers
+ */
+function mp4Metadata(buffer) {
+    const metadata = { width: null, height: null, duration: null };
+
+    const mvhd = buffer.indexOf('mvhd');
+    if (mvhd !== -1 && buffer.length >= mvhd + 36) {
+        const version = buffer[mvhd + 4];
+        const timescale = buffer.readUInt32BE(mvhd + (version === 1 ? 24 : 16));
+        const duration = version === 1 ? Number(buffer.readBigUInt64BE(mvhd + 28)) : buffer.readUInt32BE(mvhd + 20);
+        metadata.duration = timescale ? round(duration / timescale) : null;
+    }
+
+    // Audio tracks have a zero-sized track header; the first non-zero one is the picture
+    for (let tkhd = buffer.indexOf('tkhd'); tkhd !== -1; tkhd = buffer.indexOf('tkhd', tkhd + 4)) {
+        const offset = tkhd + (buffer[tkhd + 4] === 1 ? 92 : 80);
+        if (buffer.length < offset + 8) break;
+        const width = buffer.readUInt32BE(offset) >>> 16;
+        const height = buffer.readUInt32BE(offset + 4) >>> 16;
+        if (width && height) {
+            metadata.width = width;
+            metadata.height = height;
+            break;
+        }
+    }
+
+    return metadata;
+}
+
+/**
+ * Duration of a WAV file: the data chunk's size over the byte rate in the fmt chunk
+ */
+function wavDuration(buffer) {
+    let byteRate = 0;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (id === 'fmt ' && offset + 16 <= buffer.length) {
+            byteRate = buffer.readUInt32LE(offset + 16);
+        } else if (id === 'data') {
+            return byteRate ? round(size / byteRate) : null;
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+}
+
+/**
+ * Duration of a FLAC file from its STREAMINFO block: total samples over the sample rate
+ */
+function flacDuration(buffer) {
+    if (buffer.length < 26) {
+        return null;
+    }
+    const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+    const samples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+    return sampleRate ? round(samples / sampleRate) : null;
+}
+
+/**
+ * Duration of an MP3, from the first frame's bitrate. Exact for constant-bitrate files,
+ * which archive transfers almost always are.
+ */
+function mp3Duration(buffer) {
+    let offset = 0;
+    if (matches(buffer, 'ID3') && buffer.length >= 10) {
+        offset = 10 + ((buffer[6] & 0x7f) << 21 | (buffer[7] & 0x7f) << 14 | (buffer[8] & 0x7f) << 7 | (buffer[9] & 0x7f));
+    }
+    while (offset + 4 <= buffer.length && !(buffer[offset] === 0xff && (buffer[offset + 1] & 0xe6) === 0xe2)) {
+        offset++;
+    }
+    if (offset + 4 > buffer.length) {
+        return null;
+    }
+
+    const mpeg1 = (buffer[offset + 1] & 0x18) === 0x18;
+    const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][buffer[offset + 2] >> 4];
+    return bitrate ? round((buffer.length - offset) * 8 / (bitrate * 1000)) : null;
+}
+
+/**
+ * Type, MIME type, dimensions and duration of a media file
+ * Fields the format doesn't have, or that couldn't be read, are null.
+ * @returns {Promise<{mime: string, type: string, extension: string, width: number|null,
+ *          height: number|null, duration: number|null}|null>} null when it isn't media
+ */
+async function probeMedia(buffer) {
+    const detected = sniffMediaType(buffer);
+    if (!detected) {
+        return null;
+    }
+
+    const probe = { ...detected, width: null, height: null, duration: null };
+
+    if (detected.type === 'image') {
+        try {
+            const metadata = await sharp(buffer).metadata();
+            // EXIF orientations 5-8 are rotated a quarter turn when displayed
+            const rotated = metadata.orientation >= 5;
+            probe.width = (rotated ? metadata.height : metadata.width) || null;
+            probe.height = (rotated ? metadata.width : metadata.height) || null;
+        } catch (error) {
+            // Corrupt or truncated image: keep the type, leave the size unknown
+        }
+    } else if (detected.extension === 'mp4' || detected.extension === 'mov' || detected.extension === 'm4a') {
+        Object.assign(probe, mp4Metadata(buffer));
+    } else if (detected.extension === 'wav') {
+        probe.duration = wavDuration(buffer);
+    } else if (detected.extension === 'flac') {
+        probe.duration = flacDuration(buffer);
+    } else if (detected.extension === 'mp3') {
+        probe.duration = mp3Duration(buffer);
+    }
+
+    return probe;
+}
+
+module.exports = {
+    sniffMediaType,
+    probeMedia
+};
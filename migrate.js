@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migration CLI
+ *   node migrate.js up             Apply pending migrations
+ *   node migrate.js status         List applied and pending migrations
+ *   node migrate.js create <name>  Create the next numbered migration file
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { getMigrationStatus, migrate, createMigration } = require('./schema-migrations');
+
+const dbPath = path.join(__dirname, 'database.sqlite');
+
+function openDatabase() {
+    return new sqlite3.Database(dbPath);
+}
+
+async function up() {
+    const db = openDatabase();
+    try {
+        const applied = await migrate(db);
+        console.log(applied.length
+            ? `\n✅ Applied ${applied.length} migration(s)`
+            : '✅ Database schema is up to date');
+    } finally {
+        db.close();
+    }
+}
+
+async function status() {
+    const db = openDatabase();
+    try {
+        const { applied, pending, missing } = await getMigrationStatus(db);
+
+        applied.forEach(migration => {
+            console.log(`✅ ${path.basename(migration.file, '.js')}  (applied ${migration.applied_at})`);
+        });
+        pending.forEach(migration => {
+            console.log(`⏳ ${path.basename(migration.file, '.js')}  (pending)`);
+        });
+        missing.forEach(row => {
+            console.log(`⚠️  ${row.version}_${row.name}  (applied, but the file is missing)`);
+        });
+
+        console.log(`\n📊 ${applied.length} applied, ${pending.length} pending`);
+    } finally {
+        db.close();
+    }
+}
+
+function create(name) {
+    const file = createMigration(name);
+    console.log(`📝 Created ${path.relative(__dirname, file)}`);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up':
+            return up();
+        case 'status':
+            return status();
+        case 'create':
+            return create(args.join(' '));
+        default:
+            console.log('Usage: node migrate.js <up|status|create <name>>');
+            process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
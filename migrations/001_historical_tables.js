@@ -0,0 +1,118 @@
+const { runStatements } = require('../schema-migrations');
+
+/**
+ * Core historical content, chat history and learned insights
+ */
+async function up(db) {
+    await runStatements(db, [
+        // Cities and towns table
+        `CREATE TABLE IF NOT EXISTS historical_cities (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            county TEXT,
+            founded_year INTEGER,
+            founding_story TEXT,
+            population_current INTEGER,
+            nickname TEXT,
+            notable_features TEXT,
+            coordinates TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Historical topics/categories
+        `CREATE TABLE IF NOT EXISTS historical_topics (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            description TEXT,
+            icon TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Historical periods
+        `CREATE TABLE IF NOT EXISTS historical_periods (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            start_year INTEGER,
+            end_year INTEGER,
+            description TEXT,
+            significance TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Historical facts and events
+        `CREATE TABLE IF NOT EXISTS historical_facts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            content TEXT NOT NULL,
+            event_date TEXT,
+            event_year INTEGER,
+            city_id INTEGER REFERENCES historical_cities(id),
+            topic_id INTEGER REFERENCES historical_topics(id),
+            period_id INTEGER REFERENCES historical_periods(id),
+            source_url TEXT,
+            source_name TEXT,
+            image_url TEXT,
+            is_verified INTEGER DEFAULT 0,
+            importance INTEGER DEFAULT 5,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Notable people
+        `CREATE TABLE IF NOT EXISTS historical_people (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            birth_year INTEGER,
+            death_year INTEGER,
+            city_id INTEGER REFERENCES historical_cities(id),
+            biography TEXT,
+            occupation TEXT,
+            significance TEXT,
+            image_url TEXT,
+            source_url TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Chat conversations
+        `CREATE TABLE IF NOT EXISTS chat_conversations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT UNIQUE,
+            user_ip TEXT,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            ended_at DATETIME,
+            message_count INTEGER DEFAULT 0
+        )`,
+
+        // Chat messages
+        `CREATE TABLE IF NOT EXISTS chat_messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER REFERENCES chat_conversations(id),
+            role TEXT NOT NULL,
+            content TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Learned insights from conversations
+        `CREATE TABLE IF NOT EXISTS learned_insights (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            conversation_id INTEGER REFERENCES chat_conversations(id),
+            insight TEXT NOT NULL,
+            topic_id INTEGER REFERENCES historical_topics(id),
+            city_id INTEGER REFERENCES historical_cities(id),
+            needs_verification INTEGER DEFAULT 1,
+            verified_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        `CREATE INDEX IF NOT EXISTS idx_facts_city ON historical_facts(city_id)`,
+        `CREATE INDEX IF NOT EXISTS idx_facts_topic ON historical_facts(topic_id)`,
+        `CREATE INDEX IF NOT EXISTS idx_facts_year ON historical_facts(event_year)`,
+        `CREATE INDEX IF NOT EXISTS idx_messages_conversation ON chat_messages(conversation_id)`
+    ]);
+}
+
+module.exports = { up };
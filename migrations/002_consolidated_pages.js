@@ -0,0 +1,20 @@
+const { runStatements } = require('../schema-migrations');
+
+/**
+ * Consolidated pages tracking for the page consolidation agent
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS consolidated_pages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            main_topic TEXT NOT NULL,
+            display_name TEXT NOT NULL,
+            html_path TEXT NOT NULL,
+            presentation_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+    ]);
+}
+
+module.exports = { up };
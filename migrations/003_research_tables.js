@@ -0,0 +1,40 @@
+const { runStatements } = require('../schema-migrations');
+
+/**
+ * Research workflow: researched topics, the media collected for them and generated presentations
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS topics_researched (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            topic TEXT NOT NULL,
+            keywords TEXT,
+            user_id TEXT DEFAULT 'default',
+            researched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            presentation_generated INTEGER DEFAULT 0
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS topic_media (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            topic_id INTEGER NOT NULL,
+            media_path TEXT NOT NULL,
+            media_type TEXT DEFAULT 'image',
+            title TEXT,
+            source TEXT,
+            collected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (topic_id) REFERENCES topics_researched(id)
+        )`,
+
+        `CREATE TABLE IF NOT EXISTS presentations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            topic_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            content TEXT,
+            html_path TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (topic_id) REFERENCES topics_researched(id)
+        )`
+    ]);
+}
+
+module.exports = { up };
@@ -0,0 +1,38 @@
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+/**
+ * Public fact submissions, with the review columns used by the moderation queue
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS public_contributions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            topic TEXT NOT NULL,
+            fact_title TEXT NOT NULL,
+            fact_content TEXT NOT NULL,
+            source TEXT,
+            contributor_name TEXT DEFAULT 'Anonymous',
+            contributor_email TEXT,
+            status TEXT DEFAULT 'pending',
+            reviewed_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            reviewed_at DATETIME,
+            topic_id INTEGER REFERENCES historical_topics(id),
+            city_id INTEGER REFERENCES historical_cities(id),
+            event_year INTEGER,
+            rejection_reason TEXT,
+            fact_id INTEGER REFERENCES historical_facts(id)
+        )`
+    ]);
+
+    // Tables created by the old add-contributions-table.js script lack the review columns
+    await addMissingColumns(db, 'public_contributions', {
+        topic_id: 'INTEGER REFERENCES historical_topics(id)',
+        city_id: 'INTEGER REFERENCES historical_cities(id)',
+        event_year: 'INTEGER',
+        rejection_reason: 'TEXT',
+        fact_id: 'INTEGER REFERENCES historical_facts(id)'
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,21 @@
+const { addMissingColumns } = require('../schema-migrations');
+
+/**
+ * Verification workflow columns on learned_insights
+ * Promoted insights point at the historical fact created from them
+ */
+async function up(db) {
+    await addMissingColumns(db, 'learned_insights', {
+        status: "TEXT DEFAULT 'pending'",
+        title: 'TEXT',
+        event_year: 'INTEGER',
+        source_name: 'TEXT',
+        source_url: 'TEXT',
+        reviewed_by: 'TEXT',
+        reviewed_at: 'DATETIME',
+        rejection_reason: 'TEXT',
+        fact_id: 'INTEGER REFERENCES historical_facts(id)'
+    });
+}
+
+module.exports = { up };
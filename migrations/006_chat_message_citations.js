@@ -0,0 +1,12 @@
+const { addMissingColumns } = require('../schema-migrations');
+
+/**
+ * Store the fact citations of assistant answers alongside the message
+ */
+async function up(db) {
+    await addMissingColumns(db, 'chat_messages', {
+        citations: 'TEXT'
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,14 @@
+const { addMissingColumns, runStatements } = require('../schema-migrations');
+
+/**
+ * updated_at on the content tables edited through the admin API
+ * SQLite cannot add a column with a CURRENT_TIMESTAMP default, so existing rows are backfilled from created_at
+ */
+async function up(db) {
+    for (const table of ['historical_topics', 'historical_periods', 'historical_people']) {
+        await addMissingColumns(db, table, { updated_at: 'DATETIME' });
+        await runStatements(db, [`UPDATE ${table} SET updated_at = created_at WHERE updated_at IS NULL`]);
+    }
+}
+
+module.exports = { up };
@@ -0,0 +1,76 @@
+const { runStatements } = require('../schema-migrations');
+
+const TOKENIZER = "porter unicode61 remove_diacritics 2";
+
+/**
+ * Full-text search indexes over facts, people and verified insights
+ */
+async function up(db) {
+    await runStatements(db, [
+        // Facts are indexed with their city and topic names so "Orange lumber" matches
+        `CREATE VIRTUAL TABLE IF NOT EXISTS facts_fts USING fts5(title, content, city, topic, tokenize = "${TOKENIZER}")`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_insert AFTER INSERT ON historical_facts BEGIN
+            INSERT INTO facts_fts (rowid, title, content, city, topic) VALUES (
+                new.id, new.title, new.content,
+                (SELECT name FROM historical_cities WHERE id = new.city_id),
+                (SELECT name FROM historical_topics WHERE id = new.topic_id)
+            );
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_update AFTER UPDATE ON historical_facts BEGIN
+            DELETE FROM facts_fts WHERE rowid = old.id;
+            INSERT INTO facts_fts (rowid, title, content, city, topic) VALUES (
+                new.id, new.title, new.content,
+                (SELECT name FROM historical_cities WHERE id = new.city_id),
+                (SELECT name FROM historical_topics WHERE id = new.topic_id)
+            );
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_delete AFTER DELETE ON historical_facts BEGIN
+            DELETE FROM facts_fts WHERE rowid = old.id;
+        END`,
+
+        `CREATE VIRTUAL TABLE IF NOT EXISTS people_fts USING fts5(name, biography, occupation, significance, tokenize = "${TOKENIZER}")`,
+        `CREATE TRIGGER IF NOT EXISTS people_fts_insert AFTER INSERT ON historical_people BEGIN
+            INSERT INTO people_fts (rowid, name, biography, occupation, significance)
+            VALUES (new.id, new.name, new.biography, new.occupation, new.significance);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS people_fts_update AFTER UPDATE ON historical_people BEGIN
+            DELETE FROM people_fts WHERE rowid = old.id;
+            INSERT INTO people_fts (rowid, name, biography, occupation, significance)
+            VALUES (new.id, new.name, new.biography, new.occupation, new.significance);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS people_fts_delete AFTER DELETE ON historical_people BEGIN
+            DELETE FROM people_fts WHERE rowid = old.id;
+        END`,
+
+        // Only verified insights are searchable; unreviewed chat tips stay out of results
+        `CREATE VIRTUAL TABLE IF NOT EXISTS insights_fts USING fts5(insight, title, tokenize = "${TOKENIZER}")`,
+        `CREATE TRIGGER IF NOT EXISTS insights_fts_insert AFTER INSERT ON learned_insights
+         WHEN new.verified_at IS NOT NULL BEGIN
+            INSERT INTO insights_fts (rowid, insight, title) VALUES (new.id, new.insight, new.title);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS insights_fts_update AFTER UPDATE ON learned_insights BEGIN
+            DELETE FROM insights_fts WHERE rowid = old.id;
+            INSERT INTO insights_fts (rowid, insight, title)
+            SELECT new.id, new.insight, new.title WHERE new.verified_at IS NOT NULL;
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS insights_fts_delete AFTER DELETE ON learned_insights BEGIN
+            DELETE FROM insights_fts WHERE rowid = old.id;
+        END`,
+
+        // Backfill anything written before the index existed
+        `INSERT INTO facts_fts (rowid, title, content, city, topic)
+         SELECT hf.id, hf.title, hf.content, hc.name, ht.name
+         FROM historical_facts hf
+         LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+         LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+         WHERE hf.id NOT IN (SELECT rowid FROM facts_fts)`,
+        `INSERT INTO people_fts (rowid, name, biography, occupation, significance)
+         SELECT id, name, biography, occupation, significance FROM historical_people
+         WHERE id NOT IN (SELECT rowid FROM people_fts)`,
+        `INSERT INTO insights_fts (rowid, insight, title)
+         SELECT id, insight, title FROM learned_insights
+         WHERE verified_at IS NOT NULL AND id NOT IN (SELECT rowid FROM insights_fts)`
+    ]);
+}
+
+module.exports = { up };
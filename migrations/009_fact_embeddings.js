@@ -0,0 +1,19 @@
+const { runStatements } = require('../schema-migrations');
+
+/**
+ * Vector store for embedding-based fact retrieval
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS fact_embeddings (
+            fact_id INTEGER PRIMARY KEY REFERENCES historical_facts(id) ON DELETE CASCADE,
+            model TEXT NOT NULL,
+            dimensions INTEGER NOT NULL,
+            content_hash TEXT NOT NULL,
+            embedding BLOB NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+    ]);
+}
+
+module.exports = { up };
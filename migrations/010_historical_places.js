@@ -0,0 +1,31 @@
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+/**
+ * Landmarks (Spindletop Hill, shipyards, refineries) that facts can be pinned to on the map
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS historical_places (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            place_type TEXT,
+            description TEXT,
+            city_id INTEGER REFERENCES historical_cities(id),
+            latitude REAL NOT NULL,
+            longitude REAL NOT NULL,
+            source_url TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+    ]);
+
+    await addMissingColumns(db, 'historical_facts', {
+        place_id: 'INTEGER REFERENCES historical_places(id)'
+    });
+
+    await runStatements(db, [
+        `CREATE INDEX IF NOT EXISTS idx_facts_place ON historical_facts(place_id)`
+    ]);
+}
+
+module.exports = { up };
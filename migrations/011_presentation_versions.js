@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+// The page footer carries a "Generated: <date>" stamp that changes on every build
+const GENERATED_STAMP = /Generated: [^<\n]*/g;
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Hash of a page's HTML without its build timestamp
+ */
+function contentHash(html) {
+    return crypto.createHash('sha256').update((html || '').replace(GENERATED_STAMP, 'Generated:')).digest('hex');
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+        });
+    });
+}
+
+/**
+ * One presentations row per topic pointing at its current version, with the
+ * history of regenerations in presentation_versions
+ *
+ * Builds used to insert a new presentations row each time; those rows become the
+ * versions of the topic's most recent row and the older rows are removed.
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS presentation_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            presentation_id INTEGER NOT NULL REFERENCES presentations(id) ON DELETE CASCADE,
+            version INTEGER NOT NULL,
+            content_hash TEXT NOT NULL,
+            content TEXT,
+            snapshot TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (presentation_id, version)
+        )`
+    ]);
+
+    await addMissingColumns(db, 'presentations', {
+        current_version_id: 'INTEGER REFERENCES presentation_versions(id)',
+        content_hash: 'TEXT',
+        updated_at: 'DATETIME'
+    });
+
+    const rows = await all(db, 'SELECT * FROM presentations WHERE current_version_id IS NULL ORDER BY topic_id, created_at, id');
+    const byTopic = new Map();
+    rows.forEach(row => {
+        if (!byTopic.has(row.topic_id)) byTopic.set(row.topic_id, []);
+        byTopic.get(row.topic_id).push(row);
+    });
+
+    for (const builds of byTopic.values()) {
+        const latest = builds[builds.length - 1];
+        let versionId = null;
+
+        for (const [index, build] of builds.entries()) {
+            versionId = await run(db, `
+                INSERT INTO presentation_versions (presentation_id, version, content_hash, content, created_at)
+                VALUES (?, ?, ?, ?, ?)
+            `, [latest.id, index + 1, contentHash(build.content), build.content, build.created_at]);
+        }
+
+        await run(db, `
+            UPDATE presentations SET current_version_id = ?, content_hash = ?, updated_at = created_at WHERE id = ?
+        `, [versionId, contentHash(latest.content), latest.id]);
+        await run(db, `DELETE FROM presentations WHERE topic_id = ? AND id != ?`, [latest.topic_id, latest.id]);
+    }
+
+    await runStatements(db, [
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_presentations_topic ON presentations(topic_id)`
+    ]);
+}
+
+module.exports = { up };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+// Slugged tables, the column each slug is derived from and the slug used for blank names
+const SLUG_TABLES = {
+    historical_topics: { source: 'name', fallback: 'topic' },
+    topics_researched: { source: 'topic', fallback: 'topic' },
+    historical_cities: { source: 'name', fallback: 'city' },
+    consolidated_pages: { source: 'main_topic', fallback: 'page' }
+};
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+function slugify(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function addSlugRedirect(db, table, oldSlug, id) {
+    return run(db, `
+        INSERT INTO slug_redirects (table_name, old_slug, row_id) VALUES (?, ?, ?)
+        ON CONFLICT (table_name, old_slug) DO UPDATE SET row_id = excluded.row_id, created_at = CURRENT_TIMESTAMP
+    `, [table, oldSlug, id]);
+}
+
+/**
+ * Slug every row of a table from its name: "orange", then "orange-2", "orange-3", ...
+ */
+async function fillSlugs(db, table) {
+    const { source, fallback } = SLUG_TABLES[table];
+    const rows = await all(db, `SELECT id, ${source} as name FROM ${table} WHERE slug IS NULL ORDER BY id`);
+
+    for (const row of rows) {
+        const base = slugify(row.name) || fallback;
+        for (let n = 1; ; n++) {
+            const slug = n === 1 ? base : `${base}-${n}`;
+            if (!(await get(db, `SELECT id FROM ${table} WHERE slug = ?`, [slug]))) {
+                await run(db, `UPDATE ${table} SET slug = ? WHERE id = ?`, [slug, row.id]);
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Persistent slugs for topics, researched topics, cities and consolidated pages, with redirects
+ * from retired slugs
+ *
+ * Consolidated pages were written to timestamped files with a new row per run; each category
+ * keeps its latest row, with the page's HTML moved into the row, and every old filename
+ * redirects to it. Topic page URLs used "<name>-<id>", which also redirect.
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS slug_redirects (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            table_name TEXT NOT NULL,
+            old_slug TEXT NOT NULL,
+            row_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (table_name, old_slug)
+        )`
+    ]);
+
+    for (const table of Object.keys(SLUG_TABLES)) {
+        await addMissingColumns(db, table, { slug: 'TEXT' });
+    }
+    await addMissingColumns(db, 'consolidated_pages', { content: 'TEXT' });
+
+    const pages = await all(db, 'SELECT * FROM consolidated_pages ORDER BY main_topic, created_at, id');
+    const latest = new Map();
+    pages.forEach(page => latest.set(page.main_topic, page));
+
+    for (const page of latest.values()) {
+        const content = fs.existsSync(page.html_path) ? fs.readFileSync(page.html_path, 'utf8') : null;
+        await run(db, 'UPDATE consolidated_pages SET content = ? WHERE id = ?', [content, page.id]);
+        await run(db, 'DELETE FROM consolidated_pages WHERE main_topic = ? AND id != ?', [page.main_topic, page.id]);
+    }
+
+    for (const table of Object.keys(SLUG_TABLES)) {
+        await fillSlugs(db, table);
+    }
+
+    for (const page of pages) {
+        await addSlugRedirect(db, 'consolidated_pages', path.basename(page.html_path, '.html'), latest.get(page.main_topic).id);
+    }
+
+    const topics = await all(db, 'SELECT id, topic, slug FROM topics_researched');
+    for (const topic of topics) {
+        const oldSlug = `${slugify(topic.topic) || 'topic'}-${topic.id}`;
+        if (!topics.some(other => other.slug === oldSlug)) {
+            await addSlugRedirect(db, 'topics_researched', oldSlug, topic.id);
+        }
+    }
+
+    await runStatements(db, [
+        ...Object.keys(SLUG_TABLES).map(table => `CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_slug ON ${table}(slug)`),
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_consolidated_pages_main_topic ON consolidated_pages(main_topic)`
+    ]);
+}
+
+module.exports = { up };
@@ -0,0 +1,31 @@
+const { runStatements } = require('../schema-migrations');
+
+/**
+ * Background jobs (research, page enhancement, consolidation) run by the job queue
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            payload TEXT,
+            status TEXT NOT NULL DEFAULT 'queued',
+            progress INTEGER NOT NULL DEFAULT 0,
+            progress_message TEXT,
+            result TEXT,
+            error TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL DEFAULT 3,
+            dedupe_key TEXT,
+            run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_jobs_pending ON jobs(status, type, run_after)`,
+        `CREATE INDEX IF NOT EXISTS idx_jobs_dedupe ON jobs(dedupe_key, status)`
+    ]);
+}
+
+module.exports = { up };
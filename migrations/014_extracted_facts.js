@@ -0,0 +1,18 @@
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+/**
+ * Facts extracted from research sources: the researched topic they came from and the
+ * passage they were drawn from, kept for review before they are verified
+ */
+async function up(db) {
+    await addMissingColumns(db, 'historical_facts', {
+        research_topic_id: 'INTEGER REFERENCES topics_researched(id)',
+        source_excerpt: 'TEXT'
+    });
+
+    await runStatements(db, [
+        `CREATE INDEX IF NOT EXISTS idx_facts_research_topic ON historical_facts(research_topic_id)`
+    ]);
+}
+
+module.exports = { up };
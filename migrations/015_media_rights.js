@@ -0,0 +1,22 @@
+const { addMissingColumns } = require('../schema-migrations');
+
+/**
+ * Where collected media came from and the terms it may be shown under: the item's catalog
+ * page and file URL, creator, date, rights statement, license and credit line
+ */
+async function up(db) {
+    await addMissingColumns(db, 'topic_media', {
+        source_adapter: 'TEXT',
+        item_url: 'TEXT',
+        original_url: 'TEXT',
+        creator: 'TEXT',
+        date_created: 'TEXT',
+        rights: 'TEXT',
+        license: 'TEXT',
+        license_url: 'TEXT',
+        attribution: 'TEXT',
+        reproduction_number: 'TEXT'
+    });
+}
+
+module.exports = { up };
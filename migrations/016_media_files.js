@@ -0,0 +1,35 @@
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+/**
+ * One media_files row per file in public/images/historical, with its SHA-256 and (for
+ * images) perceptual hash, so a download that matches a stored file reuses it. Topics
+ * share files through topic_media, which now links each file to a topic once.
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS media_files (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            media_path TEXT NOT NULL UNIQUE,
+            sha256 TEXT NOT NULL,
+            phash TEXT,
+            byte_size INTEGER,
+            original_url TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_media_files_sha256 ON media_files(sha256)`,
+        `CREATE INDEX IF NOT EXISTS idx_media_files_original_url ON media_files(original_url)`
+    ]);
+
+    await addMissingColumns(db, 'topic_media', {
+        media_file_id: 'INTEGER REFERENCES media_files(id)'
+    });
+
+    await runStatements(db, [
+        `DELETE FROM topic_media WHERE id NOT IN (
+            SELECT MIN(id) FROM topic_media GROUP BY topic_id, media_path
+        )`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_topic_media_topic_path ON topic_media(topic_id, media_path)`
+    ]);
+}
+
+module.exports = { up };
@@ -0,0 +1,35 @@
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+/**
+ * Stored media files record the MIME type sniffed from their bytes, their dimensions and
+ * duration. Images get web-sized JPEG variants in media_variants, which galleries load
+ * instead of the original.
+ */
+async function up(db) {
+    await addMissingColumns(db, 'media_files', {
+        mime_type: 'TEXT',
+        media_type: 'TEXT',
+        width: 'INTEGER',
+        height: 'INTEGER',
+        duration: 'REAL'
+    });
+
+    await runStatements(db, [
+        `CREATE TABLE IF NOT EXISTS media_variants (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            media_file_id INTEGER NOT NULL REFERENCES media_files(id),
+            media_path TEXT NOT NULL UNIQUE,
+            width INTEGER NOT NULL,
+            height INTEGER,
+            byte_size INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_media_variants_file ON media_variants(media_file_id)`,
+        // Earlier downloads were named after the type their source reported, which is
+        // the best guess for rows stored before media_type was set
+        `UPDATE topic_media SET media_type = 'audio' WHERE LOWER(media_path) LIKE '%.mp3'`,
+        `UPDATE topic_media SET media_type = 'video' WHERE LOWER(media_path) LIKE '%.mp4'`
+    ]);
+}
+
+module.exports = { up };
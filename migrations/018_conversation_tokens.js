@@ -0,0 +1,18 @@
+const { runStatements, addMissingColumns } = require('../schema-migrations');
+
+/**
+ * A random access token per chat conversation. Reading a conversation's messages or
+ * continuing it requires the token, so conversation ids can't be enumerated. Conversations
+ * created before tokens existed have none and can no longer be restored.
+ */
+async function up(db) {
+    await addMissingColumns(db, 'chat_conversations', {
+        access_token: 'TEXT'
+    });
+
+    await runStatements(db, [
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_token ON chat_conversations(access_token)`
+    ]);
+}
+
+module.exports = { up };
@@ -0,0 +1,23 @@
+const { runStatements } = require('../schema-migrations');
+
+/**
+ * Reindex facts when their city or topic is renamed, and refresh the names of facts whose
+ * city or topic was renamed before the triggers existed
+ */
+async function up(db) {
+    await runStatements(db, [
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_city_rename AFTER UPDATE OF name ON historical_cities BEGIN
+            UPDATE facts_fts SET city = new.name
+            WHERE rowid IN (SELECT id FROM historical_facts WHERE city_id = new.id);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS facts_fts_topic_rename AFTER UPDATE OF name ON historical_topics BEGIN
+            UPDATE facts_fts SET topic = new.name
+            WHERE rowid IN (SELECT id FROM historical_facts WHERE topic_id = new.id);
+        END`,
+        `UPDATE facts_fts SET
+            city = (SELECT hc.name FROM historical_facts hf JOIN historical_cities hc ON hc.id = hf.city_id WHERE hf.id = facts_fts.rowid),
+            topic = (SELECT ht.name FROM historical_facts hf JOIN historical_topics ht ON ht.id = hf.topic_id WHERE hf.id = facts_fts.rowid)`
+    ]);
+}
+
+module.exports = { up };
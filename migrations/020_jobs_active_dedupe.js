@@ -0,0 +1,19 @@
+const { runStatements } = require('../schema-migrations');
+
+/**
+ * At most one queued or running job per dedupe key, enforced by a partial unique index so
+ * concurrent enqueues can't both add one. Duplicates added before the index are failed first.
+ */
+async function up(db) {
+    await runStatements(db, [
+        `UPDATE jobs SET status = 'failed', error = 'Duplicate of an earlier job', finished_at = datetime('now'), updated_at = datetime('now')
+         WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running') AND id > (
+             SELECT MIN(id) FROM jobs earlier
+             WHERE earlier.dedupe_key = jobs.dedupe_key AND earlier.status IN ('queued', 'running')
+         )`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_dedupe ON jobs(dedupe_key)
+         WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running')`
+    ]);
+}
+
+module.exports = { up };
@@ -1,6 +1,29 @@
-const fs = require('fs');
-const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
+const { resolveTheme, footer, layout } = require('./page-templates');
+const { escapeHtml, unescapeHtml, sanitizeHtml } = require('./safe-html');
+const { slugify, assignSlug } = require('./slugs');
+
+// Client script for switching between tabs
+const TAB_SCRIPT = `
+        document.querySelectorAll('.tab-button').forEach(button => {
+            button.addEventListener('click', () => {
+                // Remove active class from all buttons and panes
+                document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
+                document.querySelectorAll('.tab-pane').forEach(pane => pane.classList.remove('active'));
+                
+                // Add active class to clicked button
+                button.classList.add('active');
+                
+                // Show corresponding tab pane
+                const tabId = button.getAttribute('data-tab');
+                document.getElementById(tabId).classList.add('active');
+            });
+        });
+    `;
+
+function consolidatedPageUrl(page) {
+    return `/categories/${page.slug}`;
+}
 
 /**
  * Page Consolidation Agent
@@ -11,12 +34,17 @@ const sqlite3 = require('sqlite3').verbose();
  * - Creates tabbed navigation for subcategories
  * - Maintains all source attribution and media
  * - Preserves individual pages while creating consolidated views
+ *
+ * Each category has one consolidated_pages row holding its latest HTML, served at /categories/<slug>.
  */
 
 class PageConsolidationAgent {
-    constructor(dbPath) {
+    /**
+     * @param {object} options - theme (defaults to PRESENTATION_THEME, then "default")
+     */
+    constructor(dbPath, options = {}) {
+        this.theme = resolveTheme(options.theme);
         this.db = new sqlite3.Database(dbPath);
-        this.presentationsDir = path.join(__dirname, 'public/presentations');
     }
 
     /**
@@ -88,7 +116,7 @@ class PageConsolidationAgent {
                 FROM presentations p
                 JOIN topics_researched t ON p.topic_id = t.id
                 WHERE ${placeholders}
-                ORDER BY p.created_at DESC
+                ORDER BY COALESCE(p.updated_at, p.created_at) DESC
             `;
 
             this.db.all(query, topicPatterns, (err, presentations) => {
@@ -108,6 +136,8 @@ class PageConsolidationAgent {
 
     /**
      * Extract content sections from an HTML presentation
+     * The title comes back as plain text and the sections as sanitized HTML,
+     * since stored pages may predate escaping.
      */
     extractContentSections(htmlContent) {
         // Extract title
@@ -127,10 +157,10 @@ class PageConsolidationAgent {
         const contentSection = contentMatch ? contentMatch[1] : '';
         
         return {
-            title,
-            hero: heroSection,
-            gallery: gallerySection,
-            content: contentSection
+            title: unescapeHtml(title.replace(/<[^>]*>/g, '')),
+            hero: sanitizeHtml(heroSection),
+            gallery: sanitizeHtml(gallerySection),
+            content: sanitizeHtml(contentSection)
         };
     }
 
@@ -149,7 +179,7 @@ class PageConsolidationAgent {
             const content = this.extractContentSections(pres.content || '');
             return {
                 id: `tab-${index}`,
-                label: content.title.replace(/^[^a-z0-9]+/gi, '').substring(0, 30),
+                label: escapeHtml(content.title.replace(/^[^a-z0-9]+/gi, '').substring(0, 30)),
                 content: `
                     <div class="tab-content">
                         ${content.hero ? `<div class="hero-section">${content.hero}</div>` : ''}
@@ -188,8 +218,8 @@ class PageConsolidationAgent {
             html: `
                 <div class="consolidated-page">
                     <div class="page-header">
-                        <h1>${icon} ${displayName}</h1>
-                        <p>${description}</p>
+                        <h1>${escapeHtml(icon)} ${escapeHtml(displayName)}</h1>
+                        <p>${escapeHtml(description)}</p>
                     </div>
                     
                     ${tabNavigation}
@@ -209,268 +239,57 @@ class PageConsolidationAgent {
             return null;
         }
 
-        const { mainTopic, displayName, icon, description } = presentationsData;
+        const { displayName } = presentationsData;
         const timestamp = new Date().toLocaleString();
 
-        const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${displayName} - Southeast Texas History</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-            color: #333;
-            padding: 2rem;
-            min-height: 100vh;
-        }
-        
-        nav {
-            background: rgba(255, 255, 255, 0.95);
-            padding: 1rem 2rem;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            margin-bottom: 2rem;
-            border-radius: 12px;
-        }
-        
-        nav ul {
-            list-style: none;
-            display: flex;
-            gap: 2rem;
-            align-items: center;
-        }
-        
-        nav a {
-            text-decoration: none;
-            color: #2a5298;
-            font-weight: 600;
-            transition: color 0.3s;
-        }
-        
-        nav a:hover {
-            color: #1e3c72;
-        }
-        
-        nav .logo {
-            font-size: 1.5rem;
-            font-weight: 800;
-            color: #1e3c72;
-        }
-        
-        .consolidated-page {
-            max-width: 1400px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 20px;
-            overflow: hidden;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-        }
-        
-        .page-header {
-            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-            color: white;
-            padding: 3rem;
-            text-align: center;
-        }
-        
-        .page-header h1 {
-            font-size: 2.5rem;
-            margin-bottom: 1rem;
-        }
-        
-        .page-header p {
-            font-size: 1.2rem;
-            opacity: 0.9;
-            max-width: 800px;
-            margin: 0 auto;
-        }
-        
-        .tab-navigation {
-            display: flex;
-            background: #f8f9fa;
-            border-bottom: 1px solid #e9ecef;
-            overflow-x: auto;
-        }
-        
-        .tab-button {
-            padding: 1rem 2rem;
-            background: transparent;
-            border: none;
-            cursor: pointer;
-            font-weight: 600;
-            color: #666;
-            border-bottom: 3px solid transparent;
-            transition: all 0.3s;
-            white-space: nowrap;
-        }
-        
-        .tab-button:hover {
-            background: #e9ecef;
-            color: #2a5298;
-        }
-        
-        .tab-button.active {
-            color: #2a5298;
-            border-bottom: 3px solid #2a5298;
-        }
-        
-        .tab-contents {
-            padding: 2rem;
-        }
-        
-        .tab-pane {
-            display: none;
-        }
-        
-        .tab-pane.active {
-            display: block;
-        }
-        
-        .hero-section {
-            margin-bottom: 2rem;
-        }
-        
-        .gallery-section {
-            margin: 2rem 0;
-        }
-        
-        .gallery-section img {
-            width: 100%;
-            height: 300px;
-            object-fit: cover;
-            border-radius: 12px;
-            margin-bottom: 1rem;
-        }
-        
-        .facts-section {
-            margin-top: 2rem;
-        }
-        
-        .fact {
-            background: #f8f9fa;
-            padding: 2rem;
-            margin: 2rem 0;
-            border-radius: 12px;
-            border-left: 4px solid #2a5298;
-        }
-        
-        .fact h3 {
-            color: #1e3c72;
-            margin-bottom: 1rem;
-        }
-        
-        .fact-meta {
-            color: #666;
-            font-size: 0.9rem;
-            margin-top: 1rem;
-        }
-        
-        .timestamp {
-            text-align: center;
-            padding: 2rem;
-            color: #999;
-            font-size: 0.9rem;
-            border-top: 1px solid #eee;
-            margin-top: 2rem;
-        }
-        
-        @media (max-width: 768px) {
-            .tab-navigation {
-                flex-direction: column;
-            }
-            
-            .tab-button {
-                text-align: left;
-                border-bottom: 1px solid #e9ecef;
-                border-right: 3px solid transparent;
-            }
-            
-            .tab-button.active {
-                border-bottom: 1px solid #e9ecef;
-                border-right: 3px solid #2a5298;
-            }
-        }
-    </style>
-</head>
-<body>
-    <!-- Navigation -->
-    <nav>
-        <ul>
-            <li><span class="logo">🏛️ SETX History</span></li>
-            <li><a href="/">History Chat</a></li>
-            <li><a href="/contribute.html">🤝 Contribute</a></li>
-        </ul>
-    </nav>
-    
+        const html = layout({
+            title: displayName,
+            theme: this.theme,
+            body: `
     ${tabbedInterface.html}
-    
-    <div class="timestamp">
-        Consolidated Page Generated: ${timestamp}<br>
-        Contains ${presentationsData.presentations.length} related research presentations
-    </div>
-    
-    <script>
-        // Tab switching functionality
-        document.querySelectorAll('.tab-button').forEach(button => {
-            button.addEventListener('click', () => {
-                // Remove active class from all buttons and panes
-                document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
-                document.querySelectorAll('.tab-pane').forEach(pane => pane.classList.remove('active'));
-                
-                // Add active class to clicked button
-                button.classList.add('active');
-                
-                // Show corresponding tab pane
-                const tabId = button.getAttribute('data-tab');
-                document.getElementById(tabId).classList.add('active');
-            });
+    ${footer([
+        `Consolidated Page Generated: ${timestamp}`,
+        `Contains ${presentationsData.presentations.length} related research presentations`
+    ])}`,
+            script: TAB_SCRIPT
         });
-    </script>
-</body>
-</html>
-        `;
 
         return html;
     }
 
     /**
-     * Save consolidated page to file system
+     * Category key for a name or slug ("Oil & Energy" or "oil-and-energy"), or null
      */
-    saveConsolidatedPage(mainTopic, htmlContent) {
-        const filename = `${mainTopic.toLowerCase().replace(/\s+/g, '-')}-consolidated-${Date.now()}.html`;
-        const filepath = path.join(this.presentationsDir, filename);
-        
-        try {
-            fs.writeFileSync(filepath, htmlContent);
-            console.log(`✅ Consolidated page created: ${filename}`);
-            return {
-                filename,
-                filepath,
-                url: `/presentations/${filename}`
-            };
-        } catch (error) {
-            console.error(`❌ Failed to save consolidated page: ${error.message}`);
-            return null;
-        }
+    resolveCategory(category) {
+        return Object.keys(this.getTopicHierarchies())
+            .find(mainTopic => mainTopic === category || slugify(mainTopic) === category) || null;
     }
 
     /**
-     * Store consolidated page reference in database
+     * Store the category's page; each category has one row, replaced on every run
+     * @returns {Promise<{id: number, slug: string, url: string}>}
      */
-    storeConsolidatedPage(mainTopic, displayName, htmlPath) {
-        return new Promise((resolve, reject) => {
-            this.db.run(`
-                INSERT INTO consolidated_pages (main_topic, display_name, html_path, created_at)
-                VALUES (?, ?, ?, datetime('now'))
-            `, [mainTopic, displayName, htmlPath], function(err) {
-                if (err) return reject(err);
-                resolve(this.lastID);
-            });
+    async storeConsolidatedPage(mainTopic, displayName, htmlContent, presentationCount) {
+        const run = (sql, params) => new Promise((resolve, reject) => {
+            this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+        });
+
+        await run(`
+            INSERT INTO consolidated_pages (main_topic, display_name, html_path, content, presentation_count, created_at, updated_at)
+            VALUES (?, ?, '', ?, ?, datetime('now'), datetime('now'))
+            ON CONFLICT (main_topic) DO UPDATE SET
+                display_name = excluded.display_name, content = excluded.content,
+                presentation_count = excluded.presentation_count, updated_at = excluded.updated_at
+        `, [mainTopic, displayName, htmlContent, presentationCount]);
+
+        const { id } = await new Promise((resolve, reject) => {
+            this.db.get('SELECT id FROM consolidated_pages WHERE main_topic = ?', [mainTopic], (err, row) => err ? reject(err) : resolve(row));
         });
+        const slug = await assignSlug(this.db, 'consolidated_pages', id);
+        const url = consolidatedPageUrl({ slug });
+        await run('UPDATE consolidated_pages SET html_path = ? WHERE id = ?', [url, id]);
+
+        return { id, slug, url };
     }
 
     /**
@@ -496,27 +315,16 @@ class PageConsolidationAgent {
                 return null;
             }
             
-            // Save to file system
-            const savedFile = this.saveConsolidatedPage(mainTopic, htmlContent);
-            if (!savedFile) {
-                console.log(`⚠️  Failed to save consolidated page for ${mainTopic}`);
-                return null;
-            }
-            
             // Store in database
-            try {
-                await this.storeConsolidatedPage(
-                    mainTopic, 
-                    presentationsData.displayName, 
-                    savedFile.filepath
-                );
-                console.log(`✅ Stored consolidated page reference in database`);
-            } catch (dbError) {
-                console.error(`⚠️  Database storage warning: ${dbError.message}`);
-            }
+            const saved = await this.storeConsolidatedPage(
+                mainTopic,
+                presentationsData.displayName,
+                htmlContent,
+                presentationsData.presentations.length
+            );
             
-            console.log(`✅ Successfully consolidated ${mainTopic} into ${savedFile.filename}`);
-            return savedFile;
+            console.log(`✅ Successfully consolidated ${mainTopic} into ${saved.url}`);
+            return saved;
             
         } catch (error) {
             console.error(`❌ Error consolidating ${mainTopic}: ${error.message}`);
@@ -538,7 +346,7 @@ class PageConsolidationAgent {
             if (result) {
                 results.push({
                     category: mainTopic,
-                    file: result.filename,
+                    slug: result.slug,
                     url: result.url
                 });
             }
@@ -555,4 +363,4 @@ class PageConsolidationAgent {
     }
 }
 
-module.exports = { PageConsolidationAgent };
\ No newline at end of file
+module.exports = { PageConsolidationAgent, consolidatedPageUrl };
\ No newline at end of file
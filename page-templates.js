@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, safeUrl } = require('./safe-html');
+const { creditLine } = require('./media-credits');
+
+/**
+ * Shared templates for generated pages
+ * Topic presentations and consolidated category pages are built from the same partials and
+ * link their styles from public/themes: base.css holds the layout shared by every theme and
+ * <theme>.css sets its colours, type and overrides. Editing a theme file restyles every page
+ * already generated with it. Topic pages are rendered on request, so they pick up the theme
+ * chosen when the server starts; stored consolidated pages need `npm run pages:rebuild`.
+ *
+ * Partials take plain text and escape it; only `body` and `script` passed to layout() are
+ * inserted as HTML. Keep the hero, gallery, content and timestamp class names: the
+ * consolidation agent extracts those sections from stored presentation HTML.
+ */
+
+const THEMES_DIR = path.join(__dirname, 'public', 'themes');
+const DEFAULT_THEME = 'default';
+
+/**
+ * Theme names available in public/themes (every stylesheet except base.css)
+ */
+function listThemes(dir = THEMES_DIR) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.css') && file !== 'base.css')
+        .map(file => path.basename(file, '.css'))
+        .sort();
+}
+
+/**
+ * Pick the theme to render with: the given name, then PRESENTATION_THEME, then the default
+ * @throws {Error} When the theme has no stylesheet
+ */
+function resolveTheme(name = null, env = process.env) {
+    const theme = name || env.PRESENTATION_THEME || DEFAULT_THEME;
+    const themes = listThemes();
+
+    if (!themes.includes(theme)) {
+        throw new Error(`Unknown presentation theme "${theme}" (available: ${themes.join(', ')})`);
+    }
+
+    return theme;
+}
+
+/**
+ * Site navigation shown at the top of every generated page
+ */
+function nav() {
+    return `
+    <nav>
+        <ul>
+            <li><span class="logo">🏛️ SETX History</span></li>
+            <li><a href="/">History Chat</a></li>
+            <li><a href="/contribute.html">🤝 Contribute</a></li>
+        </ul>
+    </nav>`;
+}
+
+function hero({ title, subtitle = '' }) {
+    return `
+        <div class="hero">
+            <h1>${escapeHtml(title)}</h1>
+            ${subtitle ? `<p>${escapeHtml(subtitle)}</p>` : ''}
+        </div>`;
+}
+
+// Gallery cells are at least 300px wide and fill the page on phones
+const GALLERY_IMAGE_SIZES = '(max-width: 640px) 100vw, 400px';
+
+function galleryMedia(item, alt, credit) {
+    const src = escapeHtml(safeUrl(item.media_path));
+    if (item.media_type === 'audio') {
+        return `<audio controls preload="none" src="${src}" title="${escapeHtml(alt)}"></audio>`;
+    }
+    if (item.media_type === 'video') {
+        return `<video controls preload="metadata" src="${src}" title="${escapeHtml(alt)}"></video>`;
+    }
+
+    const variants = (item.variants || []).filter(variant => safeUrl(variant.media_path));
+    if (!variants.length) {
+        return `<img src="${src}" alt="${escapeHtml(alt)}" title="${escapeHtml(credit)}" loading="lazy" onerror="this.parentNode.style.display='none'">`;
+    }
+
+    // Never the original: it may be a full-resolution scan, or a TIFF browsers can't show
+    const largest = variants[variants.length - 1];
+    const fallback = variants.find(variant => variant.width >= 640) || largest;
+    const srcset = variants.map(variant => `${escapeHtml(variant.media_path)} ${variant.width}w`).join(', ');
+    return `<img src="${escapeHtml(fallback.media_path)}" srcset="${srcset}" sizes="${GALLERY_IMAGE_SIZES}" width="${largest.width}" height="${largest.height}" alt="${escapeHtml(alt)}" title="${escapeHtml(credit)}" loading="lazy" onerror="this.parentNode.style.display='none'">`;
+}
+
+/**
+ * Media grid with a credit line under each item; renders nothing when there is no media
+ * Images load their web-sized variants when they have them; audio and video get players.
+ * @param {Array<{media_path: string, media_type?: string, variants?: Array<{media_path: string, width: number, height: number}>, title?: string, source?: string, attribution?: string, license?: string, rights?: string, item_url?: string}>} media
+ */
+function gallery(media, fallbackAlt = '') {
+    const items = media.filter(item => safeUrl(item.media_path));
+    if (!items.length) {
+        return '';
+    }
+
+    return `
+        <div class="gallery">
+            ${items.map(item => {
+                const credit = creditLine(item);
+                const itemUrl = safeUrl(item.item_url);
+                return `
+                <figure class="gallery-item">
+                    ${galleryMedia(item, item.title || fallbackAlt, credit)}
+                    ${credit ? `<figcaption class="credit">${escapeHtml(credit)}${itemUrl ? ` <a href="${escapeHtml(itemUrl)}">Source record</a>` : ''}</figcaption>` : ''}
+                </figure>`;
+            }).join('')}
+        </div>`;
+}
+
+function factCard(fact) {
+    // Extracted facts, approved contributions and other unchecked facts are flagged until an editor verifies them
+    const meta = [
+        !fact.is_verified ? '⚠️ Unverified' : '',
+        fact.city_name ? `📍 ${fact.city_name}` : '',
+        fact.topic_name || '',
+        fact.source_name ? `Source: ${fact.source_name}` : ''
+    ].filter(Boolean).join(' • ');
+    const imageUrl = safeUrl(fact.image_url);
+
+    return `
+                <div class="fact">
+                    ${imageUrl ? `<img class="fact-image" src="${escapeHtml(imageUrl)}" alt="${escapeHtml(fact.title)}" onerror="this.style.display='none'">` : ''}
+                    <h3>${escapeHtml(fact.title)} ${fact.event_year ? `(${escapeHtml(fact.event_year)})` : ''}</h3>
+                    <p>${escapeHtml(fact.content)}</p>
+                    <div class="fact-meta">${escapeHtml(meta)}</div>
+                </div>`;
+}
+
+/**
+ * @param {object} person - A historical_people row
+ * @param {string} lifespan - Pre-formatted life span, e.g. "1863–1955"
+ */
+function personCard(person, lifespan = '') {
+    return `
+                    <div class="person">
+                        <h3>${escapeHtml(person.name)}</h3>
+                        <div class="person-meta">
+                            ${escapeHtml([lifespan, person.occupation, person.city_name ? `📍 ${person.city_name}` : ''].filter(Boolean).join(' • '))}
+                        </div>
+                        <p>${escapeHtml(person.significance || person.biography || '')}</p>
+                    </div>`;
+}
+
+/**
+ * Page footer; the first line should carry the "Generated: <date>" stamp
+ */
+function footer(lines) {
+    return `
+        <div class="timestamp">
+            ${[].concat(lines).map(escapeHtml).join('<br>\n            ')}
+        </div>`;
+}
+
+/**
+ * Full HTML document
+ * @param {object} page - title, theme, body (HTML after the nav), script (inline JS, optional)
+ */
+function layout({ title, theme = DEFAULT_THEME, body, script = '' }) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} - Southeast Texas History</title>
+    <link rel="stylesheet" href="/themes/base.css">
+    <link rel="stylesheet" href="/themes/${theme}.css">
+</head>
+<body class="theme-${theme}">
+    ${nav()}
+    ${body}
+    ${script ? `<script>${script}</script>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    THEMES_DIR,
+    DEFAULT_THEME,
+    listThemes,
+    resolveTheme,
+    nav,
+    hero,
+    gallery,
+    factCard,
+    personCard,
+    footer,
+    layout
+};
@@ -1,21 +1,107 @@
-const fs = require('fs');
-const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
+const { searchFacts, searchPeople } = require('./history-search');
+const { savePresentationVersion } = require('./presentation-versions');
+const { resolveTheme, hero, gallery, factCard, personCard, footer, layout } = require('./page-templates');
+const { escapeHtml } = require('./safe-html');
+const { topicPageUrl, topicCreditsUrl } = require('./topic-pages');
+const { assignSlug } = require('./slugs');
+const { getVariantsByPath } = require('./media-derivatives');
+
+// Client script for the "Enhance This Page" form
+const ENHANCE_SCRIPT = `
+        const API_BASE = window.location.origin.includes('localhost') ? 'http://localhost:3002' : '';
+        
+        // Enhancement functionality
+        const enhanceButton = document.getElementById('enhance-button');
+        const enhanceQuery = document.getElementById('enhance-query');
+        const enhanceStatus = document.getElementById('enhance-status');
+        
+        enhanceButton.addEventListener('click', async () => {
+            const query = enhanceQuery.value.trim();
+            if (!query) {
+                showStatus('Please enter a question', 'error');
+                return;
+            }
+            
+            const topicId = enhanceQuery.dataset.topicId;
+            const topicName = enhanceQuery.dataset.topicName;
+            
+            enhanceButton.disabled = true;
+            enhanceButton.textContent = '⏳ Researching...';
+            showStatus('Researching and adding new content to this page...', 'loading');
+            
+            try {
+                const response = await fetch(\`\${API_BASE}/api/enhance-page\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ 
+                        topicId, 
+                        topicName,
+                        query 
+                    })
+                });
+                
+                const queued = await response.json();
+                const result = queued.jobId ? await waitForJob(queued.jobId) : { success: false, error: queued.error };
+                
+                if (result.success) {
+                    showStatus(\`✅ Success! Added \${result.factsAdded || 0} unverified facts and \${result.mediaAdded || 0} media items. Reloading page...\`, 'success');
+                    setTimeout(() => {
+                        window.location.reload();
+                    }, 2000);
+                } else {
+                    showStatus(\`❌ Error: \${result.error || 'Failed to enhance page'}\`, 'error');
+                    enhanceButton.disabled = false;
+                    enhanceButton.textContent = '🚀 Research & Add';
+                }
+            } catch (error) {
+                console.error('Enhancement error:', error);
+                showStatus(\`❌ Network error: \${error.message}\`, 'error');
+                enhanceButton.disabled = false;
+                enhanceButton.textContent = '🚀 Research & Add';
+            }
+        });
+        
+        // Research runs as a background job; poll it until it finishes
+        async function waitForJob(jobId) {
+            while (true) {
+                await new Promise(resolve => setTimeout(resolve, 1500));
+                const job = await (await fetch(\`\${API_BASE}/api/jobs/\${jobId}\`)).json();
+                
+                if (job.status === 'completed') {
+                    return { success: true, ...job.result };
+                }
+                if (job.status === 'failed' || !job.status) {
+                    return { success: false, error: job.error };
+                }
+                showStatus(\`⏳ \${job.message || 'Waiting for a research slot...'} (\${job.progress}%)\`, 'loading');
+            }
+        }
+        
+        enhanceQuery.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                enhanceButton.click();
+            }
+        });
+        
+        function showStatus(message, type) {
+            enhanceStatus.textContent = message;
+            enhanceStatus.className = \`enhance-status \${type}\`;
+        }
+    `;
 
 /**
  * Presentation Builder
- * Creates permanent web pages for topics.
+ * Renders the permanent web page of each topic from the database; the API serves them at /topics/<slug>.
  * These pages ARE the website - they display historical facts, images, and content for each topic.
  */
 class PresentationBuilder {
-    constructor(dbPath) {
+    /**
+     * @param {object} options - theme (defaults to PRESENTATION_THEME, then "default")
+     */
+    constructor(dbPath, options = {}) {
+        this.theme = resolveTheme(options.theme);
         this.db = new sqlite3.Database(dbPath);
-        this.presentationsDir = path.join(__dirname, 'public/presentations');
-
-        // Ensure directory exists
-        if (!fs.existsSync(this.presentationsDir)) {
-            fs.mkdirSync(this.presentationsDir, { recursive: true });
-        }
     }
 
     /**
@@ -34,62 +120,104 @@ class PresentationBuilder {
         });
     }
 
+    /**
+     * Extract the main topic name (remove "in Southeast Texas history" etc.)
+     */
+    cleanTopicName(topic) {
+        return topic
+            .replace(/\s+in\s+southeast\s+texas\s+history/gi, '')
+            .replace(/\s+in\s+texas\s+history/gi, '')
+            .trim();
+    }
+
     /**
      * Get related historical facts
+     * Facts extracted while researching the topic come first
      */
     async getRelatedFacts(topic, topicId = null) {
+        const extracted = topicId ? await this.getExtractedFacts(topicId) : [];
+        const related = await this.getTopicFacts(topic);
+        const extractedIds = new Set(extracted.map(fact => fact.id));
+        return [...extracted, ...related.filter(fact => !extractedIds.has(fact.id))];
+    }
+
+    /**
+     * Facts extracted from the sources found while researching a topic
+     */
+    async getExtractedFacts(topicId) {
         return new Promise((resolve, reject) => {
-            // Extract the main topic name (remove "in Southeast Texas history" etc.)
-            const cleanTopic = topic
-                .replace(/\s+in\s+southeast\s+texas\s+history/gi, '')
-                .replace(/\s+in\s+texas\s+history/gi, '')
-                .trim();
-            
-            const keywords = `%${cleanTopic}%`;
-            
-            // First, try to find the matching historical_topic by name
+            this.db.all(`
+                SELECT hf.*, hc.name as city_name, ht.name as topic_name
+                FROM historical_facts hf
+                LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+                LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+                WHERE hf.research_topic_id = ?
+                ORDER BY hf.event_year IS NULL, hf.event_year, hf.id LIMIT 20
+            `, [topicId], (err, facts) => {
+                if (err) reject(err);
+                else resolve(facts || []);
+            });
+        });
+    }
+
+    /**
+     * Facts on the historical topic matching a researched topic's name
+     */
+    async getTopicFacts(topic) {
+        const cleanTopic = this.cleanTopicName(topic);
+
+        // First, try to find the matching historical_topic by name
+        const historicalTopic = await new Promise((resolve, reject) => {
             this.db.get(
                 `SELECT id FROM historical_topics WHERE LOWER(name) = LOWER(?)`,
                 [cleanTopic],
-                (err, historicalTopic) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    
-                    // Build query to get facts
-                    let query = `
-                        SELECT hf.*, hc.name as city_name, ht.name as topic_name
-                        FROM historical_facts hf
-                        LEFT JOIN historical_cities hc ON hf.city_id = hc.id
-                        LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
-                        WHERE 1=1
-                    `;
-                    const params = [];
-                    
-                    // If we found a matching historical topic, use its ID
-                    if (historicalTopic) {
-                        query += ` AND hf.topic_id = ?`;
-                        params.push(historicalTopic.id);
-                    } else {
-                        // Otherwise search by topic name in title/content
-                        query += ` AND (LOWER(ht.name) LIKE LOWER(?) OR LOWER(hf.title) LIKE LOWER(?) OR LOWER(hf.content) LIKE LOWER(?))`;
-                        params.push(keywords, keywords, keywords);
-                    }
-                    
-                    query += ` ORDER BY hf.importance DESC, hf.event_year DESC LIMIT 10`;
-                    
-                    this.db.all(query, params, (err2, facts) => {
-                        if (err2) reject(err2);
-                        else resolve(facts || []);
-                    });
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
                 }
             );
         });
+
+        // Otherwise rank facts against the topic with the full-text index
+        if (!historicalTopic) {
+            return searchFacts(this.db, cleanTopic, { limit: 10 });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT hf.*, hc.name as city_name, ht.name as topic_name
+                FROM historical_facts hf
+                LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+                LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+                WHERE hf.topic_id = ?
+                ORDER BY hf.importance DESC, hf.event_year DESC LIMIT 10
+            `, [historicalTopic.id], (err, facts) => {
+                if (err) reject(err);
+                else resolve(facts || []);
+            });
+        });
+    }
+
+    /**
+     * Get notable people connected to a topic, ranked by the full-text index
+     */
+    async getRelatedPeople(topic) {
+        return searchPeople(this.db, this.cleanTopicName(topic), { limit: 6 });
     }
 
     /**
-     * Generate HTML presentation
+     * Format a person's life span, e.g. "1863–1955" or "b. 1943"
+     */
+    formatLifespan(person) {
+        if (person.birth_year && person.death_year) return `${person.birth_year}–${person.death_year}`;
+        if (person.birth_year) return `b. ${person.birth_year}`;
+        if (person.death_year) return `d. ${person.death_year}`;
+        return '';
+    }
+
+    /**
+     * Render a topic's page and record it as a new version when its content changed
+     * @returns {Promise<{topic: object, html: string, url: string, presentationId: number, version: number, changed: boolean}>}
      */
     async generatePresentation(topicId) {
         const { topic, media } = await this.getTopicData(topicId);
@@ -99,6 +227,7 @@ class PresentationBuilder {
         }
         
         const facts = await this.getRelatedFacts(topic.topic, topic.id);
+        const people = await this.getRelatedPeople(topic.topic);
         
         // Collect images from facts that have image_url
         const factImages = facts
@@ -106,314 +235,59 @@ class PresentationBuilder {
             .map(f => ({
                 media_path: f.image_url,
                 title: f.title,
-                source: f.source_name || 'Historical Archive'
+                source: f.source_name || 'Historical Archive',
+                item_url: f.source_url
             }));
         
-        // Combine media from topic_media and fact images
+        // Combine media from topic_media and fact images, with their web-sized variants
         const allMedia = [...media, ...factImages];
+        const variants = await getVariantsByPath(this.db, allMedia.map(item => item.media_path));
+        allMedia.forEach(item => { item.variants = variants.get(item.media_path) || []; });
 
-        const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${topic.topic} - Southeast Texas History</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-            color: #333;
-            padding: 2rem;
-            min-height: 100vh;
+        if (!topic.slug) {
+            topic.slug = await assignSlug(this.db, 'topics_researched', topicId);
         }
-        
-        nav {
-            background: rgba(255, 255, 255, 0.95);
-            padding: 1rem 2rem;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            margin-bottom: 2rem;
-        }
-        
-        nav ul {
-            list-style: none;
-            display: flex;
-            gap: 2rem;
-            align-items: center;
-        }
-        
-        nav a {
-            text-decoration: none;
-            color: #2a5298;
-            font-weight: 600;
-            transition: color 0.3s;
-        }
-        
-        nav a:hover {
-            color: #1e3c72;
-        }
-        
-        nav .logo {
-            font-size: 1.5rem;
-            font-weight: 800;
-            color: #1e3c72;
-        }
-        .presentation {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 20px;
-            overflow: hidden;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-        }
-        .hero {
-            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-            color: white;
-            padding: 4rem 3rem;
-            text-align: center;
-        }
-        .hero h1 {
-            font-size: 3rem;
-            margin-bottom: 1rem;
-        }
-        .hero p {
-            font-size: 1.2rem;
-            opacity: 0.9;
-        }
-        .gallery {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
-            gap: 0;
-        }
-        .gallery img {
-            width: 100%;
-            height: 300px;
-            object-fit: cover;
-            transition: transform 0.3s;
-        }
-        .gallery img:hover {
-            transform: scale(1.05);
-            z-index: 10;
-        }
-        .content {
-            padding: 3rem;
-        }
-        .fact {
-            background: #f8f9fa;
-            padding: 2rem;
-            margin: 2rem 0;
-            border-radius: 12px;
-            border-left: 4px solid #2a5298;
-        }
-        .fact h3 {
-            color: #1e3c72;
-            margin-bottom: 1rem;
-        }
-        .fact-meta {
-            color: #666;
-            font-size: 0.9rem;
-            margin-top: 1rem;
-        }
-        .notes-section {
-            margin-top: 3rem;
-            padding-top: 2rem;
-            border-top: 1px solid #eee;
-        }
-        .notes-section h2 {
-            color: #1e3c72;
-            margin-bottom: 1rem;
-        }
-        .notes-section p {
-            margin-bottom: 1.5rem;
-            color: #666;
-        }
-        #personal-notes {
-            width: 100%;
-            min-height: 200px;
-            padding: 1rem;
-            border-radius: 8px;
-            border: 1px solid #ddd;
-            font-family: inherit;
-            font-size: 1rem;
-            line-height: 1.6;
-        }
-        #save-notes {
-            display: inline-block;
-            margin-top: 1rem;
-            padding: 0.75rem 1.5rem;
-            background: #2a5298;
-            color: white;
-            border: none;
-            border-radius: 8px;
-            cursor: pointer;
-            font-weight: 600;
-            transition: background 0.3s;
-        }
-        #save-notes:hover {
-            background: #1e3c72;
-        }
-        .enhance-section {
-            margin-top: 3rem;
-            padding: 2rem;
-            background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);
-            border-radius: 12px;
-            border: 2px solid #2a5298;
-        }
-        .enhance-section h2 {
-            color: #1e3c72;
-            margin-bottom: 0.5rem;
-            display: flex;
-            align-items: center;
-            gap: 0.5rem;
-        }
-        .enhance-section .subtitle {
-            color: #666;
-            font-size: 0.95rem;
-            margin-bottom: 1.5rem;
-        }
-        .enhance-form {
-            display: flex;
-            gap: 1rem;
-            margin-bottom: 1rem;
-        }
-        #enhance-query {
-            flex: 1;
-            padding: 1rem;
-            border: 2px solid #ddd;
-            border-radius: 8px;
-            font-size: 1rem;
-            transition: border-color 0.3s;
-        }
-        #enhance-query:focus {
-            outline: none;
-            border-color: #2a5298;
-        }
-        #enhance-button {
-            padding: 1rem 2rem;
-            background: #2a5298;
-            color: white;
-            border: none;
-            border-radius: 8px;
-            cursor: pointer;
-            font-weight: 600;
-            font-size: 1rem;
-            transition: all 0.3s;
-            white-space: nowrap;
-        }
-        #enhance-button:hover:not(:disabled) {
-            background: #1e3c72;
-            transform: translateY(-2px);
-            box-shadow: 0 4px 12px rgba(42, 82, 152, 0.3);
-        }
-        #enhance-button:disabled {
-            background: #ccc;
-            cursor: not-allowed;
-        }
-        .enhance-status {
-            padding: 1rem;
-            border-radius: 8px;
-            margin-top: 1rem;
-            display: none;
-        }
-        .enhance-status.loading {
-            display: block;
-            background: #e3f2fd;
-            color: #1976d2;
-            border-left: 4px solid #1976d2;
-        }
-        .enhance-status.success {
-            display: block;
-            background: #e8f5e9;
-            color: #2e7d32;
-            border-left: 4px solid #4caf50;
-        }
-        .enhance-status.error {
-            display: block;
-            background: #ffebee;
-            color: #c62828;
-            border-left: 4px solid #f44336;
-        }
-        .enhance-examples {
-            margin-top: 1rem;
-            padding: 1rem;
-            background: white;
-            border-radius: 8px;
-            font-size: 0.9rem;
-        }
-        .enhance-examples strong {
-            color: #1e3c72;
-        }
-        .enhance-examples .example {
-            color: #666;
-            margin-left: 1rem;
-            display: block;
-            margin-top: 0.25rem;
-        }
-        .timestamp {
-            text-align: center;
-            padding: 2rem;
-            color: #999;
-            font-size: 0.9rem;
-        }
-    </style>
-</head>
-<body>
-    <!-- Navigation -->
-    <nav>
-        <ul>
-            <li><span class="logo">🏛️ SETX History</span></li>
-            <li><a href="/">History Chat</a></li>
-            <li><a href="/contribute.html">🤝 Contribute</a></li>
-        </ul>
-    </nav>
-    
+        const url = topicPageUrl(topic);
+
+        // Topic names come from visitors' research requests: escape them everywhere
+        const topicName = escapeHtml(topic.topic);
+        const shortName = escapeHtml(this.cleanTopicName(topic.topic));
+
+        const body = `
     <div class="presentation">
-        <div class="hero">
-            <h1>🏛️ ${topic.topic}</h1>
-            <p>A Visual Journey Through Southeast Texas History</p>
-        </div>
+        ${hero({ title: `🏛️ ${topic.topic}`, subtitle: 'A Visual Journey Through Southeast Texas History' })}
 
-        ${allMedia.length > 0 ? `
-        <div class="gallery">
-            ${allMedia.map(m => `
-                <img src="${m.media_path}" alt="${m.title || topic.topic}" title="${m.source || ''}" onerror="this.style.display='none'">
-            `).join('')}
-        </div>
-        ` : ''}
+        ${gallery(allMedia, topic.topic)}
+        ${media.length > 0 ? `<p class="credit credits-link"><a href="${escapeHtml(topicCreditsUrl(topic))}">Media credits and licenses (JSON)</a></p>` : ''}
 
         <div class="content">
             <h2>Historical Facts</h2>
-            ${facts.map(f => `
-                <div class="fact">
-                    ${f.image_url ? `<img src="${f.image_url}" alt="${f.title}" style="width: 100%; max-width: 600px; height: auto; border-radius: 8px; margin-bottom: 1rem;" onerror="this.style.display='none'">` : ''}
-                    <h3>${f.title} ${f.event_year ? `(${f.event_year})` : ''}</h3>
-                    <p>${f.content}</p>
-                    <div class="fact-meta">
-                        ${f.city_name ? `📍 ${f.city_name}` : ''}
-                        ${f.topic_name ? `• ${f.topic_name}` : ''}
-                        ${f.source_name ? `• Source: ${f.source_name}` : ''}
-                    </div>
-                </div>
-            `).join('')}
+            ${facts.map(factCard).join('')}
+
+            ${people.length > 0 ? `
+            <h2>Notable People</h2>
+            <div class="people-grid">
+                ${people.map(p => personCard(p, this.formatLifespan(p))).join('')}
+            </div>
+            ` : ''}
 
             <div class="enhance-section">
                 <h2>🔬 Enhance This Page</h2>
-                <p class="subtitle">Ask a question about ${topic.topic} to add more content to this page</p>
+                <p class="subtitle">Ask a question about ${topicName} to add more content to this page</p>
                 <div class="enhance-form">
                     <input type="text" 
                            id="enhance-query" 
                            placeholder="e.g., What were the major buildings in Beaumont during the oil boom?"
                            data-topic-id="${topicId}"
-                           data-topic-name="${topic.topic}">
+                           data-topic-name="${topicName}">
                     <button id="enhance-button">🚀 Research & Add</button>
                 </div>
                 <div id="enhance-status" class="enhance-status"></div>
                 <div class="enhance-examples">
                     <strong>Example questions:</strong>
-                    <span class="example">• "Tell me about historical buildings in ${topic.topic.replace(/\s+in\s+southeast\s+texas\s+history/gi, '').trim()}"</span>
-                    <span class="example">• "What were the major events in ${topic.topic.replace(/\s+in\s+southeast\s+texas\s+history/gi, '').trim()} during the 1900s?"</span>
-                    <span class="example">• "Who were important people in ${topic.topic.replace(/\s+in\s+southeast\s+texas\s+history/gi, '').trim()}?"</span>
+                    <span class="example">• "Tell me about historical buildings in ${shortName}"</span>
+                    <span class="example">• "What were the major events in ${shortName} during the 1900s?"</span>
+                    <span class="example">• "Who were important people in ${shortName}?"</span>
                 </div>
             </div>
 
@@ -424,116 +298,50 @@ class PresentationBuilder {
                 <button id="save-notes">Save Notes</button>
             </div>
         </div>
+        ${footer(`Generated: ${new Date().toLocaleString()}`)}
+    </div>`;
 
-        <div class="timestamp">
-            Generated: ${new Date().toLocaleString()}
-        </div>
-    </div>
-    
-    <script>
-        const API_BASE = window.location.origin.includes('localhost') ? 'http://localhost:3002' : '';
-        
-        // Enhancement functionality
-        const enhanceButton = document.getElementById('enhance-button');
-        const enhanceQuery = document.getElementById('enhance-query');
-        const enhanceStatus = document.getElementById('enhance-status');
-        
-        enhanceButton.addEventListener('click', async () => {
-            const query = enhanceQuery.value.trim();
-            if (!query) {
-                showStatus('Please enter a question', 'error');
-                return;
-            }
-            
-            const topicId = enhanceQuery.dataset.topicId;
-            const topicName = enhanceQuery.dataset.topicName;
-            
-            enhanceButton.disabled = true;
-            enhanceButton.textContent = '⏳ Researching...';
-            showStatus('Researching and adding new content to this page...', 'loading');
-            
-            try {
-                const response = await fetch(`${API_BASE}/api/enhance-page`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ 
-                        topicId, 
-                        topicName,
-                        query 
-                    })
-                });
-                
-                const result = await response.json();
-                
-                if (result.success) {
-                    showStatus(`✅ Success! Added ${result.factsAdded || 0} new facts. Reloading page...`, 'success');
-                    setTimeout(() => {
-                        window.location.reload();
-                    }, 2000);
-                } else {
-                    showStatus(`❌ Error: ${result.error || 'Failed to enhance page'}`, 'error');
-                    enhanceButton.disabled = false;
-                    enhanceButton.textContent = '🚀 Research & Add';
-                }
-            } catch (error) {
-                console.error('Enhancement error:', error);
-                showStatus(`❌ Network error: ${error.message}`, 'error');
-                enhanceButton.disabled = false;
-                enhanceButton.textContent = '🚀 Research & Add';
-            }
-        });
-        
-        enhanceQuery.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                enhanceButton.click();
-            }
-        });
-        
-        function showStatus(message, type) {
-            enhanceStatus.textContent = message;
-            enhanceStatus.className = `enhance-status ${type}`;
-        }
-    </script>
-</body>
-</html>
-        `;
-
-        const filename = `${topic.topic.toLowerCase().replace(/\s+/g, '-')}-${topicId}.html`;
-        const filepath = path.join(this.presentationsDir, filename);
+        const html = layout({ title: topic.topic, theme: this.theme, body, script: ENHANCE_SCRIPT });
 
-        fs.writeFileSync(filepath, html);
-        console.log(`✅ Presentation generated: ${filename}`);
+        // What the page shows, so editors can see what changed between versions
+        const snapshot = {
+            facts: facts.map(fact => ({ id: fact.id, title: fact.title })),
+            people: people.map(person => ({ id: person.id, name: person.name })),
+            media: allMedia.map(item => item.media_path)
+        };
 
-        // Store presentation in database
-        await this.storePresentation(topicId, topic.topic, html, filepath);
+        // Store presentation in database; unchanged content keeps the current version
+        const stored = await this.storePresentation(topicId, topic.topic, html, url, snapshot);
+        if (stored.changed) {
+            console.log(`✅ Presentation updated: ${url} (version ${stored.version})`);
+        }
 
         return {
-            filepath: `/presentations/${filename}`,
-            filename,
-            fullPath: filepath
+            topic,
+            html,
+            url,
+            presentationId: stored.presentationId,
+            version: stored.version,
+            changed: stored.changed
         };
     }
 
     /**
-     * Store presentation in database
+     * Store presentation in database as a new version of the topic's page
+     * @returns {Promise<{presentationId: number, version: number, changed: boolean}>}
      */
-    storePresentation(topicId, title, content, htmlPath) {
-        const db = this.db; // Capture reference
-        return new Promise((resolve, reject) => {
-            db.run(`
-                INSERT INTO presentations (topic_id, title, content, html_path)
-                VALUES (?, ?, ?, ?)
-            `, [topicId, title, content, htmlPath], function(err) {
-                if (err) return reject(err);
+    async storePresentation(topicId, title, content, htmlPath, snapshot = null) {
+        const stored = await savePresentationVersion(this.db, { topicId, title, content, htmlPath, snapshot });
 
-                const presentationId = this.lastID;
-                // Mark topic as having presentation generated
-                db.run('UPDATE topics_researched SET presentation_generated = 1 WHERE id = ?', [topicId], (err) => {
-                    if (err) console.error('Warning: Failed to update topic:', err);
-                    resolve(presentationId);
-                });
+        // Mark topic as having presentation generated
+        await new Promise((resolve) => {
+            this.db.run('UPDATE topics_researched SET presentation_generated = 1 WHERE id = ?', [topicId], (err) => {
+                if (err) console.error('Warning: Failed to update topic:', err);
+                resolve();
             });
         });
+
+        return stored;
     }
 
     close() {
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+
+/**
+ * Presentation version history
+ * Each topic has one presentations row pointing at its current version; every regeneration
+ * that changes the page adds a presentation_versions row with the HTML, a content hash and a
+ * snapshot of the facts, people and media it showed. Unchanged regenerations are skipped.
+ */
+
+// The page footer carries a "Generated: <date>" stamp that changes on every build
+const GENERATED_STAMP = /Generated: [^<\n]*/g;
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+/**
+ * Page HTML without the build timestamp, so rebuilding the same content compares equal
+ */
+function normalizeContent(html) {
+    return (html || '').replace(GENERATED_STAMP, 'Generated:');
+}
+
+function contentHash(html) {
+    return crypto.createHash('sha256').update(normalizeContent(html)).digest('hex');
+}
+
+/**
+ * Record a generated page for a topic
+ * Every write is a single statement, so concurrent builds of one topic share its row, never
+ * claim the same version number and don't store the same content twice.
+ * @param {object} page - topicId, title, content, htmlPath, snapshot ({ facts, people, media })
+ * @returns {Promise<{presentationId: number, version: number, changed: boolean}>}
+ */
+async function savePresentationVersion(db, page) {
+    const { topicId, title, content, htmlPath, snapshot = null } = page;
+    const hash = contentHash(content);
+
+    await run(db, `
+        INSERT INTO presentations (topic_id, title, html_path) VALUES (?, ?, ?)
+        ON CONFLICT (topic_id) DO NOTHING
+    `, [topicId, title, htmlPath]);
+    const { id: presentationId } = await get(db, 'SELECT id FROM presentations WHERE topic_id = ?', [topicId]);
+
+    // Skipped when the latest version already has this content
+    const { lastID, changes } = await run(db, `
+        INSERT INTO presentation_versions (presentation_id, version, content_hash, content, snapshot)
+        SELECT ?, (SELECT COALESCE(MAX(version), 0) + 1 FROM presentation_versions WHERE presentation_id = ?), ?, ?, ?
+        WHERE NOT EXISTS (
+            SELECT 1 FROM presentation_versions latest
+            WHERE latest.presentation_id = ? AND latest.content_hash = ?
+            AND latest.version = (SELECT MAX(version) FROM presentation_versions WHERE presentation_id = ?)
+        )
+    `, [presentationId, presentationId, hash, content, snapshot ? JSON.stringify(snapshot) : null, presentationId, hash, presentationId]);
+
+    if (!changes) {
+        const latest = await get(db, 'SELECT MAX(version) as version FROM presentation_versions WHERE presentation_id = ?', [presentationId]);
+        return { presentationId, version: latest.version, changed: false };
+    }
+
+    // A concurrent build that added a later version keeps the presentation pointing at it
+    await run(db, `
+        UPDATE presentations
+        SET title = ?, content = ?, html_path = ?, content_hash = ?, current_version_id = ?, updated_at = datetime('now')
+        WHERE id = ? AND (current_version_id IS NULL OR current_version_id < ?)
+    `, [title, content, htmlPath, hash, lastID, presentationId, lastID]);
+
+    const { version } = await get(db, 'SELECT version FROM presentation_versions WHERE id = ?', [lastID]);
+    return { presentationId, version, changed: true };
+}
+
+/**
+ * Presentations with their topic and version counts
+ */
+function listPresentations(db) {
+    return all(db, `
+        SELECT p.id, p.topic_id, t.topic, p.title, p.html_path, p.content_hash, p.created_at, p.updated_at,
+               pv.version as current_version,
+               (SELECT COUNT(*) FROM presentation_versions WHERE presentation_id = p.id) as version_count
+        FROM presentations p
+        LEFT JOIN topics_researched t ON p.topic_id = t.id
+        LEFT JOIN presentation_versions pv ON pv.id = p.current_version_id
+        ORDER BY COALESCE(p.updated_at, p.created_at) DESC
+    `);
+}
+
+/**
+ * Version history of a presentation, newest first, without the HTML
+ */
+async function listVersions(db, presentationId) {
+    const versions = await all(db, `
+        SELECT pv.id, pv.version, pv.content_hash, pv.snapshot, pv.created_at,
+               (pv.id = p.current_version_id) as is_current
+        FROM presentation_versions pv
+        JOIN presentations p ON p.id = pv.presentation_id
+        WHERE pv.presentation_id = ?
+        ORDER BY pv.version DESC
+    `, [presentationId]);
+
+    return versions.map(({ snapshot, ...version }) => {
+        const parsed = snapshot ? JSON.parse(snapshot) : null;
+        return {
+            ...version,
+            is_current: !!version.is_current,
+            fact_count: parsed ? parsed.facts.length : null,
+            people_count: parsed ? parsed.people.length : null,
+            media_count: parsed ? parsed.media.length : null
+        };
+    });
+}
+
+/**
+ * Get one version including its HTML and snapshot
+ */
+async function getVersion(db, presentationId, version) {
+    const row = await get(db, 'SELECT * FROM presentation_versions WHERE presentation_id = ? AND version = ?', [presentationId, version]);
+    if (!row) {
+        return null;
+    }
+
+    return { ...row, snapshot: row.snapshot ? JSON.parse(row.snapshot) : null };
+}
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence)
+ * @returns {Array<{type: 'added'|'removed', line: number, text: string}>} Changed lines only;
+ *   `line` is the line number in the new text for additions and in the old text for removals
+ */
+function diffLines(oldText, newText) {
+    const a = oldText ? oldText.split('\n') : [];
+    const b = newText ? newText.split('\n') : [];
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            changes.push({ type: 'added', line: j + 1, text: b[j] });
+            j++;
+        } else {
+            changes.push({ type: 'removed', line: i + 1, text: a[i] });
+            i++;
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Items in one snapshot list but not the other, compared by key
+ */
+function diffList(before = [], after = [], key) {
+    const keyOf = item => (key ? item[key] : item);
+    const beforeKeys = new Set(before.map(keyOf));
+    const afterKeys = new Set(after.map(keyOf));
+
+    return {
+        added: after.filter(item => !beforeKeys.has(keyOf(item))),
+        removed: before.filter(item => !afterKeys.has(keyOf(item)))
+    };
+}
+
+/**
+ * Compare two versions of a presentation
+ * `to` defaults to the current version and `from` to the one before it;
+ * comparing version 1 with nothing lists everything as added.
+ * @returns {Promise<object|null>} null when a requested version does not exist
+ */
+async function diffVersions(db, presentationId, fromVersion = null, toVersion = null) {
+    let to = toVersion;
+    if (to === null) {
+        const current = await get(db, `
+            SELECT pv.version FROM presentations p
+            JOIN presentation_versions pv ON pv.id = p.current_version_id
+            WHERE p.id = ?
+        `, [presentationId]);
+        if (!current) return null;
+        to = current.version;
+    }
+
+    const from = fromVersion === null ? to - 1 : fromVersion;
+    const newer = await getVersion(db, presentationId, to);
+    const older = from > 0 ? await getVersion(db, presentationId, from) : null;
+    if (!newer || (from > 0 && !older)) {
+        return null;
+    }
+
+    const emptySnapshot = { facts: [], people: [], media: [] };
+    const before = (older && older.snapshot) || emptySnapshot;
+    const after = newer.snapshot || emptySnapshot;
+
+    return {
+        presentation_id: presentationId,
+        from: older ? { version: older.version, content_hash: older.content_hash, created_at: older.created_at } : null,
+        to: { version: newer.version, content_hash: newer.content_hash, created_at: newer.created_at },
+        facts: diffList(before.facts, after.facts, 'id'),
+        people: diffList(before.people, after.people, 'id'),
+        media: diffList(before.media, after.media),
+        lines: diffLines(older ? normalizeContent(older.content) : '', normalizeContent(newer.content))
+    };
+}
+
+module.exports = {
+    contentHash,
+    savePresentationVersion,
+    listPresentations,
+    listVersions,
+    getVersion,
+    diffLines,
+    diffVersions
+};
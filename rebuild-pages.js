@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Re-render every topic page and record the ones whose content changed as new versions
+ * Topic pages are rendered on request, so this is only needed to record versions right away
+ * (e.g. after switching theme) and to rebuild the stored consolidated pages.
+ *   node rebuild-pages.js                       Use PRESENTATION_THEME (or the default theme)
+ *   node rebuild-pages.js --theme museum-kiosk  Use the given theme
+ *   node rebuild-pages.js --consolidated        Also rebuild the consolidated category pages
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { PresentationBuilder } = require('./presentation-builder');
+const { PageConsolidationAgent } = require('./page-consolidation-agent');
+const { listThemes } = require('./page-templates');
+const { migrate } = require('./schema-migrations');
+
+const dbPath = path.join(__dirname, 'database.sqlite');
+
+function parseArgs(argv) {
+    const options = { theme: null, consolidated: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--theme') {
+            options.theme = argv[++i];
+            if (!options.theme) {
+                throw new Error(`--theme needs a name (available: ${listThemes().join(', ')})`);
+            }
+        } else if (argv[i] === '--consolidated') {
+            options.consolidated = true;
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+async function getPresentedTopicIds() {
+    const db = new sqlite3.Database(dbPath);
+    try {
+        // Versioned presentations need an up-to-date schema
+        await migrate(db);
+        return await new Promise((resolve, reject) => {
+            db.all('SELECT topic_id FROM presentations ORDER BY topic_id', [], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows.map(row => row.topic_id));
+            });
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const builder = new PresentationBuilder(dbPath, { theme: options.theme });
+    console.log(`🎨 Rebuilding pages with the "${builder.theme}" theme\n`);
+
+    let changed = 0;
+    let failed = 0;
+    try {
+        for (const topicId of await getPresentedTopicIds()) {
+            try {
+                const result = await builder.generatePresentation(topicId);
+                if (result.changed) changed++;
+            } catch (error) {
+                failed++;
+                console.error(`❌ Topic ${topicId}: ${error.message}`);
+            }
+        }
+    } finally {
+        builder.close();
+    }
+
+    if (options.consolidated) {
+        const consolidator = new PageConsolidationAgent(dbPath, { theme: options.theme });
+        try {
+            await consolidator.consolidateAllCategories();
+        } finally {
+            consolidator.close();
+        }
+    }
+
+    console.log(`\n✅ ${changed} presentation(s) updated${failed ? `, ${failed} failed` : ''}`);
+    if (failed) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
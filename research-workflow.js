@@ -1,16 +1,22 @@
 const { MediaAgent } = require('./media-agent');
 const { PresentationBuilder } = require('./presentation-builder');
+const { FactExtractor } = require('./fact-extraction');
 const path = require('path');
 
 /**
  * Research Workflow Orchestrator
- * Coordinates topic research -> media collection -> data population
+ * Coordinates topic research -> media collection -> fact extraction -> data population
  * Note: Presentations are internal processing artifacts used during data collection, not user-facing
  */
 class ResearchWorkflow {
-    constructor(dbPath) {
+    /**
+     * @param {object} options - provider, the LLM provider used to extract facts;
+     *                           sources, media source adapters to search instead of MEDIA_SOURCES
+     */
+    constructor(dbPath, options = {}) {
         this.dbPath = dbPath || path.join(__dirname, 'database.sqlite');
-        this.mediaAgent = new MediaAgent(this.dbPath);
+        this.mediaAgent = new MediaAgent(this.dbPath, { sources: options.sources });
+        this.factExtractor = new FactExtractor(this.dbPath, options.provider);
         this.presentationBuilder = new PresentationBuilder(this.dbPath);
     }
 
@@ -58,9 +64,13 @@ class ResearchWorkflow {
      * Full research workflow
      * @param {string} userMessage - The user's query
      * @param {number} existingTopicId - Optional: If provided, enhances existing topic instead of creating new one
+     * @param {object} options - onProgress, called with (percent, message) as the steps complete;
+     *                           documents, extra source documents ({ title, text, source, url }) to extract facts from;
+     *                           onTopicStored, called with the new topic's id as soon as its row exists
      */
-    async processUserQuery(userMessage, existingTopicId = null) {
+    async processUserQuery(userMessage, existingTopicId = null, options = {}) {
         console.log('\n🔬 Research Workflow Starting...');
+        const progress = options.onProgress || (() => {});
 
         const topic = this.extractTopic(userMessage);
         if (!topic) {
@@ -74,27 +84,42 @@ class ResearchWorkflow {
         console.log(`🔑 Keywords: ${keywords.join(', ')}`);
 
         // Step 1: Research and collect media
-        const research = await this.mediaAgent.researchAndCollect(topic, keywords, existingTopicId);
+        progress(5, `Searching archives for "${topic}"`);
+        const research = await this.mediaAgent.researchAndCollect(topic, keywords, existingTopicId, (done, total) => {
+            progress(10 + 70 * done / total, `Collected ${done} of ${total} media items`);
+        }, options.onTopicStored);
+
+        // Step 2: Extract unverified facts from supplied documents and the archive descriptions.
+        // The topic row already exists, so a failure here is logged rather than retried.
+        progress(80, 'Extracting facts from sources');
+        let facts = [];
+        try {
+            facts = await this.factExtractor.extractFacts(research.topicId, topic, [...(options.documents || []), ...research.documents]);
+        } catch (error) {
+            console.error('❌ Fact extraction failed:', error.message);
+        }
 
-        // Step 2: Generate presentation (internal artifact for data organization)
+        // Step 3: Generate presentation (internal artifact for data organization)
+        progress(90, 'Building the page');
         const presentation = await this.presentationBuilder.generatePresentation(research.topicId);
 
         console.log(`✅ Workflow complete!`);
         console.log(`   - Topic ID: ${research.topicId}`);
         console.log(`   - Media collected: ${research.mediaCount}`);
-        console.log(`   - Data organized and stored`);
+        console.log(`   - Facts extracted: ${facts.length}`);
 
         return {
             topicId: research.topicId,
             topic: research.topic,
             mediaCount: research.mediaCount,
-            presentationUrl: presentation.filepath,
-            presentationPath: presentation.fullPath
+            factsAdded: facts.length,
+            presentationUrl: presentation.url
         };
     }
 
     close() {
         this.mediaAgent.close();
+        this.factExtractor.close();
         this.presentationBuilder.close();
     }
 }
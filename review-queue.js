@@ -0,0 +1,92 @@
+/**
+ * Review queue helpers
+ * Shared by the contribution moderator and the insight reviewer: both let an editor change
+ * a few fields of a pending item, then publish it as a verified historical fact or reject it.
+ */
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
+    });
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The event year of an item under review: editor-assigned, else the first year in its text
+ */
+function resolveEventYear(eventYear, text) {
+    if (eventYear) {
+        return parseInt(eventYear);
+    }
+
+    const yearMatch = String(text || '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+    return yearMatch ? parseInt(yearMatch[1]) : null;
+}
+
+/**
+ * Apply an editor's changes to a pending item; fields outside `editableFields` are ignored
+ * and empty strings clear a field
+ * @param {string} pendingCondition - SQL that is true while the item awaits review
+ */
+async function applyEdits(db, table, editableFields, id, changes, pendingCondition) {
+    const fields = editableFields.filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+        return;
+    }
+
+    const assignments = fields.map(field => `${field} = ?`).join(', ');
+    const params = fields.map(field => changes[field] === '' ? null : changes[field]);
+    await run(db, `UPDATE ${table} SET ${assignments} WHERE id = ? AND ${pendingCondition}`, [...params, id]);
+}
+
+/**
+ * Run `fn` in a write transaction; it commits when fn resolves and rolls back when it throws
+ */
+async function withTransaction(db, fn) {
+    await run(db, 'BEGIN IMMEDIATE');
+    try {
+        const result = await fn();
+        await run(db, 'COMMIT');
+        return result;
+    } catch (error) {
+        await run(db, 'ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Publish an item as a verified fact. `claimSql` marks the item reviewed and must only match
+ * it while it is pending, so of two concurrent reviews only one inserts a fact.
+ * @param {object} fact - title, content, event_year, city_id, topic_id, source_name, source_url
+ * @returns {Promise<number|null>} The new fact's id, or null when the item was already reviewed
+ */
+async function publishFact(db, { table, id, claimSql, claimParams }, fact) {
+    return withTransaction(db, async () => {
+        const { changes } = await run(db, claimSql, claimParams);
+        if (changes !== 1) {
+            return null;
+        }
+
+        const { lastID: factId } = await run(db, `
+            INSERT INTO historical_facts (title, content, event_year, city_id, topic_id, source_name, source_url, is_verified)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+        `, [fact.title, fact.content, fact.event_year, fact.city_id, fact.topic_id, fact.source_name, fact.source_url || null]);
+        await run(db, `UPDATE ${table} SET fact_id = ? WHERE id = ?`, [factId, id]);
+        return factId;
+    });
+}
+
+module.exports = {
+    run,
+    escapeRegExp,
+    resolveEventYear,
+    applyEdits,
+    withTransaction,
+    publishFact
+};
@@ -0,0 +1,226 @@
+/**
+ * HTML escaping and sanitization shared by the page generators and the browser pages
+ * Topic names, facts, contributions and LLM answers are untrusted: escape them as text,
+ * pass stored HTML through sanitizeHtml, and render chat answers with renderMarkdown,
+ * which only ever emits the tags it creates itself.
+ *
+ * Loaded with require() in Node and as /js/safe-html.js (window.SafeHtml) in the browser.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SafeHtml = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+    // Tags kept by sanitizeHtml and the attributes each may carry (besides class, id, title and data-*)
+    const ALLOWED_TAGS = {
+        a: ['href'], audio: ['src', 'controls', 'preload'], b: [], blockquote: [], br: [], button: ['type'], code: [],
+        div: [], em: [], figcaption: [], figure: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], i: [],
+        img: ['src', 'alt', 'srcset', 'sizes', 'width', 'height', 'loading'], input: ['type', 'placeholder'], li: [],
+        ol: [], p: [], pre: [], section: [], span: [], strong: [], sup: [], textarea: ['placeholder'], ul: [],
+        video: ['src', 'controls', 'preload']
+    };
+    const GLOBAL_ATTRIBUTES = ['class', 'id', 'title'];
+    const URL_ATTRIBUTES = ['href', 'src'];
+    const VOID_TAGS = ['br', 'img', 'input'];
+    // Dropped together with everything inside them
+    const DROPPED_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'];
+
+    const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+    const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute
+     */
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Decode character references back to text
+     */
+    function unescapeHtml(value) {
+        return String(value ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+            }
+            const decoded = NAMED_ENTITIES[name.toLowerCase()];
+            return decoded === undefined ? entity : decoded;
+        });
+    }
+
+    /**
+     * A URL that is safe in href/src: http(s), or relative to this site
+     * @returns {string} The URL, or '' for javascript:, data: and other schemes
+     */
+    function safeUrl(url) {
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const cleaned = String(url ?? '').replace(/[\u0000- \u007f]/g, '');
+        if (!cleaned) {
+            return '';
+        }
+
+        const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !/^https?$/i.test(scheme[1])) {
+            return '';
+        }
+
+        return String(url).trim();
+    }
+
+    /**
+     * An img srcset with only the candidates whose URL is safe
+     */
+    function safeSrcset(srcset) {
+        return srcset.split(',')
+            .map(candidate => candidate.trim().split(/\s+/))
+            .filter(parts => parts.length <= 2 && safeUrl(parts[0]) && /^(\d+(\.\d+)?[wx])?$/.test(parts[1] || ''))
+            .map(parts => parts.join(' '))
+            .join(', ');
+    }
+
+    function sanitizeAttributes(tag, source) {
+        const allowed = ALLOWED_TAGS[tag];
+        const attributes = [];
+
+        for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+            const name = match[1].toLowerCase();
+            if (!GLOBAL_ATTRIBUTES.includes(name) && !allowed.includes(name) && !/^data-[a-z0-9-]+$/.test(name)) {
+                continue;
+            }
+
+            let value = unescapeHtml(match[2] ?? match[3] ?? match[4] ?? '');
+            if (URL_ATTRIBUTES.includes(name)) {
+                value = safeUrl(value);
+                if (!value) continue;
+            } else if (name === 'srcset') {
+                value = safeSrcset(value);
+                if (!value) continue;
+            }
+            attributes.push(` ${name}="${escapeHtml(value)}"`);
+        }
+
+        return attributes.join('');
+    }
+
+    /**
+     * Keep only allowlisted tags and attributes of an HTML fragment
+     * Unknown tags are removed but their text is kept; script, style and similar
+     * elements are removed with their content. Event handlers and unsafe URLs are dropped.
+     */
+    function sanitizeHtml(html) {
+        const source = String(html ?? '');
+        const escapeText = text => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        let output = '';
+        let lastIndex = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(source)) !== null) {
+            output += escapeText(source.slice(lastIndex, match.index));
+            lastIndex = TAG_PATTERN.lastIndex;
+
+            const tag = (match[2] || '').toLowerCase();
+            if (!tag) continue; // comment
+
+            if (DROPPED_CONTENT_TAGS.includes(tag)) {
+                if (!match[1]) {
+                    const end = source.slice(lastIndex).match(new RegExp(`</${tag}\\s*>`, 'i'));
+                    lastIndex = end ? lastIndex + end.index + end[0].length : source.length;
+                    TAG_PATTERN.lastIndex = lastIndex;
+                }
+                continue;
+            }
+
+            if (!ALLOWED_TAGS[tag]) continue;
+
+            if (match[1]) {
+                if (!VOID_TAGS.includes(tag)) output += `</${tag}>`;
+            } else {
+                output += `<${tag}${sanitizeAttributes(tag, match[3] || '')}>`;
+            }
+        }
+
+        return output + escapeText(source.slice(lastIndex));
+    }
+
+    /**
+     * Inline markdown on already-escaped text: `code`, **bold**, *italic*, [links](https://...)
+     */
+    function renderInline(escaped) {
+        return escaped.split(/(`[^`\n]+`)/).map(part => {
+            if (/^`[^`\n]+`$/.test(part)) {
+                return `<code>${part.slice(1, -1)}</code>`;
+            }
+
+            return part
+                .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
+                .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+                .replace(/(^|[^\w])__([^_\n]+)__(?=[^\w]|$)/g, '$1<strong>$2</strong>')
+                .replace(/\*([^*\s][^*\n]*?)\*/g, '<em>$1</em>')
+                .replace(/(^|[^\w])_([^_\s][^_\n]*?)_(?=[^\w]|$)/g, '$1<em>$2</em>');
+        }).join('');
+    }
+
+    /**
+     * Render chat markdown to HTML
+     * Supports paragraphs, line breaks, #-headings, - and 1. lists, `code`, **bold**, *italic*
+     * and http(s) links. The text is escaped first, so any HTML in it shows up as text.
+     */
+    function renderMarkdown(text) {
+        const lines = escapeHtml(text).replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        };
+
+        lines.forEach(line => {
+            const heading = line.match(/^(#{1,6})\s+(.+)$/);
+            const bullet = line.match(/^\s*[-*+]\s+(.+)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.+)$/);
+
+            if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                // Headings stay below the page's own h1/h2
+                const level = Math.min(heading[1].length + 2, 6);
+                blocks.push(`<h${level}>${renderInline(heading[2].trim())}</h${level}>`);
+            } else if (bullet || numbered) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || numbered)[1]);
+            } else {
+                flushList();
+                paragraph.push(line);
+            }
+        });
+        flushParagraph();
+        flushList();
+
+        return blocks.join('\n');
+    }
+
+    return { escapeHtml, unescapeHtml, safeUrl, sanitizeHtml, renderMarkdown };
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema migrations
+ * Numbered files in migrations/ (e.g. 003_research_tables.js) each export `async up(db)`.
+ * Applied versions are recorded in schema_migrations; pending ones run in order,
+ * each inside its own transaction, so a failed migration leaves no partial schema behind.
+ *
+ * Migrations that describe tables created before this system existed use
+ * IF NOT EXISTS and addMissingColumns, so older databases adopt them safely.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+/**
+ * Run statements one after another
+ */
+async function runStatements(db, statements) {
+    for (const sql of statements) {
+        await run(db, sql);
+    }
+}
+
+/**
+ * Add columns that databases created by older versions are missing
+ * @param {string} table - Table to inspect
+ * @param {object} columns - Map of column name -> column definition
+ */
+async function addMissingColumns(db, table, columns) {
+    const existing = await new Promise((resolve, reject) => {
+        db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+
+    const existingNames = existing.map(column => column.name);
+    for (const [name, definition] of Object.entries(columns)) {
+        if (existingNames.includes(name)) continue;
+
+        await run(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        console.log(`✅ Column: ${table}.${name}`);
+    }
+}
+
+/**
+ * List migration files in version order
+ * @returns {Array<{version: number, name: string, file: string}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const migrations = fs.readdirSync(dir)
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: parseInt(version, 10), name, file: path.join(dir, file) }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${path.basename(migrations[index - 1].file)} and ${path.basename(migration.file)}`);
+        }
+    });
+
+    return migrations;
+}
+
+function createMigrationsTable(db) {
+    return run(db, `
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Compare migration files with the versions recorded in the database
+ * @returns {Promise<{applied: Array, pending: Array, missing: Array}>} missing = recorded versions with no file
+ */
+async function getMigrationStatus(db, dir = MIGRATIONS_DIR) {
+    await createMigrationsTable(db);
+
+    const recorded = await new Promise((resolve, reject) => {
+        db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version', [], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+    const migrations = loadMigrations(dir);
+    const recordedVersions = new Set(recorded.map(row => row.version));
+    const fileVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+        applied: migrations
+            .filter(migration => recordedVersions.has(migration.version))
+            .map(migration => ({ ...migration, applied_at: recorded.find(row => row.version === migration.version).applied_at })),
+        pending: migrations.filter(migration => !recordedVersions.has(migration.version)),
+        missing: recorded.filter(row => !fileVersions.has(row.version))
+    };
+}
+
+/**
+ * Apply every pending migration in version order
+ * @returns {Promise<Array>} Migrations that were applied
+ */
+async function migrate(db, dir = MIGRATIONS_DIR) {
+    const { pending } = await getMigrationStatus(db, dir);
+
+    for (const migration of pending) {
+        const { up } = require(migration.file);
+        const label = path.basename(migration.file, '.js');
+
+        await run(db, 'BEGIN');
+        try {
+            await up(db);
+            await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            await run(db, 'COMMIT');
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            error.message = `Migration ${label} failed: ${error.message}`;
+            throw error;
+        }
+
+        console.log(`📦 Migrated: ${label}`);
+    }
+
+    return pending;
+}
+
+/**
+ * Write a new, empty migration file numbered after the latest one
+ * @returns {string} Path of the created file
+ */
+function createMigration(name, dir = MIGRATIONS_DIR) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('Migration name is required');
+    }
+
+    const migrations = loadMigrations(dir);
+    const version = migrations.length ? migrations[migrations.length - 1].version + 1 : 1;
+    const file = path.join(dir, `${String(version).padStart(3, '0')}_${slug}.js`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, `const { runStatements } = require('../schema-migrations');
+
+/**
+ * ${slug.replace(/_/g, ' ')}
+ */
+async function up(db) {
+    await runStatements(db, [
+    ]);
+}
+
+module.exports = { up };
+`);
+
+    return file;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    runStatements,
+    addMissingColumns,
+    loadMigrations,
+    getMigrationStatus,
+    migrate,
+    createMigration
+};
@@ -0,0 +1,191 @@
+/**
+ * Persistent URL slugs
+ * Topics, researched topics, cities and consolidated pages keep a unique `slug` column
+ * derived from their name. A slug only changes when the name does; the old slug is then
+ * kept in slug_redirects so links to it keep resolving. Retired slugs are not handed to
+ * other rows, so an old link never starts pointing somewhere else.
+ */
+
+// Slugged tables, the column each slug is derived from and the slug used for blank names
+const SLUG_TABLES = {
+    historical_topics: { source: 'name', fallback: 'topic' },
+    topics_researched: { source: 'topic', fallback: 'topic' },
+    historical_cities: { source: 'name', fallback: 'city' },
+    consolidated_pages: { source: 'main_topic', fallback: 'page' }
+};
+
+// Attempts before giving up when another writer takes the same slug first
+const MAX_ASSIGN_ATTEMPTS = 3;
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
+
+function tableConfig(table) {
+    const config = SLUG_TABLES[table];
+    if (!config) {
+        throw new Error(`${table} has no slugs`);
+    }
+    return config;
+}
+
+/**
+ * URL-safe form of a name: "Oil & Energy" -> "oil-and-energy"
+ */
+function slugify(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Whether a slug is the current or a retired slug of any row other than this one
+ */
+async function isSlugTaken(db, table, slug, id = null) {
+    const current = await get(db, `SELECT id FROM ${table} WHERE slug = ? AND id IS NOT ?`, [slug, id]);
+    if (current) {
+        return true;
+    }
+
+    const retired = await get(db, 'SELECT row_id FROM slug_redirects WHERE table_name = ? AND old_slug = ? AND row_id IS NOT ?', [table, slug, id]);
+    return !!retired;
+}
+
+/**
+ * First free slug for a name: "orange", then "orange-2", "orange-3", ...
+ */
+async function uniqueSlug(db, table, name, id = null) {
+    const base = slugify(name) || tableConfig(table).fallback;
+
+    for (let n = 1; ; n++) {
+        const candidate = n === 1 ? base : `${base}-${n}`;
+        if (!(await isSlugTaken(db, table, candidate, id))) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Remember that a slug used to lead to a row
+ */
+async function addSlugRedirect(db, table, oldSlug, id) {
+    tableConfig(table);
+    await run(db, `
+        INSERT INTO slug_redirects (table_name, old_slug, row_id) VALUES (?, ?, ?)
+        ON CONFLICT (table_name, old_slug) DO UPDATE SET row_id = excluded.row_id, created_at = CURRENT_TIMESTAMP
+    `, [table, oldSlug, id]);
+}
+
+/**
+ * Give a row a slug, or a new one when its name no longer matches the current slug
+ * The previous slug becomes a redirect. Call after inserting or renaming a row.
+ * @returns {Promise<string|null>} The row's slug, or null if the row does not exist
+ */
+async function assignSlug(db, table, id) {
+    const { source } = tableConfig(table);
+
+    for (let attempt = 1; ; attempt++) {
+        const row = await get(db, `SELECT id, slug, ${source} as name FROM ${table} WHERE id = ?`, [id]);
+        if (!row) {
+            return null;
+        }
+
+        // "orange-2" still fits "Orange"; only a rename gives the row a new slug
+        const base = slugify(row.name) || tableConfig(table).fallback;
+        if (row.slug && (row.slug === base || new RegExp(`^${base}-\\d+$`).test(row.slug))) {
+            return row.slug;
+        }
+
+        const slug = await uniqueSlug(db, table, row.name, id);
+        try {
+            await run(db, `UPDATE ${table} SET slug = ? WHERE id = ?`, [slug, id]);
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT' && attempt < MAX_ASSIGN_ATTEMPTS) continue;
+            throw error;
+        }
+
+        if (row.slug) {
+            await addSlugRedirect(db, table, row.slug, id);
+        }
+        // A row renamed back reclaims its old slug
+        await run(db, 'DELETE FROM slug_redirects WHERE table_name = ? AND old_slug = ?', [table, slug]);
+        return slug;
+    }
+}
+
+/**
+ * Assign slugs to rows that have none (rows inserted by seeds or older code)
+ * @param {string[]} tables - Defaults to every slugged table
+ * @returns {Promise<number>} Rows given a slug
+ */
+async function fillMissingSlugs(db, tables = Object.keys(SLUG_TABLES)) {
+    let filled = 0;
+
+    for (const table of tables) {
+        const rows = await all(db, `SELECT id FROM ${table} WHERE slug IS NULL ORDER BY id`);
+        for (const row of rows) {
+            await assignSlug(db, table, row.id);
+            filled++;
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * Find the row a slug leads to
+ * @returns {Promise<{row: object, redirected: boolean}|null>} redirected is true for retired slugs,
+ *          whose callers should send the client to row.slug
+ */
+async function resolveSlug(db, table, slug) {
+    tableConfig(table);
+
+    const row = await get(db, `SELECT * FROM ${table} WHERE slug = ?`, [slug]);
+    if (row) {
+        return { row, redirected: false };
+    }
+
+    const retired = await get(db, `
+        SELECT t.* FROM slug_redirects r
+        JOIN ${table} t ON t.id = r.row_id
+        WHERE r.table_name = ? AND r.old_slug = ?
+    `, [table, slug]);
+    return retired ? { row: retired, redirected: true } : null;
+}
+
+module.exports = {
+    SLUG_TABLES,
+    slugify,
+    uniqueSlug,
+    addSlugRedirect,
+    assignSlug,
+    fillMissingSlugs,
+    resolveSlug
+};
@@ -20,7 +20,7 @@ async function testConsolidationAgent() {
         
         if (result) {
             console.log(`✅ Successfully created consolidated page:`);
-            console.log(`   File: ${result.filename}`);
+            console.log(`   Slug: ${result.slug}`);
             console.log(`   URL: ${result.url}`);
         } else {
             console.log('⚠️  No consolidated page created (may already exist or no related presentations found)');
@@ -34,7 +34,7 @@ async function testConsolidationAgent() {
         });
         
         console.log('\n📋 To manually trigger consolidation:');
-        console.log('   curl -X POST http://localhost:3002/api/consolidate/"Oil%20%26%20Energy"');
+        console.log('   curl -X POST http://localhost:3002/api/consolidate/oil-and-energy');
         console.log('   curl -X POST http://localhost:3002/api/consolidate-all');
         
         console.log('\n✅ Page Consolidation Agent test completed!');
@@ -2,7 +2,7 @@
 
 /**
  * Test script for the enhanced Media Agent
- * Tests collection of images, audio, and video from Library of Congress
+ * Tests collection of images, audio, and video from the configured media sources
  */
 
 const { MediaAgent } = require('./media-agent');
@@ -21,12 +21,13 @@ async function testMediaAgent() {
     
     try {
         // Test media search
-        const mediaItems = await agent.searchLibraryOfCongress(topic, 8);
+        const mediaItems = await agent.searchMedia(topic, 8);
         console.log(`\n📊 Found ${mediaItems.length} media items:`);
         
         mediaItems.forEach((item, index) => {
             console.log(`${index + 1}. ${item.type.toUpperCase()} - ${item.title.substring(0, 60)}...`);
             console.log(`   Source: ${item.source}`);
+            console.log(`   Credit: ${item.attribution} (${item.license || item.rights})`);
             console.log(`   URL: ${item.url.substring(0, 80)}...`);
             if (item.reproduction_number) {
                 console.log(`   Reproduction #: ${item.reproduction_number}`);
@@ -39,19 +40,19 @@ async function testMediaAgent() {
         console.log(`📥 Testing download of ${testItems.length} media items...`);
         
         for (const item of testItems) {
-            const cleanTitle = item.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').substring(0, 20);
-            const filename = `${topic.toLowerCase().replace(/\s+/g, '-')}-${cleanTitle}-${Date.now()}`;
+            const filename = agent.mediaFilename(item);
             
             console.log(`\n💾 Attempting to download: ${item.type} - ${item.title.substring(0, 40)}...`);
             
-            // This would normally call agent.downloadMedia() but we'll just show what would happen
-            console.log(`   Would save to: /images/historical/${filename}.${item.type === 'audio' ? 'mp3' : item.type === 'video' ? 'mp4' : 'jpg'}`);
+            // This would normally call agent.saveMedia() but we'll just show what would happen
+            // The extension comes from the downloaded bytes, so it isn't known yet
+            console.log(`   Would save to: /images/historical/${filename}.<detected extension>`);
             console.log(`   Always credits: ${item.source}`);
         }
         
         console.log('\n✅ Media Agent test completed successfully!');
         console.log('\n📜 NOTE: All media collected by this agent:');
-        console.log('   • Preserves source attribution (Library of Congress)');
+        console.log('   • Preserves source attribution, license and rights');
         console.log('   • Saves reproduction numbers for proper citation');
         console.log('   • Handles multiple media types (images, audio, video)');
         console.log('   • Stores files locally for permanent archive');
@@ -13,6 +13,7 @@ const dbPath = path.join(__dirname, 'database.sqlite');
 let testsPassed = 0;
 let testsFailed = 0;
 const failures = [];
+const pending = [];
 
 function assert(condition, message) {
     if (!condition) {
@@ -24,7 +25,7 @@ function test(name, fn) {
     if (fn instanceof Promise || (typeof fn === 'function' && fn.constructor.name === 'AsyncFunction')) {
         // Async test
         const promise = fn instanceof Promise ? fn : fn();
-        promise
+        pending.push(promise
             .then(() => {
                 testsPassed++;
                 console.log(`✅ ${name}`);
@@ -33,7 +34,7 @@ function test(name, fn) {
                 testsFailed++;
                 failures.push({ name, error: error.message });
                 console.log(`❌ ${name}: ${error.message}`);
-            });
+            }));
     } else {
         // Sync test
         try {
@@ -61,11 +62,1178 @@ test('Module imports', () => {
     const { ResearchWorkflow } = require('./research-workflow');
     const { PresentationBuilder } = require('./presentation-builder');
     const { MediaAgent } = require('./media-agent');
+    const { ContributionModerator } = require('./contribution-moderation');
+    const { InsightReviewer } = require('./insight-review');
     
     assert(typeof chatWithAgent === 'function', 'chatWithAgent not exported');
     assert(typeof ResearchWorkflow === 'function', 'ResearchWorkflow not exported');
     assert(typeof PresentationBuilder === 'function', 'PresentationBuilder not exported');
     assert(typeof MediaAgent === 'function', 'MediaAgent not exported');
+    assert(typeof ContributionModerator === 'function', 'ContributionModerator not exported');
+    assert(typeof InsightReviewer === 'function', 'InsightReviewer not exported');
+});
+
+test('Contribution event year resolution', () => {
+    const { ContributionModerator } = require('./contribution-moderation');
+    const moderator = new ContributionModerator(':memory:');
+
+    assert(moderator.resolveEventYear({ event_year: '1925', fact_title: '', fact_content: 'In 1901' }) === 1925, 'Editor-assigned year should win');
+    assert(moderator.resolveEventYear({ fact_title: 'Gusher', fact_content: 'Oil flowed in 1901 and 1902' }) === 1901, 'First year in text should be used');
+    assert(moderator.resolveEventYear({ fact_title: 'Gusher', fact_content: 'No date given' }) === null, 'Missing year should be null');
+    moderator.close();
+});
+
+test('Approving a contribution creates one fact, even when approved twice at once', async () => {
+    const os = require('os');
+    const { migrate } = require('./schema-migrations');
+    const { ContributionModerator } = require('./contribution-moderation');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-review-'));
+    const file = path.join(dir, 'review.sqlite');
+    const first = new ContributionModerator(file);
+    const second = new ContributionModerator(file);
+    await migrate(first.db);
+    const run = sql => new Promise((resolve, reject) => first.db.run(sql, err => err ? reject(err) : resolve()));
+    const count = sql => new Promise((resolve, reject) => first.db.get(sql, (err, row) => err ? reject(err) : resolve(row.count)));
+    await run("INSERT INTO historical_cities (id, name) VALUES (1, 'Pine Island (Jefferson) Bayou')");
+    await run(`INSERT INTO public_contributions (id, topic, fact_title, fact_content) VALUES
+        (1, 'Oil', 'Sawmill opens', 'A sawmill on Pine Island (Jefferson) Bayou opened in 1902.'),
+        (2, 'Oil', 'Tall tale', 'A gusher reached the moon.')`);
+
+    const results = await Promise.all([first.approveContribution(1, 'alice'), second.approveContribution(1, 'bob')]);
+    const approved = results.find(Boolean);
+    assert(results.filter(Boolean).length === 1, 'Only one of two concurrent approvals should succeed');
+    assert(await count('SELECT COUNT(*) as count FROM historical_facts') === 1, 'Approving twice should create one fact');
+    assert(approved.status === 'approved' && approved.fact_id && approved.reviewed_by && approved.reviewed_at, 'Approval should record the fact and reviewer');
+    assert(approved.city_id === 1 && approved.event_year === 1902, 'City names with regex characters should still match');
+
+    const rejected = await first.rejectContribution(2, 'alice', 'No source');
+    assert(rejected.status === 'rejected' && rejected.rejection_reason === 'No source' && !rejected.fact_id, 'Rejecting should not create a fact');
+    assert(await first.rejectContribution(1, 'alice', 'Too late') === null && await first.approveContribution(2, 'bob') === null, 'Reviewed contributions should not change again');
+    assert(await count('SELECT COUNT(*) as count FROM historical_facts') === 1, 'Rejecting should not create a fact');
+
+    first.close();
+    second.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Insight titles come from the first sentence', () => {
+    const { InsightReviewer } = require('./insight-review');
+    const reviewer = new InsightReviewer(':memory:');
+
+    const title = reviewer.deriveTitle('My grandfather worked the Gulf refinery in 1925. He said it was hot.');
+    assert(title === 'My grandfather worked the Gulf refinery in 1925.', `Unexpected title: ${title}`);
+    assert(reviewer.deriveTitle('x'.repeat(200)).length === 80, 'Long titles should be truncated to 80 characters');
+    reviewer.close();
+});
+
+test('Promoting an insight creates one fact, even when promoted twice at once', async () => {
+    const os = require('os');
+    const { migrate } = require('./schema-migrations');
+    const { InsightReviewer } = require('./insight-review');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-review-'));
+    const file = path.join(dir, 'review.sqlite');
+    const first = new InsightReviewer(file);
+    const second = new InsightReviewer(file);
+    await migrate(first.db);
+    const count = sql => new Promise((resolve, reject) => first.db.get(sql, (err, row) => err ? reject(err) : resolve(row.count)));
+    await new Promise((resolve, reject) => first.db.run(`INSERT INTO learned_insights (id, insight) VALUES
+        (1, 'My grandfather worked the Gulf refinery in 1925. He said it was hot.'), (2, 'The bayou froze solid every winter.')`,
+        err => err ? reject(err) : resolve()));
+
+    const results = await Promise.all([
+        first.promoteInsight(1, 'alice', { source_name: 'Family letters' }),
+        second.promoteInsight(1, 'bob', { source_name: 'Family letters' })
+    ]);
+    const promoted = results.find(Boolean);
+    assert(results.filter(Boolean).length === 1, 'Only one of two concurrent promotions should succeed');
+    assert(await count('SELECT COUNT(*) as count FROM historical_facts WHERE is_verified = 1') === 1, 'Promoting twice should create one fact');
+    assert(promoted.status === 'promoted' && promoted.fact_id && promoted.event_year === 1925 && promoted.reviewed_by && promoted.verified_at, 'Promotion should record the fact, year and reviewer');
+    assert(promoted.title === 'My grandfather worked the Gulf refinery in 1925.', 'The fact title should come from the first sentence');
+
+    const rejected = await first.rejectInsight(2, 'alice', 'Not verifiable');
+    assert(rejected.status === 'rejected' && !rejected.needs_verification && !rejected.fact_id, 'Rejecting should not create a fact');
+    assert(await first.rejectInsight(1, 'alice', 'Too late') === null && await second.promoteInsight(2, 'bob') === null, 'Reviewed insights should not change again');
+    assert(await count('SELECT COUNT(*) as count FROM historical_facts') === 1, 'Rejecting should not create a fact');
+
+    first.close();
+    second.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Full-text search stays in sync and ranks questions', async () => {
+    const { createSearchIndex, searchFacts, searchInsights, searchAll, buildMatchQuery } = require('./history-search');
+    const db = new sqlite3.Database(':memory:');
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    await run('CREATE TABLE historical_cities (id INTEGER PRIMARY KEY, name TEXT)');
+    await run('CREATE TABLE historical_topics (id INTEGER PRIMARY KEY, name TEXT, icon TEXT)');
+    await run('CREATE TABLE historical_facts (id INTEGER PRIMARY KEY, title TEXT, content TEXT, event_year INTEGER, city_id INTEGER, topic_id INTEGER, importance INTEGER DEFAULT 5, is_verified INTEGER DEFAULT 0)');
+    await run('CREATE TABLE historical_people (id INTEGER PRIMARY KEY, name TEXT, birth_year INTEGER, city_id INTEGER, biography TEXT, occupation TEXT, significance TEXT)');
+    await run('CREATE TABLE learned_insights (id INTEGER PRIMARY KEY, insight TEXT, title TEXT, city_id INTEGER, event_year INTEGER, verified_at DATETIME)');
+    await createSearchIndex(db);
+
+    await run("INSERT INTO historical_cities (id, name) VALUES (1, 'Beaumont')");
+    await run("INSERT INTO historical_facts (title, content, city_id, is_verified) VALUES ('Spindletop Gusher', 'Oil was discovered at Spindletop Hill in 1901.', 1, 1)");
+    await run("INSERT INTO historical_facts (title, content, is_verified) VALUES ('Lumber Mills', 'Sawmills dominated Orange before the oil era.', 1)");
+    await run("INSERT INTO learned_insights (insight) VALUES ('My family drilled near Spindletop.')");
+
+    assert(buildMatchQuery('Tell me about the') === null, 'Stop words alone should not produce a query');
+
+    let facts = await searchFacts(db, 'Tell me about the Spindletop oil discovery');
+    assert(facts.length === 2, `Expected both oil facts, got ${facts.length}`);
+    assert(facts[0].title === 'Spindletop Gusher', 'Best match should rank first');
+    assert(facts[0].city_name === 'Beaumont', 'Fact rows should include city name');
+
+    await run("UPDATE historical_facts SET content = 'Sawmills dominated Orange.' WHERE title = 'Lumber Mills'");
+    facts = await searchFacts(db, 'oil');
+    assert(facts.length === 1, 'Index should follow updates');
+
+    assert((await searchInsights(db, 'Spindletop')).length === 0, 'Unverified insights should not be searchable');
+    await run("UPDATE learned_insights SET verified_at = datetime('now')");
+    assert((await searchInsights(db, 'Spindletop')).length === 1, 'Verified insights should be searchable');
+
+    await run("INSERT INTO historical_topics (id, name) VALUES (2, 'Petroleum')");
+    await run("UPDATE historical_facts SET topic_id = 2 WHERE title = 'Spindletop Gusher'");
+    await run("UPDATE historical_cities SET name = 'Gladys City' WHERE id = 1");
+    await run("UPDATE historical_topics SET name = 'Oil Boom' WHERE id = 2");
+    assert((await searchFacts(db, 'Beaumont')).length === 0, 'Renamed cities should leave the index');
+    assert((await searchFacts(db, 'Gladys')).length === 1 && (await searchFacts(db, 'boom')).length === 1, 'Facts should be found under the new city and topic names');
+    assert((await searchFacts(db, 'Petroleum')).length === 0, 'Renamed topics should leave the index');
+
+    // Each type is scored against its own best match, so one strong person isn't buried under weak facts
+    await run("INSERT INTO historical_people (name, biography) VALUES ('Pattillo Higgins', 'Prophet of Spindletop')");
+    const results = await searchAll(db, 'Spindletop');
+    const best = results.filter(result => result.score === 1).map(result => result.type).sort();
+    assert(best.join() === 'fact,insight,person', `The best match of each type should score 1, got ${best.join()}`);
+    assert(results.every((result, i) => i === 0 || results[i - 1].score >= result.score), 'Results should be ordered by score');
+
+    db.close();
+});
+
+test('Embedding retrieval picks facts by cosine similarity', async () => {
+    const { createEmbeddingTable, embedFacts, findSimilarFacts, cosineSimilarity } = require('./fact-embeddings');
+    const { MockProvider } = require('./llm-providers');
+    const db = new sqlite3.Database(':memory:');
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    // Deterministic offline embedder (hashed bag of words)
+    const fakeEmbedder = new MockProvider().getEmbedder();
+
+    await run('CREATE TABLE historical_cities (id INTEGER PRIMARY KEY, name TEXT)');
+    await run('CREATE TABLE historical_topics (id INTEGER PRIMARY KEY, name TEXT)');
+    await run('CREATE TABLE historical_facts (id INTEGER PRIMARY KEY, title TEXT, content TEXT, city_id INTEGER, topic_id INTEGER, is_verified INTEGER DEFAULT 0)');
+    await createEmbeddingTable(db);
+
+    await run("INSERT INTO historical_facts (title, content, is_verified) VALUES ('Boomtown', 'After the gusher Beaumont grew overnight.', 1)");
+    await run("INSERT INTO historical_facts (title, content, is_verified) VALUES ('Shipyards', 'Orange built destroyers during the war.', 1)");
+    await run("INSERT INTO historical_facts (title, content, is_verified) VALUES ('Rumor', 'The gusher was a hoax.', 0)");
+
+    assert(Math.abs(cosineSimilarity([1, 0], [1, 0]) - 1) < 1e-9, 'Identical vectors should have similarity 1');
+    assert(cosineSimilarity([1, 0], [0, 1]) === 0, 'Orthogonal vectors should have similarity 0');
+
+    assert(await embedFacts(db, fakeEmbedder) === 3, 'All facts should be embedded on first run');
+    assert(await embedFacts(db, fakeEmbedder) === 0, 'Unchanged facts should not be re-embedded');
+    await run("UPDATE historical_facts SET content = 'Orange built destroyers in 1942.' WHERE title = 'Shipyards'");
+    assert(await embedFacts(db, fakeEmbedder) === 1, 'Edited facts should be re-embedded');
+
+    const facts = await findSimilarFacts(db, fakeEmbedder, 'what happened after the gusher', { verifiedOnly: true, limit: 1 });
+    assert(facts.length === 1 && facts[0].title === 'Boomtown', `Expected Boomtown, got ${facts[0] && facts[0].title}`);
+    assert(typeof facts[0].similarity === 'number' && facts[0].embedding === undefined, 'Results should carry similarity, not raw vectors');
+
+    db.close();
+});
+
+test('Chat answers cite only facts from the prompt context', async () => {
+    const { HistoryChatAgent } = require('./history-chat-agent');
+    const agent = new HistoryChatAgent();
+    const facts = [
+        { id: 1, title: 'Spindletop Gusher', event_year: 1901, source_name: 'TSHA', source_url: 'https://www.tshaonline.org/', topic_name: null },
+        { id: 2, title: 'Boomtown', event_year: 1902, topic_name: null }
+    ];
+
+    const citations = await agent.buildCitations('Oil gushed [F2]. Beaumont boomed [F1, F9][F2].', facts);
+    assert(citations.length === 2, `Expected 2 citations, got ${citations.length}`);
+    assert(citations[0].fact_id === 2 && citations[0].number === 1, 'Citations should be numbered by first appearance');
+    assert(citations[1].source_name === 'TSHA' && citations[1].year === 1901, 'Citations should carry source and year');
+    assert((await agent.buildCitations('No tags here.', facts)).length === 0, 'Untagged answers have no citations');
+});
+
+test('Chat agent runs against the mock LLM provider', async () => {
+    const { HistoryChatAgent } = require('./history-chat-agent');
+    const { MockProvider, OllamaProvider, OpenAICompatibleProvider, createProvider } = require('./llm-providers');
+
+    assert(createProvider({ LLM_PROVIDER: 'mock' }) instanceof MockProvider, 'LLM_PROVIDER=mock should select the mock');
+    assert(createProvider({ LLM_PROVIDER: 'openai', OPENAI_BASE_URL: 'http://localhost:8080/v1/' }).url === 'http://localhost:8080/v1', 'OpenAI base URL should be normalized');
+    assert(createProvider({ LLM_PROVIDER: 'ollama', OLLAMA_URL: 'http://ollama:11434' }) instanceof OllamaProvider, 'Ollama should be selectable');
+    assert(new OpenAICompatibleProvider({ url: 'http://x/v1', model: 'm' }).buildRequestBody([], false).temperature === 0.7, 'Default temperature should apply');
+
+    const provider = new MockProvider({ respond: () => 'The Lucas Gusher blew in 1901 [F7].' });
+    const agent = new HistoryChatAgent(provider);
+    // Keep retrieval off the shared database so the test has no side effects
+    agent.retrieveFacts = async () => [{ id: 7, title: 'Lucas Gusher', content: 'Oil at Spindletop.', event_year: 1901 }];
+
+    const result = await agent.chat('When did Spindletop blow?');
+    assert(result.success, `Chat failed: ${result.error}`);
+    assert(result.citations.length === 1 && result.citations[0].fact_id === 7, 'Mock answer should be cited');
+
+    const tokens = [];
+    const streamed = await agent.chatStream('And then?', null, token => tokens.push(token));
+    assert(tokens.length > 1 && tokens.join('') === streamed.response, 'Mock stream should emit the answer in pieces');
+});
+
+test('Chat turns that tell a local story are captured for review in their conversation', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { chatWithAgent } = require('./history-chat-agent');
+    const { MockProvider } = require('./llm-providers');
+
+    const db = new sqlite3.Database(':memory:');
+    await migrate(db);
+    const run = sql => new Promise((resolve, reject) => db.run(sql, err => err ? reject(err) : resolve()));
+    const all = sql => new Promise((resolve, reject) => db.all(sql, (err, rows) => err ? reject(err) : resolve(rows)));
+    await run("INSERT INTO historical_cities (id, name) VALUES (4, 'Nederland')");
+    await run("INSERT INTO chat_conversations (id, session_id) VALUES (12, 'story-session')");
+    const provider = new MockProvider({ respond: () => 'Thank you for sharing that story.' });
+
+    const story = 'My grandmother told me the Dutch families in Nederland grew rice along the canal in 1898, before the oil boom.';
+    const captured = await chatWithAgent(story, 12, { provider, db });
+    const skipped = await chatWithAgent('What is the weather like?', 12, { provider, db });
+    assert(captured.success && captured.insight_captured && captured.insight_id, 'A story with a year and a known city should be captured');
+    assert(!skipped.insight_captured && skipped.insight_id === null, 'Ordinary questions should not be captured');
+
+    const insights = await all('SELECT * FROM learned_insights');
+    assert(insights.length === 1 && insights[0].id === captured.insight_id, 'One insight should be stored');
+    assert(insights[0].conversation_id === 12 && insights[0].city_id === 4 && insights[0].needs_verification === 1, 'The insight should belong to the current conversation and await review');
+    db.close();
+});
+
+test('Streamed answers reach the client in pieces and are saved to the conversation', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { streamChatWithAgent } = require('./history-chat-agent');
+    const { MockProvider } = require('./llm-providers');
+
+    const db = new sqlite3.Database(':memory:');
+    await migrate(db);
+    const run = sql => new Promise((resolve, reject) => db.run(sql, err => err ? reject(err) : resolve()));
+    const all = sql => new Promise((resolve, reject) => db.all(sql, (err, rows) => err ? reject(err) : resolve(rows)));
+    await run("INSERT INTO historical_cities (id, name) VALUES (1, 'Beaumont')");
+    await run("INSERT INTO historical_facts (id, title, content, event_year, city_id, is_verified) VALUES (7, 'Lucas Gusher', 'The Lucas Gusher at Spindletop blew in on January 10, 1901.', 1901, 1, 1)");
+    await run("INSERT INTO chat_conversations (id, session_id) VALUES (3, 'stream-session')");
+    const provider = new MockProvider({ respond: () => 'The Lucas Gusher at Spindletop blew in during 1901 [F7].' });
+
+    const tokens = [];
+    const result = await streamChatWithAgent('When did Spindletop blow in?', 3, token => tokens.push(token), undefined, { provider, db });
+    assert(result.success && tokens.length > 1 && tokens.join('') === result.response, 'The answer should be streamed in pieces');
+    assert(result.citations.length === 1 && result.citations[0].fact_id === 7, 'The streamed answer should cite the fact it used');
+
+    const messages = await all('SELECT role, content, citations FROM chat_messages WHERE conversation_id = 3 ORDER BY id');
+    assert(messages.length === 2 && messages[0].role === 'user' && messages[1].content === result.response, 'Both sides of the turn should be saved to the conversation');
+    assert(JSON.parse(messages[1].citations)[0].fact_id === 7, 'The saved answer should keep its citations');
+    db.close();
+});
+
+test('Conversations are restored only with their token', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { HistoryChatAgent } = require('./history-chat-agent');
+    const { MockProvider } = require('./llm-providers');
+    const { openConversation, findConversation, getConversationMessages } = require('./chat-conversations');
+
+    const db = new sqlite3.Database(':memory:');
+    await migrate(db);
+    const get = sql => new Promise((resolve, reject) => db.get(sql, (err, row) => err ? reject(err) : resolve(row)));
+
+    const opened = await openConversation(db, 'family-session', null, 'web_user');
+    const other = await openConversation(db, 'other-session', null, 'web_user');
+    assert(opened.created && /^[0-9a-f]{48}$/.test(opened.conversation.token), 'A new conversation should get a random token');
+    assert(opened.conversation.token !== other.conversation.token, 'Each conversation should get its own token');
+    const { id, token } = opened.conversation;
+    const reopened = await openConversation(db, 'family-session', token);
+    assert(!reopened.created && reopened.conversation.id === id, 'The token should reopen the session\'s conversation');
+    assert(await openConversation(db, 'family-session', other.conversation.token) === null, 'Another conversation\'s token should not open the session');
+    assert(await openConversation(db, 'family-session') === null, 'A session should not open without its token');
+
+    // Two turns, saved the way a chat saves them
+    const agent = new HistoryChatAgent(new MockProvider(), { db });
+    agent.conversationId = id;
+    await agent.saveMessage('user', 'Where did my grandfather work in 1925?');
+    await agent.saveMessage('assistant', 'Many Port Arthur men worked at the Gulf refinery [F1].', [{ id: 1, title: 'Gulf refinery' }]);
+    await agent.saveMessage('user', 'Tell me more.');
+    await agent.saveMessage('assistant', 'It opened in 1902.');
+    const stored = await get(`SELECT message_count, ended_at FROM chat_conversations WHERE id = ${id}`);
+    assert(stored.message_count === 4 && stored.ended_at, 'Saving a message should update the conversation\'s count and end time');
+
+    const restored = new HistoryChatAgent(new MockProvider(), { db });
+    const history = await restored.loadHistory(id, 3);
+    assert(history.length === 3 && history[0].role === 'assistant' && history[2].content === 'It opened in 1902.', 'loadHistory should return the latest turns, oldest first');
+
+    const conversation = await getConversationMessages(db, id, token);
+    assert(conversation.messages.length === 4 && conversation.messages[1].citations[0].title === 'Gulf refinery', 'The owner should get the messages with their citations');
+    assert(!('access_token' in conversation), 'The token should not be echoed with the messages');
+    assert(await getConversationMessages(db, id, other.conversation.token) === null, 'Another conversation\'s token should not read the messages');
+    assert(await getConversationMessages(db, id, undefined) === null, 'Messages should not be returned without a token');
+    assert(await findConversation(db, id + 100, token) === null, 'Unknown conversations should not be found');
+    db.close();
+});
+
+test('Content editor validates submitted records', async () => {
+    const { ContentEditor } = require('./content-editor');
+    const editor = new ContentEditor(':memory:');
+
+    let result = await editor.validate('periods', { name: ' Oil Boom ', start_year: '1901', end_year: 1930 });
+    assert(result.errors.length === 0, `Unexpected errors: ${result.errors.join(', ')}`);
+    assert(result.values.name === 'Oil Boom' && result.values.start_year === 1901, 'Values should be trimmed and converted');
+    assert(result.values.description === null, 'Full replacement should clear omitted fields');
+
+    result = await editor.validate('periods', { start_year: 1950 }, { name: 'Oil Boom', start_year: 1901, end_year: 1930 }, true);
+    assert(result.errors.includes('start_year must not be after end_year'), 'Partial updates should be checked against the stored record');
+
+    result = await editor.validate('people', { name: 'x', source_url: 'javascript:alert(1)', color: 'red' });
+    assert(result.errors.includes('source_url must be an http(s) URL'), 'Non-http URLs should be rejected');
+    assert(result.errors.includes('color is not an editable field'), 'Unknown fields should be rejected');
+
+    result = await editor.validate('facts', { title: 'Gusher' });
+    assert(result.errors.includes('content is required'), 'Required fields should be enforced');
+    editor.close();
+});
+
+test('Deleting a fact removes its embedding and unlinks the reviews that created it', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { ContentEditor } = require('./content-editor');
+    const editor = new ContentEditor(':memory:');
+    await migrate(editor.db);
+    const run = sql => new Promise((resolve, reject) => editor.db.run(sql, err => err ? reject(err) : resolve()));
+    const get = sql => new Promise((resolve, reject) => editor.db.get(sql, (err, row) => err ? reject(err) : resolve(row)));
+
+    await run("INSERT INTO historical_facts (id, title, content) VALUES (5, 'Gusher', 'Spindletop blew in.'), (6, 'Mills', 'Orange sawed lumber.')");
+    await run("INSERT INTO fact_embeddings (fact_id, model, dimensions, content_hash, embedding) VALUES (5, 'm', 1, 'h', x'00000000'), (6, 'm', 1, 'h', x'00000000')");
+    await run("INSERT INTO public_contributions (topic, fact_title, fact_content, status, fact_id) VALUES ('Oil', 'Gusher', 'Spindletop blew in.', 'approved', 5)");
+    await run("INSERT INTO learned_insights (insight, needs_verification, fact_id) VALUES ('Spindletop blew in.', 0, 5)");
+
+    assert(await editor.remove('facts', 5) === true, 'The fact should be deleted');
+    assert(await editor.remove('facts', 5) === false, 'Deleting a missing fact should report nothing deleted');
+    const embeddings = await get('SELECT GROUP_CONCAT(fact_id) as ids FROM fact_embeddings');
+    assert(embeddings.ids === '6', 'Only the deleted fact\'s embedding should be removed');
+    assert((await get('SELECT fact_id FROM public_contributions')).fact_id === null, 'The contribution should no longer point at the fact');
+    assert((await get('SELECT fact_id FROM learned_insights')).fact_id === null, 'The insight should no longer point at the fact');
+    editor.close();
+});
+
+test('Deleting a city or topic unlinks the contributions that named it', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { ContentEditor } = require('./content-editor');
+    const editor = new ContentEditor(':memory:');
+    await migrate(editor.db);
+    const run = sql => new Promise((resolve, reject) => editor.db.run(sql, err => err ? reject(err) : resolve()));
+    const get = sql => new Promise((resolve, reject) => editor.db.get(sql, (err, row) => err ? reject(err) : resolve(row)));
+
+    await run("INSERT INTO historical_cities (id, name) VALUES (3, 'Orange')");
+    await run("INSERT INTO historical_topics (id, name) VALUES (4, 'Lumber')");
+    await run("INSERT INTO public_contributions (topic, fact_title, fact_content, city_id, topic_id) VALUES ('Lumber', 'Mills', 'Orange sawed lumber.', 3, 4)");
+
+    assert(await editor.remove('cities', 3) === true && await editor.remove('topics', 4) === true, 'The city and topic should be deleted');
+    const contribution = await get('SELECT city_id, topic_id, status FROM public_contributions');
+    assert(contribution.city_id === null && contribution.topic_id === null, 'The pending contribution should no longer point at them');
+    assert(contribution.status === 'pending', 'The contribution itself should stay in the review queue');
+    editor.close();
+});
+
+test('Notable people are formatted and matched by full name', () => {
+    const { PresentationBuilder } = require('./presentation-builder');
+    const { buildPhraseQuery } = require('./history-search');
+    const builder = new PresentationBuilder(':memory:');
+
+    assert(builder.formatLifespan({ birth_year: 1863, death_year: 1955 }) === '1863–1955', 'Full life span expected');
+    assert(builder.formatLifespan({ birth_year: 1943 }) === 'b. 1943', 'Birth-only life span expected');
+    assert(builder.formatLifespan({}) === '', 'Unknown life span should be empty');
+    assert(buildPhraseQuery('Arthur E. Stilwell') === '"arthur e stilwell"', 'Names should become FTS phrases');
+    builder.close();
+});
+
+test('Schema migrations build a fresh database and roll back failures', async () => {
+    const os = require('os');
+    const { migrate, getMigrationStatus, loadMigrations, createMigration } = require('./schema-migrations');
+    let db = new sqlite3.Database(':memory:');
+    const tableExists = (name) => new Promise((resolve, reject) => {
+        db.get("SELECT name FROM sqlite_master WHERE name = ?", [name], (err, row) => err ? reject(err) : resolve(!!row));
+    });
+
+    const applied = await migrate(db);
+    assert(applied.length === loadMigrations().length, 'Every migration should apply to a fresh database');
+    for (const table of ['historical_facts', 'topics_researched', 'topic_media', 'presentations', 'public_contributions', 'facts_fts', 'fact_embeddings']) {
+        assert(await tableExists(table), `${table} should exist after migrating`);
+    }
+    assert((await migrate(db)).length === 0, 'A second run should have nothing to apply');
+    db.close();
+
+    // A failing migration leaves neither its tables nor a schema_migrations row behind
+    db = new sqlite3.Database(':memory:');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-migrations-'));
+    fs.writeFileSync(path.join(dir, '001_broken.js'), `module.exports.up = (db) => new Promise((resolve, reject) => {
+        db.run('CREATE TABLE half_done (id INTEGER)', () => reject(new Error('boom')));
+    });`);
+    let failure = null;
+    await migrate(db, dir).catch(error => { failure = error; });
+    assert(failure && failure.message === 'Migration 001_broken failed: boom', 'Failures should name the migration');
+    assert(!(await tableExists('half_done')), 'A failed migration should be rolled back');
+    assert((await getMigrationStatus(db, dir)).pending.length === 1, 'A failed migration should stay pending');
+
+    assert(path.basename(createMigration('Add Map Places', dir)) === '002_add_map_places.js', 'New migrations take the next number');
+    fs.rmSync(dir, { recursive: true, force: true });
+    db.close();
+});
+
+test('Timeline groups facts into the narrowest matching period', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { buildTimeline } = require('./timeline');
+    const db = new sqlite3.Database(':memory:');
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    await migrate(db);
+    await run("INSERT INTO historical_cities (id, name) VALUES (1, 'Beaumont'), (2, 'Orange')");
+    await run("INSERT INTO historical_topics (id, name) VALUES (1, 'Oil & Energy')");
+    await run("INSERT INTO historical_periods (id, name, start_year, end_year) VALUES (1, 'Lumber Boom', 1880, 1930), (2, 'Spindletop Era', 1901, 1940)");
+    await run("INSERT INTO historical_facts (title, content, event_year, city_id, topic_id) VALUES ('Gusher', 'Oil at Spindletop.', 1901, 1, 1), ('Sawmills', 'Orange mills.', 1885, 2, NULL), ('Statehood', 'Texas joins the union.', 1845, NULL, NULL), ('Undated', 'No year.', NULL, NULL, NULL)");
+    await run("INSERT INTO topics_researched (id, topic) VALUES (1, 'Oil & Energy'), (2, 'Oil & Energy Exports')");
+    await run("INSERT INTO presentations (topic_id, title, html_path) VALUES (1, 'Oil', '/srv/public/presentations/oil-1.html')");
+
+    let timeline = await buildTimeline(db);
+    assert(timeline.total_facts === 3, 'Facts without a year or period should be left out');
+    assert(timeline.periods.map(period => period.name).join(',') === 'Lumber Boom,Spindletop Era,Other Years', 'Periods should be chronological with leftovers last');
+    assert(timeline.periods[1].facts[0].title === 'Gusher', '1901 should fall in the narrower Spindletop Era');
+    assert(timeline.periods[1].facts[0].topic_page_url === '/topics/oil-and-energy', 'Facts should link the page of the topic with the same name');
+
+    timeline = await buildTimeline(db, { from: 1890, to: 1950, cityId: 2 });
+    assert(timeline.periods.length === 2 && timeline.total_facts === 0, 'Year range trims periods and city filter trims facts');
+    db.close();
+});
+
+test('Timeline keeps in-range facts whose period the range leaves out', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { buildTimeline } = require('./timeline');
+    const db = new sqlite3.Database(':memory:');
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    await migrate(db);
+    await run("INSERT INTO historical_periods (id, name, start_year, end_year) VALUES (1, 'Lumber Boom', 1880, 1930), (2, 'Spindletop Era', 1901, 1940), (3, 'Civil War', 1861, 1865)");
+    // Leases and a survey filed under the Spindletop Era before the gusher
+    await run("INSERT INTO historical_facts (title, content, event_year, period_id) VALUES ('Early lease', 'Leases signed.', 1899, 2), ('Survey', 'Land surveyed.', 1870, 2), ('Gusher', 'Oil at Spindletop.', 1901, 2)");
+
+    // 1900 splits the Lumber Boom and leaves the Spindletop Era out
+    const timeline = await buildTimeline(db, { from: 1866, to: 1900 });
+    assert(timeline.periods.map(period => period.name).join(',') === 'Lumber Boom,Other Years', `Unexpected periods: ${timeline.periods.map(period => period.name)}`);
+    assert(timeline.total_facts === 2, 'Every fact in the range should be counted');
+    assert(timeline.periods[0].facts[0].title === 'Early lease', 'A fact should fall back to the shown period containing its year');
+    assert(timeline.periods[1].facts[0].title === 'Survey', 'A fact outside every shown period should go to Other Years');
+    db.close();
+});
+
+test('GeoJSON places cities and landmarks with their facts', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { buildGeoJSON, parseCoordinates, getMapConfig } = require('./geo');
+    const { ContentEditor } = require('./content-editor');
+    const db = new sqlite3.Database(':memory:');
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    assert(parseCoordinates(' 30.08, -94.12 ').longitude === -94.12, 'Coordinates should parse with spaces');
+    assert(parseCoordinates('95,10') === null && parseCoordinates('Beaumont') === null, 'Invalid coordinates should be rejected');
+    assert(getMapConfig({ MAP_TILE_URL: 'http://tiles.local/{z}/{x}/{y}.png' }).tileUrl === 'http://tiles.local/{z}/{x}/{y}.png', 'Tile URL should be configurable');
+
+    await migrate(db);
+    await run("INSERT INTO historical_cities (id, name, coordinates) VALUES (1, 'Beaumont', '30.0802,-94.1266'), (2, 'Nowhere', NULL)");
+    await run("INSERT INTO historical_places (id, name, city_id, latitude, longitude) VALUES (1, 'Spindletop Hill', 1, 30.0196, -94.0777)");
+    await run("INSERT INTO historical_facts (title, content, event_year, city_id, place_id) VALUES ('Gusher', 'Oil.', 1901, 1, 1), ('Boomtown', 'Growth.', 1902, 1, NULL)");
+
+    const { features } = await buildGeoJSON(db);
+    assert(features.length === 2, 'Cities without coordinates should be left off the map');
+    assert(features[0].geometry.coordinates[0] === -94.1266, 'GeoJSON positions are longitude first');
+    assert(features[0].properties.fact_count === 2 && features[1].properties.facts[0].title === 'Gusher', 'Cities and places should carry their facts');
+    assert(features[1].properties.facts[0].is_verified === 0, 'Facts on the map should say whether they are verified');
+    assert((await buildGeoJSON(db, { types: ['places'] })).features.length === 1, 'Types should filter features');
+
+    const editor = new ContentEditor(':memory:');
+    const result = await editor.validate('places', { name: 'Shipyard', latitude: '91', longitude: -93.7 });
+    assert(result.errors.includes('latitude must be at most 90'), 'Place latitude should be range checked');
+    assert((await editor.validate('cities', { name: 'Orange', coordinates: '30.093, -93.7366' })).values.coordinates === '30.093,-93.7366', 'City coordinates should be normalized');
+    editor.close();
+    db.close();
+});
+
+test('Presentations keep one row per topic with a version history', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { savePresentationVersion, listVersions, diffVersions } = require('./presentation-versions');
+    const db = new sqlite3.Database(':memory:');
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+    const count = (sql) => new Promise((resolve, reject) => {
+        db.get(sql, [], (err, row) => err ? reject(err) : resolve(row.count));
+    });
+
+    // Builds from before versioning: one presentations row per regeneration
+    await run('CREATE TABLE topics_researched (id INTEGER PRIMARY KEY AUTOINCREMENT, topic TEXT NOT NULL)');
+    await run('CREATE TABLE presentations (id INTEGER PRIMARY KEY AUTOINCREMENT, topic_id INTEGER NOT NULL, title TEXT NOT NULL, content TEXT, html_path TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+    await run("INSERT INTO topics_researched (id, topic) VALUES (1, 'Spindletop'), (2, 'Lumber')");
+    await run("INSERT INTO presentations (topic_id, title, content, created_at) VALUES (1, 'Spindletop', '<p>old</p>', '2024-01-01'), (1, 'Spindletop', '<p>new</p>', '2024-02-01')");
+    await migrate(db);
+    assert(await count('SELECT COUNT(*) as count FROM presentations') === 1, 'Legacy builds should collapse into one row per topic');
+    assert((await listVersions(db, 2))[0].version === 2, 'Legacy builds should become versions of the latest row');
+
+    const page = (facts, stamp) => ({
+        topicId: 2, title: 'Lumber', htmlPath: '/tmp/lumber-2.html',
+        content: `<h1>Lumber</h1>\n${facts.map(fact => `<li>${fact.title}</li>`).join('\n')}\n<div>Generated: ${stamp}</div>`,
+        snapshot: { facts, people: [], media: [] }
+    });
+    const mills = { id: 1, title: 'Mills' };
+    const lutcher = { id: 2, title: 'Lutcher' };
+
+    const first = await savePresentationVersion(db, page([mills], 'Monday'));
+    assert(first.changed && first.version === 1, 'First build should create version 1');
+    const rebuild = await savePresentationVersion(db, page([mills], 'Tuesday'));
+    assert(!rebuild.changed && rebuild.version === 1, 'A rebuild that only changes the timestamp should be skipped');
+    const second = await savePresentationVersion(db, page([lutcher], 'Wednesday'));
+    assert(second.changed && second.version === 2 && second.presentationId === first.presentationId, 'Changes should add a version to the same row');
+
+    const diff = await diffVersions(db, first.presentationId);
+    assert(diff.from.version === 1 && diff.to.version === 2, 'Diff should default to the previous and current versions');
+    assert(diff.facts.added[0].title === 'Lutcher' && diff.facts.removed[0].title === 'Mills', 'Diff should list added and removed facts');
+    assert(diff.lines.length === 2 && !diff.lines.some(change => change.text.includes('Generated')), 'Line diff should ignore the build timestamp');
+    assert(await diffVersions(db, first.presentationId, 5) === null, 'Unknown versions should not diff');
+    db.close();
+});
+
+test('Concurrent builds of a new topic page share one presentation and version', async () => {
+    const os = require('os');
+    const { migrate } = require('./schema-migrations');
+    const { PresentationBuilder } = require('./presentation-builder');
+    const { savePresentationVersion, listVersions } = require('./presentation-versions');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-pages-'));
+    const file = path.join(dir, 'pages.sqlite');
+    const first = new PresentationBuilder(file);
+    const second = new PresentationBuilder(file);
+    await migrate(first.db);
+    const run = sql => new Promise((resolve, reject) => first.db.run(sql, err => err ? reject(err) : resolve()));
+    const count = sql => new Promise((resolve, reject) => first.db.get(sql, (err, row) => err ? reject(err) : resolve(row.count)));
+    await run("INSERT INTO topics_researched (id, topic) VALUES (1, 'Spindletop'), (2, 'Lumber')");
+
+    const builds = await Promise.all([first.generatePresentation(1), first.generatePresentation(1), second.generatePresentation(1)]);
+    assert(new Set(builds.map(build => build.presentationId)).size === 1, 'Concurrent builds should share the topic\'s presentation');
+    assert(builds.filter(build => build.changed).length === 1 && builds.every(build => build.version === 1), 'The same page built at once should be stored once');
+    assert(await count('SELECT COUNT(*) as count FROM presentations') === 1 && await count('SELECT COUNT(*) as count FROM presentation_versions') === 1, 'One row and one version expected');
+
+    const page = html => ({ topicId: 2, title: 'Lumber', htmlPath: '/topics/lumber', content: html });
+    const saved = await Promise.all([savePresentationVersion(first.db, page('<p>mills</p>')), savePresentationVersion(second.db, page('<p>lutcher</p>'))]);
+    const versions = await listVersions(first.db, saved[0].presentationId);
+    assert(saved.map(result => result.version).sort().join() === '1,2' && versions.length === 2, 'Different pages built at once should become consecutive versions');
+    assert(versions.find(version => version.is_current).version === 2, 'The presentation should point at the latest version');
+
+    first.close();
+    second.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Generated pages share templates and link the selected theme', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { listThemes, resolveTheme, factCard } = require('./page-templates');
+    const { PresentationBuilder } = require('./presentation-builder');
+    const { PageConsolidationAgent } = require('./page-consolidation-agent');
+
+    assert(listThemes().includes('default') && listThemes().includes('museum-kiosk'), 'Bundled themes should be listed');
+    assert(factCard({ title: 'Rumor', is_verified: 0 }).includes('Unverified'), 'Unverified facts should be flagged wherever they came from');
+    assert(!factCard({ title: 'Gusher', is_verified: 1 }).includes('Unverified'), 'Verified facts should not be flagged');
+    assert(resolveTheme(null, {}) === 'default' && resolveTheme(null, { PRESENTATION_THEME: 'museum-kiosk' }) === 'museum-kiosk', 'PRESENTATION_THEME should pick the theme');
+    let failure = null;
+    try { resolveTheme('neon'); } catch (error) { failure = error; }
+    assert(failure && failure.message.includes('Unknown presentation theme "neon"'), 'Unknown themes should be rejected');
+
+    const builder = new PresentationBuilder(':memory:', { theme: 'museum-kiosk' });
+    await migrate(builder.db);
+    await new Promise((resolve, reject) => {
+        builder.db.run("INSERT INTO topics_researched (topic) VALUES ('Theme Check')", (err) => err ? reject(err) : resolve());
+    });
+    const { html } = await builder.generatePresentation(1);
+    builder.close();
+
+    assert(html.includes('href="/themes/base.css"') && html.includes('href="/themes/museum-kiosk.css"'), 'Pages should link the base and theme stylesheets');
+    assert(!html.includes('<style>'), 'Pages should not embed their own CSS');
+
+    // Consolidated pages are assembled from sections of the stored presentation HTML
+    const agent = new PageConsolidationAgent(':memory:');
+    const sections = agent.extractContentSections(html);
+    assert(sections.title === '🏛️ Theme Check' && sections.content.includes('Historical Facts'), 'Consolidation should find the partials\' sections');
+    const page = agent.generateConsolidatedPage({ displayName: 'Checks', icon: '✅', description: 'd', presentations: [{ content: html }] });
+    assert(page.includes('href="/themes/default.css"') && page.includes('<div class="timestamp">'), 'Consolidated pages should use the same layout');
+    agent.close();
+});
+
+test('Malicious topic names, fact bodies and answers are rendered harmless', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { renderMarkdown, sanitizeHtml, safeUrl } = require('./safe-html');
+    const { PresentationBuilder } = require('./presentation-builder');
+    const { PageConsolidationAgent } = require('./page-consolidation-agent');
+    const topic = 'Gusher"><img src=x onerror=alert(1)>';
+
+    const builder = new PresentationBuilder(':memory:');
+    await migrate(builder.db);
+    const run = (sql, params) => new Promise((resolve, reject) => {
+        builder.db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+    await run('INSERT INTO topics_researched (topic) VALUES (?)', [topic]);
+    await run('INSERT INTO historical_topics (id, name) VALUES (1, ?)', [topic]);
+    await run('INSERT INTO historical_facts (title, content, image_url, source_name, topic_id) VALUES (?, ?, ?, ?, 1)', [
+        '<b onmouseover="alert(2)">Lucas</b>', 'Oil <script>alert(3)</script> flowed', 'javascript:alert(4)', "'><svg onload=alert(5)>"
+    ]);
+    const { html } = await builder.generatePresentation(1);
+    builder.close();
+
+    assert(!html.includes('<img src=x') && html.includes('Gusher&quot;&gt;&lt;img src=x'), 'Topic names should be escaped');
+    assert(!html.includes('<b onmouseover') && !html.includes('<script>alert') && !html.includes('<svg'), 'Fact fields should be escaped');
+    assert(!html.includes('javascript:'), 'Unsafe image URLs should be dropped');
+
+    // Pages stored before escaping are sanitized when consolidated
+    const agent = new PageConsolidationAgent(':memory:');
+    const legacy = '<h1>Old</h1><div class="hero"><h1 onclick="steal()">Old</h1></div><div class="content"><p>Kept</p><script>steal()</script><a href=" javascript:steal()">x</a><img src="/images/a.jpg" onerror="steal()"></div><div class="timestamp">';
+    const page = agent.generateConsolidatedPage({ displayName: 'Legacy', icon: '📜', description: 'd', presentations: [{ content: legacy }] });
+    agent.close();
+    assert(page.includes('<p>Kept</p>') && page.includes('<img src="/images/a.jpg">') && !page.includes('steal()'), 'Scripts, handlers and javascript: links should be stripped');
+
+    const answer = renderMarkdown('**Spindletop** blew in 1901 <img src=x onerror=alert(1)>\n- [Source](https://tshaonline.org/?a=1&b=2)\n- [Bad](javascript:alert(1))');
+    assert(answer.startsWith('<p><strong>Spindletop</strong> blew in 1901 &lt;img'), 'Markdown should render around escaped HTML');
+    assert(answer.includes('<a href="https://tshaonline.org/?a=1&amp;b=2" target="_blank" rel="noopener">Source</a>'), 'http(s) links should render');
+    assert(!answer.includes('href="javascript'), 'Other link schemes should stay as text');
+    assert(sanitizeHtml('<p style="x" data-id="1">a</p><iframe src="x"></iframe>') === '<p data-id="1">a</p>', 'Only allowlisted attributes and tags should survive');
+    assert(safeUrl('java\tscript:alert(1)') === '' && safeUrl('/images/a.jpg') === '/images/a.jpg', 'URL schemes should be checked');
+});
+
+test('Topic pages match exact names and keep stable ETags', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { PresentationBuilder } = require('./presentation-builder');
+    const { legacyPageTopicId, findTopicByName, TopicPageCache } = require('./topic-pages');
+
+    assert(legacyPageTopicId('spindletop-4.html') === 4 && legacyPageTopicId('oil-&-energy-consolidated-1700000000000.html') === null, 'Only topic page files should redirect');
+
+    const builder = new PresentationBuilder(':memory:');
+    await migrate(builder.db);
+    const run = (sql) => new Promise((resolve, reject) => {
+        builder.db.run(sql, (err) => err ? reject(err) : resolve());
+    });
+    await run("INSERT INTO topics_researched (id, topic) VALUES (1, 'Orange Shipbuilding'), (2, 'Orange in Southeast Texas history')");
+
+    const orange = await findTopicByName(builder.db, ' orange ');
+    assert(orange.id === 2 && orange.url === '/topics/orange-in-southeast-texas-history', 'Names should match exactly, not as substrings');
+    assert(await findTopicByName(builder.db, 'Ship') === null, 'Partial names should not match');
+
+    const cache = new TopicPageCache(60);
+    const first = cache.set(2, await builder.generatePresentation(2));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await builder.generatePresentation(2);
+    builder.close();
+    assert(second.changed === false && new TopicPageCache(0).set(2, second).etag === first.etag, 'Re-rendering unchanged content should keep the ETag');
+    assert(cache.get(2) === first && new TopicPageCache(0).get(2) === null, 'Pages should be cached until the TTL runs out');
+
+    let renders = 0;
+    const render = async () => {
+        renders++;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { topic: orange, html: `<p>render ${renders}</p>` };
+    };
+    const fresh = new TopicPageCache(60);
+    const visits = await Promise.all([fresh.load(2, render), fresh.load(2, render), fresh.load(2, render)]);
+    assert(renders === 1 && visits.every(visit => visit === visits[0]), 'Concurrent misses should share one render');
+    assert(await fresh.load(2, render) === visits[0] && renders === 1, 'Later visits should be served from the cache');
+
+    const stale = fresh.load(3, render);
+    fresh.clear();
+    assert((await stale).html === '<p>render 2</p>' && fresh.get(3) === null, 'Renders started before a clear should not be cached');
+});
+
+test('Slugs stay unique, follow renames and redirect from old URLs', async () => {
+    const os = require('os');
+    const { migrate } = require('./schema-migrations');
+    const { slugify, assignSlug, resolveSlug } = require('./slugs');
+    const { ContentEditor } = require('./content-editor');
+    const { PageConsolidationAgent } = require('./page-consolidation-agent');
+
+    assert(slugify('Port Arthur & Café Culture') === 'port-arthur-and-cafe-culture', 'Slugs should be lowercase ASCII');
+
+    const editor = new ContentEditor(':memory:');
+    const db = editor.db;
+    await migrate(db);
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    const orange = await editor.create('cities', { name: 'Orange' });
+    const other = await editor.create('cities', { name: 'Orange!' });
+    assert(orange.slug === 'orange' && other.slug === 'orange-2', 'Colliding names should get numbered slugs');
+
+    const renamed = await editor.update('cities', orange.id, { name: 'Old Orange' });
+    const old = await resolveSlug(db, 'historical_cities', 'orange');
+    assert(renamed.slug === 'old-orange' && old.redirected && old.row.id === orange.id, 'Renaming should keep the old slug as a redirect');
+    assert((await editor.create('cities', { name: 'Orange' })).slug === 'orange-3', 'Retired slugs should not be reused');
+    assert(await assignSlug(db, 'historical_cities', other.id) === 'orange-2', 'Unchanged names should keep their slug');
+
+    // Databases from before slugs: timestamped consolidated files and "<name>-<id>" topic URLs
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-consolidated-'));
+    fs.writeFileSync(path.join(dir, 'oil-&-energy-consolidated-2.html'), '<h1>Latest</h1>');
+    await run('DROP INDEX idx_consolidated_pages_main_topic');
+    await run("INSERT INTO consolidated_pages (main_topic, display_name, html_path, created_at) VALUES ('Oil & Energy', 'Oil', ?, '2024-01-01'), ('Oil & Energy', 'Oil', ?, '2024-02-01')",
+        [path.join(dir, 'oil-&-energy-consolidated-1.html'), path.join(dir, 'oil-&-energy-consolidated-2.html')]);
+    await run("INSERT INTO topics_researched (id, topic) VALUES (7, 'Spindletop')");
+    await require('./migrations/012_slugs').up(db);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const oldPage = await resolveSlug(db, 'consolidated_pages', 'oil-&-energy-consolidated-1');
+    assert(oldPage.redirected && oldPage.row.slug === 'oil-and-energy' && oldPage.row.content === '<h1>Latest</h1>', 'Old consolidated files should redirect to the latest page of their category');
+    const oldTopic = await resolveSlug(db, 'topics_researched', 'spindletop-7');
+    assert(oldTopic.redirected && oldTopic.row.slug === 'spindletop', 'Id-suffixed topic URLs should redirect');
+    editor.close();
+
+    const agent = new PageConsolidationAgent(':memory:');
+    await migrate(agent.db);
+    const first = await agent.storeConsolidatedPage('Oil & Energy', 'Oil', '<p>1</p>', 1);
+    const second = await agent.storeConsolidatedPage('Oil & Energy', 'Oil', '<p>2</p>', 2);
+    agent.close();
+    assert(first.id === second.id && second.url === '/categories/oil-and-energy', 'Each category should keep one page at a stable URL');
+    assert(agent.resolveCategory('lumber-industry') === 'Lumber Industry', 'Categories should resolve by slug');
+});
+
+test('Job queue retries failures, respects concurrency limits and records progress', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { JobQueue } = require('./job-queue');
+
+    const queue = new JobQueue(':memory:', { concurrency: 2 });
+    await migrate(queue.db);
+
+    let calls = 0;
+    queue.register('flaky', async (payload, { attempt, progress }) => {
+        calls++;
+        await progress(50, 'Halfway');
+        if (attempt === 1) throw new Error('LOC timed out');
+        return { topic: payload.topic };
+    }, { retryDelaySeconds: 0 });
+    queue.register('hopeless', async () => {
+        throw Object.assign(new Error('No topic'), { retryable: false });
+    });
+    let active = 0;
+    let peak = 0;
+    queue.register('slow', async () => {
+        peak = Math.max(peak, ++active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+    }, { concurrency: 1 });
+
+    const flaky = await queue.enqueue('flaky', { topic: 'Spindletop' }, { dedupeKey: 'research:spindletop' });
+    const again = await queue.enqueue('flaky', { topic: 'Spindletop' }, { dedupeKey: 'research:spindletop' });
+    const hopeless = await queue.enqueue('hopeless');
+    await Promise.all([1, 2, 3].map(() => queue.enqueue('slow')));
+    assert(again.id === flaky.id && flaky.status === 'queued', 'A pending job with the same key should be reused');
+
+    await queue.drain();
+    const done = await queue.getJob(flaky.id);
+    assert(done.status === 'completed' && done.attempts === 2 && calls === 2 && done.result.topic === 'Spindletop', 'Failed attempts should be retried');
+    assert(done.progress === 100 && done.progress_message === 'Halfway', 'Progress should be recorded');
+    const failed = await queue.getJob(hopeless.id);
+    assert(failed.status === 'failed' && failed.attempts === 1 && failed.error === 'No topic', 'Permanent errors should not be retried');
+    assert(peak === 1, 'Jobs of a type should not run above its concurrency limit');
+
+    const [first, second] = await Promise.all([1, 2].map(() => queue.enqueue('slow', {}, { dedupeKey: 'consolidate:oil' })));
+    assert(first.id === second.id, 'Concurrent enqueues with the same key should add one job');
+    await queue.enqueue('slow');
+    queue.concurrency = 1;
+    queue.handlers.get('slow').concurrency = 2;
+    const ticks = await Promise.all([queue.tick(), queue.tick()]);
+    assert(queue.running.size === 1 && ticks[0] === 1 && ticks[1] === 1, 'Overlapping ticks should not start more jobs than the limit');
+    await queue.drain();
+    queue.close();
+});
+
+test('A research job retried after storing its topic carries on with that topic', async () => {
+    const os = require('os');
+    const { migrate } = require('./schema-migrations');
+    const { JobQueue } = require('./job-queue');
+    const { registerBackgroundJobs } = require('./background-jobs');
+    const { MockProvider } = require('./llm-providers');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-research-'));
+    const file = path.join(dir, 'research.sqlite');
+    const queue = new JobQueue(file);
+    await migrate(queue.db);
+    // An archive that crashes on the first search, after the topic row has been written
+    let searches = 0;
+    const archive = {
+        name: 'flaky', label: 'Flaky archive',
+        isAvailable: () => {
+            if (searches++ === 0) throw new Error('Archive offline');
+            return false;
+        },
+        search: async () => []
+    };
+    registerBackgroundJobs(queue, file, { provider: new MockProvider({ respond: () => '[]' }), sources: [archive] });
+    queue.handlers.get('research').retryDelaySeconds = 0;
+    const all = sql => new Promise((resolve, reject) => queue.db.all(sql, (err, rows) => err ? reject(err) : resolve(rows)));
+
+    const job = await queue.enqueue('research', { query: 'Tell me about Spindletop' });
+    await queue.drain();
+    const done = await queue.getJob(job.id);
+    const topics = await all('SELECT id, slug FROM topics_researched');
+    assert(done.status === 'completed' && done.attempts === 2, `The retry should complete the job, got ${done.status}: ${done.error}`);
+    assert(topics.length === 1 && topics[0].slug === 'spindletop', 'The retry should not create the topic again');
+    assert(done.payload.topicId === topics[0].id && done.result.topicId === topics[0].id, 'The job should remember the topic it created');
+
+    queue.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Facts are embedded by a background job, not while answering', async () => {
+    const os = require('os');
+    const { migrate } = require('./schema-migrations');
+    const { JobQueue } = require('./job-queue');
+    const { registerBackgroundJobs, scheduleEmbedding } = require('./background-jobs');
+    const { HistoryChatAgent } = require('./history-chat-agent');
+    const { MockProvider } = require('./llm-providers');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-embed-'));
+    const file = path.join(dir, 'embed.sqlite');
+    const queue = new JobQueue(file);
+    await migrate(queue.db);
+    const provider = new MockProvider();
+    registerBackgroundJobs(queue, file, { provider });
+    const run = sql => new Promise((resolve, reject) => queue.db.run(sql, err => err ? reject(err) : resolve()));
+    const count = () => new Promise((resolve, reject) => queue.db.get('SELECT COUNT(*) as count FROM fact_embeddings', (err, row) => err ? reject(err) : resolve(row.count)));
+    await run("INSERT INTO historical_facts (title, content, is_verified) VALUES ('Lucas Gusher', 'The gusher at Spindletop blew in during 1901.', 1)");
+
+    const agent = new HistoryChatAgent(provider, { db: queue.db });
+    const beforeJob = await agent.retrieveFacts('Spindletop gusher');
+    assert(beforeJob.length === 1 && beforeJob[0].similarity === undefined, 'Before the job runs, retrieval should fall back to full-text search');
+    assert(await count() === 0, 'Answering should not embed facts');
+
+    const job = await scheduleEmbedding(queue);
+    assert((await scheduleEmbedding(queue)).id === job.id, 'One embedding job should be queued at a time');
+    await queue.drain();
+    const done = await queue.getJob(job.id);
+    assert(done.status === 'completed' && done.result.embedded === 1 && await count() === 1, 'The job should embed the new fact');
+
+    const afterJob = await agent.retrieveFacts('Spindletop gusher');
+    assert(afterJob.length === 1 && typeof afterJob[0].similarity === 'number', 'Once embedded, facts should be retrieved by similarity');
+
+    queue.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Research extracts unverified facts linked to the researched topic', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { MockProvider } = require('./llm-providers');
+    const { FactExtractor, parseFactList, documentErrors } = require('./fact-extraction');
+
+    let prompt = '';
+    const provider = new MockProvider({
+        respond: (messages) => {
+            prompt = messages[messages.length - 1].content;
+            return '```json\n' + JSON.stringify([
+                { title: 'Lucas Gusher', content: 'The Lucas gusher blew in at Spindletop.', year: '1901', city: 'Beaumont, Texas', topic: 'oil industry', source: 1, excerpt: 'Lucas gusher, Jan. 10, 1901' },
+                { title: 'Boomtown', content: 'Beaumont grew to 50,000 people.', year: 3000, city: 'Houston', source: 2 },
+                { title: 'Invented', content: 'Not in any source.', source: 7 },
+                { title: 'No content', source: 1 },
+                { title: 'spindletop discovery', content: 'Already recorded.', source: 1 }
+            ]) + '\n```';
+        }
+    });
+    const extractor = new FactExtractor(':memory:', provider);
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        extractor.db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+    await migrate(extractor.db);
+    await run("INSERT INTO historical_cities (id, name) VALUES (1, 'Beaumont')");
+    await run("INSERT INTO historical_topics (id, name) VALUES (1, 'Oil Industry')");
+    await run("INSERT INTO historical_facts (title, content) VALUES ('Spindletop Discovery', 'Oil was found.')");
+    await run("INSERT INTO topics_researched (id, topic) VALUES (4, 'Spindletop')");
+
+    const facts = await extractor.extractFacts(4, 'Spindletop', [
+        { title: 'Lucas gusher, Spindletop', text: 'Lucas gusher, Spindletop, Beaumont, Tex., Jan. 10, 1901', source: 'Library of Congress - Images', url: 'https://www.loc.gov/item/1' },
+        { title: 'Boom notes', text: 'Beaumont grew quickly after the strike.' },
+        { title: 'Empty', text: '   ' }
+    ]);
+    assert(prompt.includes('[1] Lucas gusher, Spindletop (Library of Congress - Images)') && prompt.includes('Known cities: Beaumont'), 'Prompt should number sources and list known cities');
+    assert(!prompt.includes('[3]'), 'Sources without text should not be sent');
+    assert(facts.map(fact => fact.title).join() === 'Lucas Gusher,Boomtown', 'Unsourced, incomplete and duplicate facts should be dropped');
+
+    const [gusher, boom] = facts;
+    assert(gusher.event_year === 1901 && gusher.city_id === 1 && gusher.topic_id === 1, 'Year, city and topic should be resolved');
+    assert(gusher.source_url === 'https://www.loc.gov/item/1' && gusher.source_name === 'Library of Congress - Images', 'Source should come from the cited document');
+    assert(boom.event_year === null && boom.city_id === null && boom.source_name === 'Boom notes', 'Implausible years and unknown cities should be left empty');
+    const stored = await new Promise((resolve, reject) => {
+        extractor.db.all('SELECT * FROM historical_facts WHERE research_topic_id = 4', [], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    assert(stored.length === 2 && stored.every(fact => fact.is_verified === 0), 'Extracted facts should be stored unverified');
+
+    assert(parseFactList('No facts found.').length === 0 && parseFactList('[{"title": ').length === 0, 'Replies without a JSON array should yield no facts');
+    assert(documentErrors(undefined).length === 0 && documentErrors([{ title: 1 }]).length === 2, 'Supplied documents should be validated');
+    assert(documentErrors([{ text: 'x', url: 'javascript:alert(1)' }])[0] === 'documents[0].url must be an http(s) URL', 'Document URLs other than http(s) should be rejected');
+    assert(documentErrors([{ text: 'x', url: 'https://www.loc.gov/item/1' }]).length === 0, 'http(s) document URLs should be accepted');
+    extractor.close();
+});
+
+test('Media source adapters normalize recorded responses and local scans', async () => {
+    const os = require('os');
+    const { ADAPTERS, createMediaSources, searchMediaSources } = require('./media-sources');
+    const { replayHttp } = require('./media-sources/fixtures');
+    const search = (name, options = {}) => new ADAPTERS[name]({ http: replayHttp(name), ...options }).search('Spindletop oil', 5);
+
+    const loc = await search('loc');
+    assert(loc.map(record => record.type).join() === 'image,image,audio', 'LOC should skip items without media files');
+    assert(loc[0].attribution === 'Trost, John, Library of Congress, LC-USZ62-105751 (b&w film copy neg.)' && loc[0].rights === 'No known restrictions on publication.', 'LOC credits should include the reproduction number');
+    assert(loc[0].item_url === 'https://www.loc.gov/pictures/item/2005675321/' && loc[0].description.includes('Lucas well'), 'LOC records should keep the catalog page and description');
+
+    const commons = await search('wikimedia');
+    assert(commons.length === 2 && commons[0].creator === 'John Trost' && commons[0].description.startsWith('The Lucas gusher'), 'Commons metadata should be stripped of HTML');
+    assert(commons[1].license === 'CC BY-SA 3.0' && commons[1].license_url.includes('creativecommons.org') && commons[1].url.includes('/thumb/'), 'Commons records should carry the license and a scaled image');
+
+    assert(!new ADAPTERS.dpla({ apiKey: '' }).isAvailable(), 'DPLA should need an API key');
+    const dpla = await search('dpla', { apiKey: 'test-key' });
+    assert(dpla.length === 1 && dpla[0].source === 'Lamar University via DPLA' && dpla[0].license_url.includes('rightsstatements.org'), 'DPLA records should credit the contributing institution');
+
+    const portal = await search('portal');
+    assert(portal[1].item_url === 'https://texashistory.unt.edu/ark:/67531/metapth20211/' && portal[1].url.endsWith('/m1/1/med_res/'), 'Portal records should link the ark item page');
+    assert(portal[0].attribution === 'Frank J. Trost, Tyrrell Historical Library, The Portal to Texas History, UNT Libraries', 'Portal records should credit the partner');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-scans-'));
+    fs.writeFileSync(path.join(dir, 'gladys-city-1901.jpg'), 'jpeg');
+    fs.writeFileSync(path.join(dir, 'gladys-city-1901.jpg.json'), JSON.stringify({ title: 'Spindletop derrick crew', creator: 'Jane Doe', license: 'CC BY 4.0' }));
+    fs.writeFileSync(path.join(dir, 'lumber-mill.png'), 'png');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not media');
+    const local = await new ADAPTERS.local({ dir, collectionName: 'Test scans' }).search('Spindletop oil Texas history', 5);
+    assert(local.length === 1 && local[0].url.startsWith('file://') && local[0].attribution === 'Jane Doe, Test scans', 'Local scans should match on sidecar metadata');
+
+    const failing = { label: 'Down', isAvailable: () => true, search: async () => { throw new Error('offline'); } };
+    const merged = await searchMediaSources([failing, { label: 'A', isAvailable: () => true, search: async () => loc }, { label: 'B', isAvailable: () => true, search: async () => commons }], 'q', 3);
+    assert(merged.map(record => record.adapter).join() === 'loc,wikimedia,loc', 'Results should alternate between sources and skip failures');
+    let unknown = null;
+    try { createMediaSources('loc,flickr'); } catch (error) { unknown = error; }
+    assert(unknown && unknown.message.includes('flickr'), 'Unknown source names should be rejected');
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Media is only read from the local scans folder and never past the size limit', async () => {
+    const os = require('os');
+    const http = require('http');
+    const { pathToFileURL } = require('url');
+    const { MediaAgent } = require('./media-agent');
+    const { LocalFolderSource } = require('./media-sources/local-folder');
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-fetch-'));
+    const dir = path.join(root, 'scans');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'derrick.jpg'), 'small scan');
+    fs.writeFileSync(path.join(dir, 'reel.mp4'), 'x'.repeat(64));
+    fs.writeFileSync(path.join(root, 'secret.txt'), 'not a scan');
+    const agent = new MediaAgent(':memory:', { sources: [new LocalFolderSource({ dir })], maxMediaBytes: 32 });
+    const fileUrl = name => pathToFileURL(path.join(dir, name)).href;
+
+    assert(String(await agent.fetchMedia(fileUrl('derrick.jpg'), 'local')) === 'small scan', 'Local scans should be read from disk');
+    assert(await agent.fetchMedia(fileUrl('derrick.jpg'), 'wikimedia') === null, 'Remote sources should not get files read from disk');
+    assert(await agent.fetchMedia(fileUrl('../secret.txt'), 'local') === null, 'Files outside the scans folder should not be read');
+    assert(await agent.fetchMedia(fileUrl('reel.mp4'), 'local') === null, 'Local files over the size limit should be skipped');
+    assert(await agent.fetchMedia('data:text/plain,hello', 'loc') === null, 'Only http(s) URLs should be downloaded');
+
+    const server = http.createServer((req, res) => res.end(req.url === '/large' ? 'x'.repeat(64) : 'small file'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        assert(String(await agent.fetchMedia(`${base}/small`, 'loc')) === 'small file', 'Downloads under the limit should be returned');
+        assert(await agent.fetchMedia(`${base}/large`, 'loc') === null, 'Downloads over the size limit should be abandoned');
+    } finally {
+        server.close();
+        agent.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('Collected media keeps its rights metadata and credit line', async () => {
+    const { migrate } = require('./schema-migrations');
+    const { MediaAgent } = require('./media-agent');
+    const { ADAPTERS } = require('./media-sources');
+    const { replayHttp } = require('./media-sources/fixtures');
+    const { getTopicCredits } = require('./media-credits');
+    const { gallery } = require('./page-templates');
+    const { sanitizeHtml } = require('./safe-html');
+
+    const agent = new MediaAgent(':memory:', { sources: [] });
+    await migrate(agent.db);
+    await new Promise((resolve, reject) => {
+        agent.db.run("INSERT INTO topic_media (topic_id, media_path, title, source) VALUES (1, '/images/historical/old.jpg', 'Old', 'Library of Congress - Images')", err => err ? reject(err) : resolve());
+    });
+
+    const [gusher] = await new ADAPTERS.loc({ http: replayHttp('loc') }).search('Spindletop oil', 5);
+    assert(agent.mediaFilename(gusher) === agent.mediaFilename({ ...gusher }) && !/\d{13}/.test(agent.mediaFilename(gusher)), 'File names should not depend on when media was collected');
+    await agent.linkMediaToTopic(1, { ...gusher, filepath: '/images/historical/lucas-gusher.jpg' });
+    await agent.linkMediaToTopic(1, { title: 'Derrick crew', url: 'file:///srv/scans/crew.jpg', source: 'SETX History collection', attribution: 'SETX History collection', rights: 'All rights reserved', filepath: '/images/historical/crew.jpg' });
+
+    const [old, linked, scan] = await getTopicCredits(agent.db, 1);
+    assert(old.credit_line === 'Library of Congress - Images', 'Media without rights metadata should be credited to its source');
+    assert(linked.reproduction_number === 'LC-USZ62-105751 (b&w film copy neg.)' && linked.creator === 'Trost, John' && linked.date === '1901 Jan. 10.', 'Rights metadata should be stored');
+    assert(linked.original_url === gusher.url && linked.item_url === 'https://www.loc.gov/pictures/item/2005675321/', 'Original file and catalog URLs should be stored');
+    assert(linked.credit_line === 'Trost, John, Library of Congress, LC-USZ62-105751 (b&w film copy neg.) — No known restrictions on publication.', 'Credit lines should name the attribution and terms');
+    assert(scan.original_url === null && scan.credit_line === 'SETX History collection — All rights reserved', 'Local scan paths should not be published');
+
+    const html = gallery([{ media_path: linked.file, title: linked.title, attribution: linked.attribution, rights: linked.rights, item_url: linked.item_url }]);
+    assert(html.includes('<figcaption class="credit">Trost, John, Library of Congress') && html.includes('href="https://www.loc.gov/pictures/item/2005675321/"'), 'Gallery images should show a visible credit line');
+    assert(sanitizeHtml(html).includes('<figcaption'), 'Credit lines should survive consolidation');
+    agent.close();
+});
+
+test('Repeated and near-duplicate media downloads reuse one file', async () => {
+    const os = require('os');
+    const sharp = require('sharp');
+    const { migrate } = require('./schema-migrations');
+    const { MediaAgent } = require('./media-agent');
+    const { dHash, hammingDistance } = require('./media-dedup');
+    const { dedupeMediaFiles } = require('./dedupe-media');
+
+    const pattern = invert => {
+        const pixels = Buffer.alloc(64 * 64 * 3);
+        for (let i = 0; i < pixels.length; i++) {
+            const p = Math.floor(i / 3);
+            const value = ((p % 64) * 4 + Math.floor(p / 64) * 3 + (Math.floor(p / 64) % 8 < 4 ? 90 : 0)) % 256;
+            pixels[i] = invert ? 255 - value : value;
+        }
+        return pixels;
+    };
+    const raw = { raw: { width: 64, height: 64, channels: 3 } };
+    const photo = await sharp(pattern(false), raw).jpeg({ quality: 90 }).toBuffer();
+    const smaller = await sharp(photo).resize(32, 32).jpeg({ quality: 70 }).toBuffer();
+    const other = await sharp(pattern(true), raw).jpeg({ quality: 90 }).toBuffer();
+    assert(hammingDistance(await dHash(photo), await dHash(smaller)) <= 6 && hammingDistance(await dHash(photo), await dHash(other)) > 6, 'Resized copies should have nearby perceptual hashes');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-media-'));
+    const agent = new MediaAgent(':memory:', { sources: [] });
+    await migrate(agent.db);
+    agent.imageDir = dir;
+    const downloads = { 'https://example.org/gusher.jpg': photo, 'https://example.org/gusher-small.jpg': smaller, 'https://example.org/crowd.jpg': other };
+    const fetched = [];
+    agent.fetchMedia = async url => { fetched.push(url); return downloads[url]; };
+
+    const first = await agent.saveMedia({ title: 'Lucas gusher', url: 'https://example.org/gusher.jpg', type: 'image' });
+    const again = await agent.saveMedia({ title: 'Lucas gusher', url: 'https://example.org/gusher.jpg', type: 'image' });
+    const resized = await agent.saveMedia({ title: 'Gusher (small)', url: 'https://example.org/gusher-small.jpg', type: 'image' });
+    const crowd = await agent.saveMedia({ title: 'Crowd', url: 'https://example.org/crowd.jpg', type: 'image' });
+    assert(!first.reused && again.reused && again.filepath === first.filepath && fetched.length === 3, 'Known download URLs should not be fetched again');
+    assert(resized.reused && resized.filepath === first.filepath && !crowd.reused, 'Near-duplicate images should reuse the stored file');
+    assert(fs.readdirSync(dir).filter(name => name !== 'variants').length === 2, 'Only distinct media should be written to disk');
+    assert(await agent.linkMediaToTopic(1, { title: 'Lucas gusher', ...first }) && await agent.linkMediaToTopic(2, { title: 'Lucas gusher', ...again }), 'Stored media should link to more than one topic');
+    assert(await agent.linkMediaToTopic(2, { title: 'Gusher (small)', ...resized }) === null, 'A topic should link a file only once');
+    agent.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    // Copies left by earlier runs
+    const db = new sqlite3.Database(':memory:');
+    await migrate(db);
+    const run = sql => new Promise((resolve, reject) => db.run(sql, err => err ? reject(err) : resolve()));
+    const all = sql => new Promise((resolve, reject) => db.all(sql, (err, rows) => err ? reject(err) : resolve(rows)));
+    const disk = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-media-'));
+    [['gusher.jpg', photo], ['gusher-copy.jpg', photo], ['gusher-small.jpg', smaller], ['crowd.jpg', other]].forEach(([name, bytes]) => fs.writeFileSync(path.join(disk, name), bytes));
+    await run(`INSERT INTO topic_media (topic_id, media_path, title) VALUES
+        (1, '/images/historical/gusher-copy.jpg', 'Copy'), (2, '/images/historical/gusher.jpg', 'Gusher'),
+        (2, '/images/historical/gusher-small.jpg', 'Small'), (3, '/images/historical/gusher.jpg', 'Gusher')`);
+    await run("INSERT INTO historical_facts (title, content, image_url) VALUES ('Gusher', 'Oil at Spindletop.', '/images/historical/gusher-small.jpg')");
+
+    const [group] = await dedupeMediaFiles(db, disk);
+    assert(group.kept.name === 'gusher.jpg' && group.duplicates.map(file => file.name).sort().join() === 'gusher-copy.jpg,gusher-small.jpg', 'Duplicates should be grouped under the largest, most used file');
+    assert(fs.readdirSync(disk).length === 4, 'A dry run should not change anything');
+
+    await dedupeMediaFiles(db, disk, { apply: true });
+    const links = await all('SELECT topic_id, media_path FROM topic_media ORDER BY topic_id');
+    assert(fs.readdirSync(disk).sort().join() === 'crowd.jpg,gusher.jpg', 'Merged duplicates should be deleted');
+    assert(links.map(link => `${link.topic_id}:${link.media_path.split('/').pop()}`).join() === '1:gusher.jpg,2:gusher.jpg,3:gusher.jpg', 'Topics should link the kept file once each');
+    assert((await all('SELECT image_url FROM historical_facts'))[0].image_url === '/images/historical/gusher.jpg', 'Facts should show the kept file');
+    assert((await all('SELECT media_path FROM media_files')).length === 2, 'Remaining files should be registered for reuse');
+    db.close();
+    fs.rmSync(disk, { recursive: true, force: true });
+});
+
+test('Downloads are typed from their bytes and images get web-sized variants', async () => {
+    const os = require('os');
+    const sharp = require('sharp');
+    const { migrate } = require('./schema-migrations');
+    const { MediaAgent } = require('./media-agent');
+    const { sniffMediaType, probeMedia } = require('./media-types');
+    const { getVariantsByPath } = require('./media-derivatives');
+    const { gallery } = require('./page-templates');
+    const { sanitizeHtml } = require('./safe-html');
+
+    const box = (type, body) => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(8 + body.length);
+        header.write(type, 4, 'latin1');
+        return Buffer.concat([header, body]);
+    };
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(12500, 16);
+    const tkhd = Buffer.alloc(84);
+    tkhd.writeUInt32BE(640 * 65536, 76);
+    tkhd.writeUInt32BE(480 * 65536, 80);
+    const mp4 = Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1')), box('moov', Buffer.concat([box('mvhd', mvhd), box('trak', box('tkhd', tkhd))]))]);
+    const wav = Buffer.alloc(44);
+    wav.write('RIFF', 0, 'latin1'); wav.write('WAVE', 8, 'latin1'); wav.write('fmt ', 12, 'latin1'); wav.write('data', 36, 'latin1');
+    wav.writeUInt32LE(16, 16); wav.writeUInt16LE(1, 20); wav.writeUInt16LE(1, 22); wav.writeUInt32LE(8000, 24); wav.writeUInt32LE(16000, 28); wav.writeUInt32LE(32000, 40);
+    const mp3 = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(15996)]);
+    const tiff = await sharp({ create: { width: 1600, height: 800, channels: 3, background: '#8a6d3b' } }).tiff().toBuffer();
+    const errorPage = Buffer.from('<!DOCTYPE html><html><body>Item not found</body></html>');
+
+    assert(sniffMediaType(tiff).mime === 'image/tiff' && sniffMediaType(mp3).extension === 'mp3' && sniffMediaType(errorPage) === null, 'Types should come from magic bytes');
+    const [tiffProbe, videoProbe, wavProbe, mp3Probe] = await Promise.all([tiff, mp4, wav, mp3].map(probeMedia));
+    assert(tiffProbe.width === 1600 && tiffProbe.height === 800, 'Image dimensions should be read');
+    assert(videoProbe.type === 'video' && videoProbe.duration === 12.5 && videoProbe.width === 640 && videoProbe.height === 480, 'MP4 duration and size should be read');
+    assert(wavProbe.duration === 2 && mp3Probe.duration === 1, 'Audio durations should be read');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setx-media-'));
+    const agent = new MediaAgent(':memory:', { sources: [] });
+    await migrate(agent.db);
+    agent.imageDir = dir;
+    const downloads = { 'https://example.org/scan': tiff, 'https://example.org/interview': mp4, 'https://example.org/missing.jpg': errorPage };
+    agent.fetchMedia = async url => downloads[url];
+
+    const scan = await agent.saveMedia({ title: 'Refinery scan', url: 'https://example.org/scan', type: 'image' });
+    const interview = await agent.saveMedia({ title: 'Oral history', url: 'https://example.org/interview', type: 'audio' });
+    assert(scan.filepath.endsWith('.tif') && interview.filepath.endsWith('.mp4') && interview.type === 'video', 'Files should be named and typed after their content');
+    assert(await agent.saveMedia({ title: 'Missing', url: 'https://example.org/missing.jpg', type: 'image' }) === null, 'Error pages should not be stored as media');
+
+    await agent.linkMediaToTopic(1, { title: 'Refinery scan', url: 'https://example.org/scan', ...scan });
+    await agent.linkMediaToTopic(1, { title: 'Oral history', url: 'https://example.org/interview', ...interview });
+    const media = await new Promise((resolve, reject) => agent.db.all('SELECT * FROM topic_media ORDER BY id', (err, rows) => err ? reject(err) : resolve(rows)));
+    const stored = await new Promise((resolve, reject) => agent.db.get('SELECT * FROM media_files WHERE media_path = ?', [interview.filepath], (err, row) => err ? reject(err) : resolve(row)));
+    assert(media.map(item => item.media_type).join() === 'image,video', 'topic_media should record the detected type');
+    assert(stored.mime_type === 'video/mp4' && stored.duration === 12.5 && stored.width === 640, 'Media files should record MIME type, size and duration');
+
+    const variants = await getVariantsByPath(agent.db, media.map(item => item.media_path));
+    const scanVariants = variants.get(scan.filepath);
+    assert(scanVariants.map(variant => variant.width).join() === '320,640,1280' && scanVariants[0].height === 160, 'Images should get variants at each width');
+    assert(scanVariants.every(variant => fs.existsSync(path.join(dir, 'variants', path.basename(variant.media_path)))), 'Variant files should be written next to the original');
+
+    const html = gallery(media.map(item => ({ ...item, variants: variants.get(item.media_path) || [] })));
+    assert(!html.includes(`src="${scan.filepath}"`) && html.includes('640w') && html.includes('loading="lazy"'), 'The gallery should load variants instead of the original');
+    assert(html.includes(`<video controls preload="metadata" src="${interview.filepath}"`), 'Video should get a player rather than an image tag');
+    const cleaned = sanitizeHtml(html.replace(' 640w,', ' 640w, javascript:alert(1) 900w,'));
+    assert(cleaned.includes('srcset=') && cleaned.includes('1280w') && !cleaned.includes('javascript:') && cleaned.includes('<video'), 'Consolidated galleries should keep safe srcset candidates and players');
+    agent.close();
+    fs.rmSync(dir, { recursive: true, force: true });
 });
 
 test('Static files exist', () => {
@@ -167,8 +1335,9 @@ test('Database has seed data', () => {
     });
 });
 
-// Wait for async tests to complete
-setTimeout(() => {
+// Wait for async tests to complete (the callback-style database checks above report within 2s)
+setTimeout(async () => {
+    await Promise.all(pending);
     console.log('\n' + '='.repeat(50));
     console.log(`\n📊 Test Results:`);
     console.log(`   ✅ Passed: ${testsPassed}`);
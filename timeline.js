@@ -0,0 +1,134 @@
+const { findTopicByName } = require('./topic-pages');
+
+/**
+ * Chronology of historical facts grouped by historical period
+ * Facts belong to their period_id when set; otherwise to the narrowest period whose
+ * years contain event_year (periods overlap, e.g. Lumber Boom and Spindletop Era).
+ * Facts with neither a period nor a year cannot be placed and are left out.
+ */
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+}
+
+/**
+ * Pick the period a fact belongs to
+ */
+function assignPeriod(fact, periods) {
+    if (fact.period_id) {
+        const period = periods.find(candidate => candidate.id === fact.period_id);
+        if (period) return period;
+    }
+
+    if (fact.event_year === null || fact.event_year === undefined) {
+        return null;
+    }
+
+    return periods
+        .filter(period => period.start_year <= fact.event_year && fact.event_year <= period.end_year)
+        .sort((a, b) => (a.end_year - a.start_year) - (b.end_year - b.start_year) || b.start_year - a.start_year)[0] || null;
+}
+
+/**
+ * Map topic names to the page of the researched topic with the same name
+ */
+async function findTopicPages(db, topicNames) {
+    const pages = {};
+
+    for (const topicName of topicNames) {
+        const topic = await findTopicByName(db, topicName);
+        pages[topicName] = topic && topic.has_page ? topic.url : null;
+    }
+
+    return pages;
+}
+
+/**
+ * Build the timeline
+ * @param {object} filters - from, to (years, inclusive), cityId, topicId
+ * @returns {Promise<{periods: Array, total_facts: number}>} Periods in chronological order, each with its facts;
+ *   facts outside every period are collected under a period with id null
+ */
+async function buildTimeline(db, filters = {}) {
+    const { from = null, to = null, cityId = null, topicId = null } = filters;
+
+    let periodQuery = 'SELECT id, name, start_year, end_year, description, significance FROM historical_periods WHERE 1=1';
+    const periodParams = [];
+    if (from !== null) {
+        periodQuery += ' AND end_year >= ?';
+        periodParams.push(from);
+    }
+    if (to !== null) {
+        periodQuery += ' AND start_year <= ?';
+        periodParams.push(to);
+    }
+    periodQuery += ' ORDER BY start_year ASC, end_year ASC';
+
+    let factQuery = `
+        SELECT
+            hf.id, hf.title, hf.content, hf.event_date, hf.event_year, hf.period_id,
+            hf.image_url, hf.source_name, hf.source_url, hf.importance, hf.is_verified,
+            hf.city_id, hc.name as city_name,
+            hf.topic_id, ht.name as topic_name, ht.icon as topic_icon
+        FROM historical_facts hf
+        LEFT JOIN historical_cities hc ON hf.city_id = hc.id
+        LEFT JOIN historical_topics ht ON hf.topic_id = ht.id
+        WHERE (hf.event_year IS NOT NULL OR hf.period_id IS NOT NULL)
+    `;
+    const factParams = [];
+    if (from !== null) {
+        factQuery += ' AND hf.event_year >= ?';
+        factParams.push(from);
+    }
+    if (to !== null) {
+        factQuery += ' AND hf.event_year <= ?';
+        factParams.push(to);
+    }
+    if (cityId !== null) {
+        factQuery += ' AND hf.city_id = ?';
+        factParams.push(cityId);
+    }
+    if (topicId !== null) {
+        factQuery += ' AND hf.topic_id = ?';
+        factParams.push(topicId);
+    }
+    factQuery += ' ORDER BY hf.event_year ASC, hf.importance DESC';
+
+    // All periods are needed to place facts, even when the range trims the ones returned
+    const [periods, allPeriods, facts] = await Promise.all([
+        all(db, periodQuery, periodParams),
+        all(db, 'SELECT id, start_year, end_year FROM historical_periods'),
+        all(db, factQuery, factParams)
+    ]);
+
+    const topicPages = await findTopicPages(db, [...new Set(facts.map(fact => fact.topic_name).filter(Boolean))]);
+    const groups = new Map(periods.map(period => [period.id, { ...period, facts: [] }]));
+    const unplaced = { id: null, name: 'Other Years', start_year: null, end_year: null, description: null, significance: null, facts: [] };
+
+    facts.forEach(fact => {
+        // A fact in range whose own period the range leaves out goes to a shown period
+        // containing its year, or to Other Years
+        const period = assignPeriod(fact, allPeriods);
+        const shown = period && groups.has(period.id) ? period : assignPeriod({ ...fact, period_id: null }, periods);
+        const group = shown ? groups.get(shown.id) : unplaced;
+
+        group.facts.push({ ...fact, topic_page_url: fact.topic_name ? topicPages[fact.topic_name] : null });
+    });
+
+    const result = [...groups.values()];
+    if (unplaced.facts.length > 0) {
+        result.push(unplaced);
+    }
+
+    return {
+        periods: result.map(group => ({ ...group, fact_count: group.facts.length })),
+        total_facts: result.reduce((sum, group) => sum + group.facts.length, 0)
+    };
+}
+
+module.exports = { assignPeriod, buildTimeline };
@@ -0,0 +1,179 @@
+const { contentHash } = require('./presentation-versions');
+const { assignSlug, fillMissingSlugs, resolveSlug } = require('./slugs');
+
+/**
+ * Topic pages served from the database
+ * Every researched topic has a page at /topics/<slug>, using the topic's persistent slug
+ * (see slugs.js); renamed topics and the old "<name>-<id>" URLs redirect to it.
+ * Pages are rendered on request and cached in memory. Their ETag is the content hash, which
+ * ignores the build timestamp, so it only changes when what the page shows changes.
+ */
+
+const DEFAULT_CACHE_SECONDS = 60;
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function topicPageUrl(topic) {
+    return `/topics/${topic.slug}`;
+}
+
+/**
+ * Machine-readable credits for the media on a topic's page, see media-credits.js
+ */
+function topicCreditsUrl(topic) {
+    return `${topicPageUrl(topic)}/credits.json`;
+}
+
+/**
+ * Topic id of a page that used to be written to public/presentations ("spindletop-4.html")
+ * Consolidated pages ("oil-&-energy-consolidated-<timestamp>.html") return null; their
+ * filenames are kept as slug redirects instead.
+ */
+function legacyPageTopicId(filename) {
+    if (/-consolidated-\d+\.html$/.test(filename)) {
+        return null;
+    }
+
+    const match = filename.match(/-(\d+)\.html$/);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * A researched topic by id, given a slug first if it has none yet
+ */
+async function getTopic(db, topicId) {
+    const topic = await get(db, 'SELECT * FROM topics_researched WHERE id = ?', [topicId]);
+    if (topic && !topic.slug) {
+        topic.slug = await assignSlug(db, 'topics_researched', topic.id);
+    }
+    return topic;
+}
+
+/**
+ * The researched topic a page slug leads to
+ * Topics stored without a slug get one first, so their pages resolve too.
+ * @returns {Promise<{row: object, redirected: boolean}|null>}
+ */
+async function findTopicBySlug(db, slug) {
+    const found = await resolveSlug(db, 'topics_researched', slug);
+    if (found) {
+        return found;
+    }
+
+    return await fillMissingSlugs(db, ['topics_researched']) ? resolveSlug(db, 'topics_researched', slug) : null;
+}
+
+/**
+ * Find the researched topic with this exact name, ignoring case and an
+ * "in (Southeast) Texas history" suffix; topics that already have a page come first
+ * @returns {Promise<object|null>} The topics_researched row with has_page and url
+ */
+async function findTopicByName(db, name) {
+    const wanted = String(name ?? '').trim().toLowerCase();
+    if (!wanted) {
+        return null;
+    }
+
+    const topic = await get(db, `
+        SELECT t.*, p.id IS NOT NULL as has_page
+        FROM topics_researched t
+        LEFT JOIN presentations p ON p.topic_id = t.id
+        WHERE LOWER(TRIM(t.topic)) IN (?, ? || ' in southeast texas history', ? || ' in texas history')
+        ORDER BY has_page DESC, COALESCE(p.updated_at, p.created_at, t.researched_at) DESC, t.id DESC
+        LIMIT 1
+    `, [wanted, wanted, wanted]);
+
+    if (!topic) {
+        return null;
+    }
+    if (!topic.slug) {
+        topic.slug = await assignSlug(db, 'topics_researched', topic.id);
+    }
+    return { ...topic, has_page: !!topic.has_page, url: topicPageUrl(topic) };
+}
+
+/**
+ * In-memory cache of rendered pages, keyed by topic id
+ * Requests for a page that is being rendered wait for that render instead of starting another.
+ */
+class TopicPageCache {
+    constructor(ttlSeconds = DEFAULT_CACHE_SECONDS) {
+        this.ttlMs = ttlSeconds * 1000;
+        this.pages = new Map();
+        this.rendering = new Map();
+        this.generation = 0;
+    }
+
+    get(topicId) {
+        const entry = this.pages.get(topicId);
+        if (!entry) return null;
+
+        if (Date.now() - entry.cachedAt > this.ttlMs) {
+            this.pages.delete(topicId);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * @param {object} page - topic and html
+     * @returns {object} The cached entry, with its etag
+     */
+    set(topicId, page) {
+        const entry = { ...page, etag: `W/"${contentHash(page.html)}"`, cachedAt: Date.now() };
+        if (this.ttlMs > 0) {
+            this.pages.set(topicId, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * The cached page, or the one `render` resolves to; concurrent misses share one render
+     * @param {function} render - () => Promise<{topic, html}>
+     * @returns {Promise<object>} The entry, with its etag
+     */
+    load(topicId, render) {
+        const cached = this.get(topicId);
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+
+        if (!this.rendering.has(topicId)) {
+            const generation = this.generation;
+            const pending = Promise.resolve()
+                .then(render)
+                // A render that started before clear() may show old content; serve it, don't keep it
+                .then(page => generation === this.generation
+                    ? this.set(topicId, page)
+                    : { ...page, etag: `W/"${contentHash(page.html)}"`, cachedAt: Date.now() })
+                .finally(() => {
+                    if (this.rendering.get(topicId) === pending) this.rendering.delete(topicId);
+                });
+            this.rendering.set(topicId, pending);
+        }
+        return this.rendering.get(topicId);
+    }
+
+    clear() {
+        this.pages.clear();
+        this.rendering.clear();
+        this.generation++;
+    }
+}
+
+module.exports = {
+    topicPageUrl,
+    topicCreditsUrl,
+    legacyPageTopicId,
+    getTopic,
+    findTopicBySlug,
+    findTopicByName,
+    TopicPageCache
+};